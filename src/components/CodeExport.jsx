@@ -0,0 +1,127 @@
+import React, { useState, useMemo } from 'react';
+import { Download, Copy, Check } from 'lucide-react';
+import MonacoEditor from '@monaco-editor/react';
+import { buildPaneStack, getPaneLocation } from '../utils/schemaPaths';
+import { getRefName } from '../utils/refResolver';
+import { generateTypeScript } from '../utils/typescriptGenerator';
+import { generateMarkdownDocs, generateHtmlDocs } from '../utils/docsGenerator';
+
+const formats = {
+  typescript: { label: 'TypeScript', language: 'typescript', fileName: 'schema.d.ts', mimeType: 'text/plain' },
+  markdown: { label: 'Markdown docs', language: 'markdown', fileName: 'schema-docs.md', mimeType: 'text/markdown' },
+  html: { label: 'HTML docs', language: 'html', fileName: 'schema-docs.html', mimeType: 'text/html' },
+};
+
+// Docs always cover the whole schema; only types can be scoped to a pane
+const CodeExport = ({ schema, resolver, explorerPath, format, onFormatChange }) => {
+  const [scope, setScope] = useState('schema'); // 'schema' or 'pane'
+  const [copied, setCopied] = useState(false);
+
+  // The deepest pane the Explorer was left on
+  const pane = useMemo(() => {
+    const panes = buildPaneStack(getPaneLocation(explorerPath, resolver), resolver);
+    const last = panes[panes.length - 1];
+    return { ...last, typeName: last.ref ? getRefName(last.ref) : last.name };
+  }, [explorerPath, resolver]);
+
+  const code = useMemo(() => {
+    if (format === 'markdown') return generateMarkdownDocs(schema, resolver);
+    if (format === 'html') return generateHtmlDocs(schema, resolver);
+    return scope === 'pane' && pane.path.length > 0
+      ? generateTypeScript(pane.schema, resolver, { rootName: pane.typeName, includeDefinitions: false })
+      : generateTypeScript(schema, resolver, { rootName: schema.title || 'Schema' });
+  }, [format, scope, pane, schema, resolver]);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([code], { type: formats[format].mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = formats[format].fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden min-w-0">
+      <div className="px-4 py-2 border-b border-gray-200 bg-gray-50 flex items-center gap-2 flex-shrink-0">
+        <div className="flex gap-1">
+          {Object.entries(formats).map(([value, { label }]) => (
+            <button
+              key={value}
+              onClick={() => onFormatChange(value)}
+              className={`px-2 py-1 text-sm rounded transition-colors ${
+                format === value ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {format === 'typescript' && (
+          <div className="flex gap-1 ml-4 pl-4 border-l border-gray-300">
+            <button
+              onClick={() => setScope('schema')}
+              className={`px-2 py-1 text-sm rounded transition-colors ${
+                scope === 'schema' ? 'bg-gray-700 text-white' : 'text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              Whole schema
+            </button>
+            <button
+              onClick={() => setScope('pane')}
+              disabled={pane.path.length === 0}
+              title={pane.path.length === 0 ? 'Open a subschema in the Explorer first' : ''}
+              className={`px-2 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                scope === 'pane' ? 'bg-gray-700 text-white' : 'text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              Explorer pane: <span className="font-mono">{pane.name}</span>
+            </button>
+          </div>
+        )}
+        <button
+          onClick={handleCopy}
+          className="ml-auto px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+        >
+          {copied ? (
+            <Check className="w-4 h-4 inline mr-1 text-green-500" />
+          ) : (
+            <Copy className="w-4 h-4 inline mr-1" />
+          )}
+          Copy
+        </button>
+        <button
+          onClick={handleDownload}
+          className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+        >
+          <Download className="w-4 h-4 inline mr-1" />
+          Download
+        </button>
+      </div>
+      <div className="flex-1 p-4 min-h-0">
+        <MonacoEditor
+          height="100%"
+          language={formats[format].language}
+          theme="vs-dark"
+          value={code}
+          options={{
+            readOnly: true,
+            minimap: { enabled: false },
+            fontSize: 16,
+            wordWrap: 'on',
+            automaticLayout: true,
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default CodeExport;
@@ -0,0 +1,186 @@
+import React, { useEffect, useMemo } from 'react';
+import {
+  ReactFlow,
+  MiniMap,
+  Controls,
+  Background,
+  Position,
+  ReactFlowProvider,
+  Handle,
+  useNodesState,
+  useEdgesState,
+} from 'reactflow';
+import 'reactflow/dist/style.css';
+import { Package, Table2 } from 'lucide-react';
+import { buildDefinitionGraph } from '../utils/definitionGraph';
+
+const COLUMN_GAP = 360;
+const ROW_GAP = 40;
+const HEADER_HEIGHT = 44;
+const ROW_HEIGHT = 24;
+
+const cardinalityStyles = {
+  single: { color: '#2563eb' },
+  optional: { color: '#64748b', dashed: true },
+  array: { color: '#ea580c' },
+};
+
+// One ER table: the definition name and a row per property, each row with its own handle for outgoing relations
+const EntityNode = ({ data }) => {
+  const { entity, onOpen } = data;
+  return (
+    <div
+      className={`rounded-lg border-2 shadow-sm bg-white min-w-[220px] ${entity.path.length === 0 ? 'border-indigo-400' : 'border-slate-300'}`}
+    >
+      <Handle type="target" position={Position.Left} style={{ top: HEADER_HEIGHT / 2, background: '#64748b', width: 8, height: 8 }} />
+      <div
+        className="px-3 flex items-center gap-2 bg-slate-100 rounded-t-md cursor-pointer hover:bg-slate-200"
+        style={{ height: HEADER_HEIGHT }}
+        onClick={onOpen}
+        title="Open in Explorer"
+      >
+        {entity.path.length === 0 ? <Package className="w-4 h-4 text-indigo-500" /> : <Table2 className="w-4 h-4 text-slate-500" />}
+        <span className="text-sm font-semibold">{entity.name}</span>
+        {entity.file && <span className="text-xs text-gray-400 font-mono ml-auto">{entity.file}</span>}
+      </div>
+      <Handle type="source" position={Position.Right} style={{ top: HEADER_HEIGHT / 2, background: '#64748b', width: 8, height: 8 }} />
+      {entity.properties.map((property) => (
+        <div
+          key={property.name}
+          className="px-3 flex items-center gap-3 text-xs border-t border-gray-100 relative"
+          style={{ height: ROW_HEIGHT }}
+        >
+          <span className="font-mono flex-1">
+            {property.name}
+            {property.required && <span className="text-red-500">*</span>}
+          </span>
+          <span className="text-gray-500 font-mono">{property.type}</span>
+          <Handle
+            type="source"
+            id={`property:${property.name}`}
+            position={Position.Right}
+            style={{ background: '#94a3b8', width: 6, height: 6 }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const nodeTypes = {
+  entityNode: EntityNode,
+};
+
+// Columns by distance from the root (or from entities nothing references), stacked top to bottom
+const layoutEntities = (entities, relations) => {
+  const outgoing = new Map(entities.map((entity) => [entity.id, []]));
+  const referenced = new Set();
+  relations.forEach(({ source, target }) => {
+    if (source === target) return;
+    outgoing.get(source).push(target);
+    referenced.add(target);
+  });
+
+  const column = new Map();
+  const queue = entities.filter((entity) => entity.path.length === 0 || !referenced.has(entity.id)).map((entity) => entity.id);
+  queue.forEach((id) => column.set(id, 0));
+  for (let index = 0; index < queue.length; index++) {
+    const id = queue[index];
+    outgoing.get(id).forEach((target) => {
+      if (!column.has(target)) {
+        column.set(target, column.get(id) + 1);
+        queue.push(target);
+      }
+    });
+  }
+
+  const heights = [];
+  const positions = new Map();
+  entities.forEach((entity) => {
+    // Entities only reachable through a cycle start a column of their own
+    const index = column.has(entity.id) ? column.get(entity.id) : 0;
+    const y = heights[index] || 0;
+    positions.set(entity.id, { x: index * COLUMN_GAP, y });
+    heights[index] = y + HEADER_HEIGHT + entity.properties.length * ROW_HEIGHT + ROW_GAP;
+  });
+  return positions;
+};
+
+/**
+ * Definition-level map of the schema: one table per definition and the root,
+ * with edges for the references between them.
+ */
+const DefinitionGraphInner = ({ resolver, references, onOpenLocation }) => {
+  const graph = useMemo(() => {
+    const { entities, relations } = buildDefinitionGraph(resolver, references);
+    const positions = layoutEntities(entities, relations);
+    const byId = new Map(entities.map((entity) => [entity.id, entity]));
+
+    return {
+      nodes: entities.map((entity) => ({
+        id: entity.id,
+        type: 'entityNode',
+        position: positions.get(entity.id),
+        data: { entity, onOpen: () => onOpenLocation({ file: entity.file, path: entity.path }) },
+      })),
+      edges: relations.map((relation) => {
+        const style = cardinalityStyles[relation.cardinality] || { color: '#9333ea', dashed: true };
+        const hasRow = relation.property && byId.get(relation.source).properties.some(({ name }) => name === relation.property);
+        return {
+          id: relation.id,
+          source: relation.source,
+          target: relation.target,
+          sourceHandle: hasRow ? `property:${relation.property}` : null,
+          type: 'smoothstep',
+          label: relation.label,
+          labelStyle: { fill: style.color, fontWeight: 600 },
+          labelBgStyle: { fill: '#ffffff' },
+          style: { stroke: style.color, strokeWidth: 2, ...(style.dashed ? { strokeDasharray: '6 4' } : {}) },
+          markerEnd: { type: 'arrowclosed', width: 20, height: 20, color: style.color },
+        };
+      }),
+    };
+  }, [resolver, references, onOpenLocation]);
+
+  // Tables can be dragged around; a new schema lays them out again
+  const [nodes, setNodes, onNodesChange] = useNodesState(graph.nodes);
+  const [edges, setEdges, onEdgesChange] = useEdgesState(graph.edges);
+  useEffect(() => {
+    setNodes(graph.nodes);
+    setEdges(graph.edges);
+  }, [graph, setNodes, setEdges]);
+
+  if (graph.nodes.length === 0) {
+    return <p className="p-4 text-base text-gray-500">This schema has no definitions</p>;
+  }
+
+  return (
+    <ReactFlow
+      nodes={nodes}
+      edges={edges}
+      onNodesChange={onNodesChange}
+      onEdgesChange={onEdgesChange}
+      nodeTypes={nodeTypes}
+      nodesConnectable={false}
+      fitView
+      fitViewOptions={{ padding: 0.2 }}
+      minZoom={0.1}
+      maxZoom={2}
+      attributionPosition="bottom-left"
+    >
+      <Controls />
+      <MiniMap nodeColor={(node) => (node.data.entity.path.length === 0 ? '#6366f1' : '#94a3b8')} position="bottom-right" />
+      <Background color="#e5e7eb" gap={20} size={1} />
+    </ReactFlow>
+  );
+};
+
+const DefinitionGraph = (props) => (
+  <div className="w-full h-full">
+    <ReactFlowProvider>
+      <DefinitionGraphInner {...props} />
+    </ReactFlowProvider>
+  </div>
+);
+
+export default DefinitionGraph;
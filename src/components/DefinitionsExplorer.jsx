@@ -1,25 +1,44 @@
 import React from 'react';
-import { X, FileText, ArrowRight, Split } from 'lucide-react';
+import { X, FileText, ArrowRight, Split, CornerDownRight } from 'lucide-react';
 import { getSchemaType } from '../utils/schemaParser';
+import { getRefName } from '../utils/refResolver';
+import { formatLocation } from '../utils/referenceIndex';
 
-const DefinitionPane = ({ definition, onClose, onNavigate, depth, allDefinitions }) => {
-  const { name, schema } = definition;
+const COMBINATORS = [
+  ['oneOf', 'One Of'],
+  ['anyOf', 'Any Of'],
+  ['allOf', 'All Of'],
+];
+
+// Worth opening in a pane of its own?
+const isNavigable = (value) => {
+  if (!value || typeof value !== 'object') return false;
+  if (value.$ref) return true;
+  const type = getSchemaType(value);
+  return type === 'object' || type === 'array' || Boolean(value.oneOf || value.anyOf || value.allOf);
+};
+
+const DefinitionPane = ({ definition, onClose, onNavigate, depth, allDefinitions, references, onOpenLocation }) => {
+  const { name, schema, path } = definition;
   const type = getSchemaType(schema);
+  const usages = references ? references.getIncoming(schema) : [];
+
+  const nextDef = allDefinitions && allDefinitions[depth + 1];
+  const isInPath = (itemPath) => nextDef && nextDef.path &&
+    itemPath.every((segment, index) => nextDef.path[index] === segment);
 
-  const renderPropertyRow = (key, value, path) => {
+  const renderPropertyRow = (key, value, propertyPath) => {
     const propType = getSchemaType(value);
     const isRef = value.$ref;
     const isRequired = schema.required && schema.required.includes(key);
-    
-    // Check if this property is in the navigation path to the next definition
-    const nextDef = allDefinitions && allDefinitions[depth + 1];
-    const isInPath = nextDef && nextDef.path && nextDef.path[depth] === key;
+    const navigable = isNavigable(value);
+    const inPath = isInPath(propertyPath);
 
     return (
       <div
         key={key}
-        className={`px-3 py-2 border-b border-gray-100 ${isRef ? 'cursor-pointer' : ''} ${isInPath ? 'bg-blue-100 hover:bg-blue-100' : isRef ? 'hover:bg-gray-50' : ''}`}
-        onClick={() => isRef && onNavigate(value.$ref, [...path, key])}
+        className={`px-3 py-2 border-b border-gray-100 ${navigable ? 'cursor-pointer' : ''} ${inPath ? 'bg-blue-100 hover:bg-blue-100' : navigable ? 'hover:bg-gray-50' : ''}`}
+        onClick={() => navigable && onNavigate(value, propertyPath, key, depth)}
       >
         <div className="flex items-center justify-between">
           <div className="flex items-center gap-2">
@@ -28,19 +47,15 @@ const DefinitionPane = ({ definition, onClose, onNavigate, depth, allDefinitions
           </div>
           <div className="flex items-center gap-2">
             <span className="text-xs text-gray-500">{propType}</span>
-            {isRef && (
-              <>
-                <span className="text-xs text-blue-500">{value.$ref.split('/').pop()}</span>
-                <ArrowRight className="w-3 h-3 text-blue-500" />
-              </>
-            )}
+            {isRef && <span className="text-xs text-blue-500">{getRefName(value.$ref)}</span>}
+            {navigable && <ArrowRight className={`w-3 h-3 ${isRef ? 'text-blue-500' : 'text-gray-400'}`} />}
           </div>
         </div>
         {value.enum && (
           <div className="flex flex-wrap gap-1 mt-1">
             {value.enum.map((enumValue, index) => (
-              <span 
-                key={index} 
+              <span
+                key={index}
                 className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded"
               >
                 {JSON.stringify(enumValue)}
@@ -61,9 +76,9 @@ const DefinitionPane = ({ definition, onClose, onNavigate, depth, allDefinitions
       style={{ marginLeft: depth > 0 ? '-1px' : '0' }}
     >
       <div className="px-4 py-3 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
-        <div className="flex items-center gap-2">
-          <FileText className="w-4 h-4 text-gray-600" />
-          <h3 className="font-semibold text-sm">{name}</h3>
+        <div className="flex items-center gap-2 min-w-0">
+          <FileText className="w-4 h-4 text-gray-600 flex-shrink-0" />
+          <h3 className="font-semibold text-sm truncate">{name}</h3>
           <span className="text-xs text-gray-500 bg-gray-200 px-2 py-0.5 rounded">{type}</span>
         </div>
         <button
@@ -94,8 +109,8 @@ const DefinitionPane = ({ definition, onClose, onNavigate, depth, allDefinitions
             <div className="px-4 py-2 bg-gray-50">
               <h4 className="text-xs font-semibold text-gray-600">Properties</h4>
             </div>
-            {Object.entries(schema.properties).map(([key, value]) => 
-              renderPropertyRow(key, value, [name, 'properties'])
+            {Object.entries(schema.properties).map(([key, value]) =>
+              renderPropertyRow(key, value, [...path, 'properties', key])
             )}
           </div>
         )}
@@ -113,45 +128,53 @@ const DefinitionPane = ({ definition, onClose, onNavigate, depth, allDefinitions
           </div>
         )}
 
-        {schema.oneOf && (
-          <div>
+        {COMBINATORS.map(([keyword, title]) => Array.isArray(schema[keyword]) && (
+          <div key={keyword}>
             <div className="px-4 py-2 bg-gray-50">
               <h4 className="text-xs font-semibold text-gray-600 flex items-center gap-2">
                 <Split className="w-3 h-3" />
-                One Of
+                {title}
               </h4>
             </div>
-            {schema.oneOf.map((item, index) => (
-              <div
-                key={index}
-                className="px-3 py-2 border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
-                onClick={() => item.$ref && onNavigate(item.$ref, [name, 'oneOf', index])}
-              >
-                <div className="flex items-center justify-between">
-                  <span className="text-sm">Option {index + 1}</span>
-                  {item.$ref && (
+            {schema[keyword].map((item, index) => {
+              const itemPath = [...path, keyword, index];
+              const navigable = isNavigable(item);
+              return (
+                <div
+                  key={index}
+                  className={`px-3 py-2 border-b border-gray-100 ${navigable ? 'cursor-pointer' : ''} ${isInPath(itemPath) ? 'bg-blue-100 hover:bg-blue-100' : navigable ? 'hover:bg-gray-50' : ''}`}
+                  onClick={() => navigable && onNavigate(item, itemPath, `${name} → ${keyword}[${index}]`, depth)}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm">Option {index + 1}</span>
                     <div className="flex items-center gap-2">
-                      <span className="text-xs text-blue-500">{item.$ref.split('/').pop()}</span>
-                      <ArrowRight className="w-3 h-3 text-blue-500" />
+                      {item.$ref ? (
+                        <span className="text-xs text-blue-500">{getRefName(item.$ref)}</span>
+                      ) : (
+                        <span className="text-xs text-gray-500">{getSchemaType(item)}</span>
+                      )}
+                      {navigable && <ArrowRight className={`w-3 h-3 ${item.$ref ? 'text-blue-500' : 'text-gray-400'}`} />}
                     </div>
-                  )}
+                  </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
-        )}
+        ))}
 
-        {schema.items && (
+        {schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items) && (
           <div className="px-4 py-3 border-b border-gray-100">
             <h4 className="text-xs font-semibold text-gray-600 mb-1">Array Items</h4>
-            {schema.items.$ref ? (
+            {isNavigable(schema.items) ? (
               <div
-                className="flex items-center justify-between cursor-pointer hover:bg-gray-50 p-2 rounded"
-                onClick={() => onNavigate(schema.items.$ref, [name, 'items'])}
+                className={`flex items-center justify-between cursor-pointer p-2 rounded ${isInPath([...path, 'items']) ? 'bg-blue-100' : 'hover:bg-gray-50'}`}
+                onClick={() => onNavigate(schema.items, [...path, 'items'], '[items]', depth)}
               >
                 <span className="text-sm">Item Type</span>
                 <div className="flex items-center gap-2">
-                  <span className="text-xs text-blue-500">{schema.items.$ref.split('/').pop()}</span>
+                  <span className="text-xs text-blue-500">
+                    {schema.items.$ref ? getRefName(schema.items.$ref) : getSchemaType(schema.items)}
+                  </span>
                   <ArrowRight className="w-3 h-3 text-blue-500" />
                 </div>
               </div>
@@ -160,59 +183,76 @@ const DefinitionPane = ({ definition, onClose, onNavigate, depth, allDefinitions
             )}
           </div>
         )}
+
+        {usages.length > 0 && (
+          <div>
+            <div className="px-4 py-2 bg-gray-50">
+              <h4 className="text-xs font-semibold text-gray-600 flex items-center gap-2">
+                <CornerDownRight className="w-3 h-3" />
+                Used by ({usages.length})
+              </h4>
+            </div>
+            {usages.map((usage, index) => (
+              <div
+                key={index}
+                className="px-3 py-2 border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
+                onClick={() => onOpenLocation && onOpenLocation({ file: usage.file, path: usage.path })}
+                title="Open in Explorer"
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-mono text-xs text-gray-700 truncate">{formatLocation(usage)}</span>
+                  <ArrowRight className="w-3 h-3 text-gray-400 flex-shrink-0" />
+                </div>
+                {usage.property && (
+                  <p className="text-xs text-gray-500 mt-0.5">
+                    via <span className="font-mono">{usage.property}</span>
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-const DefinitionsExplorer = ({ definitions, rootSchema, onUpdate }) => {
+const DefinitionsExplorer = ({ definitions, resolver, references, onUpdate, onOpenLocation }) => {
   if (!definitions || definitions.length === 0) return null;
 
-  const resolveRef = (ref) => {
-    if (!ref || !ref.startsWith('#')) return null;
-    
-    const parts = ref.split('/').slice(1);
-    let current = rootSchema;
-    
-    for (const part of parts) {
-      if (current && typeof current === 'object') {
-        current = current[part];
-      } else {
-        return null;
+  // Open `target` to the right of pane `fromDepth`, dropping anything deeper
+  const handleNavigate = (target, path, label, fromDepth) => {
+    const kept = definitions.slice(0, fromDepth + 1);
+    if (target.$ref) {
+      const resolved = resolver.resolve(target.$ref, target);
+      if (resolved) {
+        onUpdate([...kept, { name: getRefName(target.$ref), schema: resolved, ref: target.$ref, path }]);
       }
-    }
-    
-    return current;
-  };
-
-  const handleNavigate = (ref, path) => {
-    const resolved = resolveRef(ref);
-    if (resolved) {
-      const defName = ref.split('/').pop();
-      onUpdate([...definitions, { name: defName, schema: resolved, ref, path }]);
+    } else {
+      onUpdate([...kept, { name: label, schema: target, path }]);
     }
   };
 
   const handleClose = (index) => {
-    const newDefs = [...definitions];
-    newDefs.splice(index, 1);
-    onUpdate(newDefs);
+    onUpdate(definitions.slice(0, index));
   };
 
   return (
-    <div className="flex flex-1 overflow-hidden">
+    <div className="flex flex-1 overflow-x-auto overflow-y-hidden">
       {definitions.map((def, index) => (
         <DefinitionPane
-          key={`${def.ref}-${index}`}
+          key={`${def.path.join('.')}-${index}`}
           definition={def}
           onClose={() => handleClose(index)}
           onNavigate={handleNavigate}
           depth={index}
           allDefinitions={definitions}
+          references={references}
+          onOpenLocation={onOpenLocation}
         />
       ))}
     </div>
   );
 };
 
-export default DefinitionsExplorer;
\ No newline at end of file
+export default DefinitionsExplorer;
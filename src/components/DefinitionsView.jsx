@@ -0,0 +1,99 @@
+import React, { useState, useMemo } from 'react';
+import { BookOpen } from 'lucide-react';
+import SearchBar from './SearchBar';
+import DefinitionsExplorer from './DefinitionsExplorer';
+import { getSchemaType } from '../utils/schemaParser';
+import { collectDefinitions } from '../utils/referenceIndex';
+
+const DefinitionsView = ({ resolver, references, onOpenLocation }) => {
+  const [filter, setFilter] = useState('');
+  const [unusedOnly, setUnusedOnly] = useState(false);
+  const [panes, setPanes] = useState([]);
+
+  const definitions = useMemo(() => collectDefinitions(resolver), [resolver]);
+  const showFiles = resolver.documentCount > 1;
+
+  const unusedCount = definitions.filter(({ schema }) => references.getIncoming(schema).length === 0).length;
+  const visible = definitions.filter(({ name, schema }) => (
+    name.toLowerCase().includes(filter.trim().toLowerCase())
+    && (!unusedOnly || references.getIncoming(schema).length === 0)
+  ));
+  const selected = panes[0];
+
+  return (
+    <div className="flex-1 flex overflow-hidden min-w-0">
+      <div className="w-72 flex-shrink-0 border-r border-gray-200 bg-white flex flex-col">
+        <div className="p-2 border-b border-gray-200">
+          <SearchBar
+            value={filter}
+            onChange={setFilter}
+            onClear={() => setFilter('')}
+            placeholder="Filter definitions..."
+          />
+          <button
+            onClick={() => setUnusedOnly((prev) => !prev)}
+            disabled={unusedCount === 0 && !unusedOnly}
+            className={`mt-2 px-2 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+              unusedOnly ? 'bg-amber-100 text-amber-800' : 'text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            Unused only ({unusedCount})
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto">
+          {visible.length === 0 && (
+            <p className="px-3 py-2 text-sm text-gray-500">
+              {definitions.length === 0 ? 'This schema has no $defs or definitions' : 'No matching definitions'}
+            </p>
+          )}
+          {visible.map((definition) => {
+            const usageCount = references.getIncoming(definition.schema).length;
+            const isSelected = selected && selected.schema === definition.schema;
+            return (
+              <button
+                key={`${definition.file || ''}#${definition.path.join('/')}`}
+                onClick={() => setPanes([{ ...definition }])}
+                className={`w-full text-left px-3 py-2 border-b border-gray-100 ${isSelected ? 'bg-blue-100' : 'hover:bg-gray-50'}`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-mono text-sm truncate">{definition.name}</span>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    <span className="text-xs text-gray-500 bg-gray-100 px-2 py-0.5 rounded">
+                      {getSchemaType(definition.schema)}
+                    </span>
+                    <span
+                      className={`text-xs px-2 py-0.5 rounded ${usageCount === 0 ? 'bg-amber-100 text-amber-800' : 'bg-blue-50 text-blue-700'}`}
+                      title={`Referenced ${usageCount} time${usageCount === 1 ? '' : 's'}`}
+                    >
+                      {usageCount}×
+                    </span>
+                  </div>
+                </div>
+                {showFiles && definition.file && (
+                  <div className="text-xs text-gray-400 font-mono truncate">{definition.file}</div>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {panes.length > 0 ? (
+        <DefinitionsExplorer
+          definitions={panes}
+          resolver={resolver}
+          references={references}
+          onUpdate={setPanes}
+          onOpenLocation={onOpenLocation}
+        />
+      ) : (
+        <div className="flex-1 flex items-center justify-center text-gray-500 gap-2">
+          <BookOpen className="w-5 h-5" />
+          <p>Select a definition to browse it</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DefinitionsView;
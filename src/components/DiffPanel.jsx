@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { Upload, Link2, GitCompare, ArrowLeftRight, X, Plus, Minus, Pencil, ArrowRight, Check } from 'lucide-react';
+import MonacoEditor from '@monaco-editor/react';
+import { formatDiffPath } from '../utils/schemaDiff';
+import { parseSchemaText, detectFormat, FORMATS } from '../utils/schemaFormat';
+
+const changeIcons = {
+  added: <Plus className="w-4 h-4 text-green-600 flex-shrink-0" />,
+  removed: <Minus className="w-4 h-4 text-red-600 flex-shrink-0" />,
+  changed: <Pencil className="w-4 h-4 text-amber-600 flex-shrink-0" />,
+};
+
+const filters = [
+  { value: 'all', label: 'All changes' },
+  { value: 'producer', label: 'Breaking for producers' },
+  { value: 'consumer', label: 'Breaking for consumers' },
+];
+
+const DiffPanel = ({ diff, comparison, comparisonIsOlder, highlight, onLoad, onClear, onSwap, onToggleHighlight, onOpenLocation }) => {
+  const [pasted, setPasted] = useState('');
+  const [loadError, setLoadError] = useState(null);
+  const [filter, setFilter] = useState('all');
+
+  const load = (text, label) => {
+    const { value, error, format } = parseSchemaText(text, detectFormat(text, label));
+    if (error) {
+      setLoadError(`${label}: invalid ${FORMATS[format].label} at line ${error.line}, column ${error.column}: ${error.message}`);
+      return;
+    }
+    onLoad(value, label);
+    setLoadError(null);
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (file) load(await file.text(), file.name);
+  };
+
+  const handleUrl = async () => {
+    const url = prompt('Enter URL of the schema to compare with:');
+    if (!url) return;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        setLoadError(`${url}: HTTP ${response.status}`);
+        return;
+      }
+      load(await response.text(), url);
+    } catch (err) {
+      setLoadError('Failed to load schema from URL');
+    }
+  };
+
+  if (!comparison) {
+    return (
+      <div className="flex-1 flex flex-col p-4 min-w-0">
+        <div className="mb-4">
+          <h2 className="text-xl font-semibold mb-2 flex items-center gap-2">
+            <GitCompare className="w-5 h-5" />
+            Compare with another version
+          </h2>
+          <p className="text-base text-gray-600 mb-4">
+            Upload a file, load from URL, or paste the other version of the schema below
+          </p>
+          <div className="flex items-center gap-2">
+            <label className="px-3 py-1.5 text-base bg-blue-500 text-white hover:bg-blue-600 rounded-lg cursor-pointer transition-colors">
+              <input type="file" accept=".json,.yaml,.yml" onChange={handleFile} className="hidden" />
+              <Upload className="w-4 h-4 inline mr-1" />
+              Upload
+            </label>
+            <button
+              onClick={handleUrl}
+              className="px-3 py-1.5 text-base bg-green-500 text-white hover:bg-green-600 rounded-lg transition-colors"
+            >
+              <Link2 className="w-4 h-4 inline mr-1" />
+              Load URL
+            </button>
+            <button
+              onClick={() => load(pasted, 'Pasted schema')}
+              disabled={!pasted.trim()}
+              className="px-3 py-1.5 text-base bg-gray-200 hover:bg-gray-300 rounded-lg transition-colors disabled:opacity-50"
+            >
+              Compare pasted
+            </button>
+          </div>
+          {loadError && <p className="mt-2 text-sm text-red-600">{loadError}</p>}
+        </div>
+        <div className="flex-1 min-h-0">
+          <MonacoEditor
+            height="100%"
+            language={detectFormat(pasted)}
+            theme="vs-dark"
+            value={pasted}
+            onChange={(next) => setPasted(next || '')}
+            options={{
+              minimap: { enabled: false },
+              fontSize: 16,
+              wordWrap: 'on',
+              automaticLayout: true,
+            }}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  const producerCount = diff.changes.filter(({ breaking }) => breaking.producer).length;
+  const consumerCount = diff.changes.filter(({ breaking }) => breaking.consumer).length;
+  const visible = diff.changes.filter(({ breaking }) => filter === 'all' || breaking[filter]);
+
+  // Changes are located in both versions; open the side that is loaded
+  const getLoadedPath = (change) => (comparisonIsOlder ? change.path : change.oldPath);
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden bg-white">
+      <div className="px-4 py-2 border-b border-gray-200 bg-gray-50 flex items-center gap-2 flex-shrink-0 flex-wrap">
+        <span className="text-sm text-gray-600">
+          {comparisonIsOlder ? 'Changes since' : 'Changes in'}{' '}
+          <span className="font-mono text-gray-900">{comparison.label}</span>
+        </span>
+        <button
+          onClick={onSwap}
+          title="Swap which version is the older one"
+          className="px-2 py-1 text-sm rounded text-gray-600 hover:bg-gray-200 transition-colors"
+        >
+          <ArrowLeftRight className="w-4 h-4 inline mr-1" />
+          Swap
+        </button>
+        <button
+          onClick={onClear}
+          className="px-2 py-1 text-sm rounded text-gray-600 hover:bg-gray-200 transition-colors"
+        >
+          <X className="w-4 h-4 inline mr-1" />
+          Clear
+        </button>
+        <label className="ml-auto flex items-center gap-1 text-sm text-gray-700">
+          <input type="checkbox" checked={highlight} onChange={onToggleHighlight} />
+          Color Explorer and Graph
+        </label>
+      </div>
+
+      <div className="px-4 py-2 border-b border-gray-200 flex items-center gap-2 flex-shrink-0">
+        {filters.map(({ value, label }) => (
+          <button
+            key={value}
+            onClick={() => setFilter(value)}
+            className={`px-2 py-1 text-sm rounded transition-colors ${
+              filter === value ? 'bg-gray-700 text-white' : 'text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            {label} ({value === 'all' ? diff.changes.length : value === 'producer' ? producerCount : consumerCount})
+          </button>
+        ))}
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {diff.changes.length === 0 ? (
+          <div className="flex items-center justify-center gap-2 h-full text-green-600">
+            <Check className="w-5 h-5" />
+            <p>The two versions are structurally identical</p>
+          </div>
+        ) : (
+          visible.map((change, index) => {
+            const loadedPath = getLoadedPath(change);
+            return (
+              <div
+                key={index}
+                className={`px-4 py-2 border-b border-gray-100 ${loadedPath ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                onClick={() => loadedPath && onOpenLocation({ file: null, path: loadedPath })}
+                title={loadedPath ? 'Open in Explorer' : 'Only in the other version'}
+              >
+                <div className="flex items-center gap-2">
+                  {changeIcons[change.type]}
+                  <span className="text-base flex-1">{change.message}</span>
+                  {change.breaking.producer && (
+                    <span className="text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded flex-shrink-0">breaks producers</span>
+                  )}
+                  {change.breaking.consumer && (
+                    <span className="text-xs bg-orange-100 text-orange-700 px-2 py-0.5 rounded flex-shrink-0">breaks consumers</span>
+                  )}
+                  {loadedPath && <ArrowRight className="w-3 h-3 text-gray-400 flex-shrink-0" />}
+                </div>
+                <p className="text-sm text-gray-500 font-mono mt-0.5 ml-6 truncate">
+                  {formatDiffPath(change.path || change.oldPath)}
+                </p>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DiffPanel;
@@ -0,0 +1,120 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { CheckCircle, XCircle, AlertCircle, ArrowRight } from 'lucide-react';
+import MonacoEditor from '@monaco-editor/react';
+import { validateInstance } from '../utils/validator';
+import { configureInstanceSchema, clearInstanceSchema } from '../utils/monacoJson';
+
+const dialects = [
+  { value: '', label: 'Auto ($schema)' },
+  { value: 'draft-07', label: 'Draft-07' },
+  { value: '2019-09', label: '2019-09' },
+  { value: '2020-12', label: '2020-12' },
+];
+
+const InstanceValidator = ({ schema, resolver, value, onChange, onOpenLocation }) => {
+  const [dialect, setDialect] = useState('');
+  const [editor, setEditor] = useState(null);
+
+  // Let Monaco complete, document and squiggle the instance against the loaded schema
+  useEffect(() => {
+    if (!editor) return undefined;
+    configureInstanceSchema(editor.monaco, editor.modelUri, resolver);
+    return () => clearInstanceSchema(editor.monaco);
+  }, [editor, resolver]);
+
+  const result = useMemo(() => {
+    if (!value.trim()) return null;
+
+    let instance;
+    try {
+      instance = JSON.parse(value);
+    } catch (err) {
+      return { parseError: err.message };
+    }
+
+    return validateInstance(instance, schema, { resolver, dialect: dialect || undefined });
+  }, [value, schema, resolver, dialect]);
+
+  return (
+    <div className="flex-1 flex overflow-hidden min-w-0">
+      <div className="flex-1 p-4 min-w-0">
+        <MonacoEditor
+          height="100%"
+          language="json"
+          theme="vs-dark"
+          path="instance.json"
+          value={value}
+          onChange={(next) => onChange(next || '')}
+          onMount={(instance, monaco) => setEditor({ monaco, modelUri: instance.getModel().uri.toString() })}
+          options={{
+            minimap: { enabled: false },
+            fontSize: 16,
+            wordWrap: 'on',
+            automaticLayout: true,
+          }}
+        />
+      </div>
+
+      <div className="w-[28rem] flex-shrink-0 bg-white border-l border-gray-200 flex flex-col">
+        <div className="px-4 py-3 border-b border-gray-200 bg-gray-50 flex items-center justify-between gap-2">
+          <h3 className="font-semibold text-base">Validation</h3>
+          <select
+            value={dialect}
+            onChange={(e) => setDialect(e.target.value)}
+            className="px-2 py-1 text-sm border border-gray-300 rounded bg-white"
+          >
+            {dialects.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {!result && (
+            <p className="px-4 py-3 text-base text-gray-500">Paste a JSON document to validate it against the schema</p>
+          )}
+
+          {result?.parseError && (
+            <div className="px-4 py-3 flex items-start gap-2 text-red-700">
+              <AlertCircle className="w-4 h-4 mt-1 flex-shrink-0" />
+              <p className="text-base">Invalid JSON: {result.parseError}</p>
+            </div>
+          )}
+
+          {result && !result.parseError && (
+            <>
+              <div className={`px-4 py-3 border-b border-gray-100 flex items-center gap-2 ${result.valid ? 'text-green-700' : 'text-red-700'}`}>
+                {result.valid ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+                <span className="text-base font-semibold">
+                  {result.valid ? 'Valid' : `${result.errors.length} error${result.errors.length === 1 ? '' : 's'}`}
+                </span>
+                <span className="text-sm text-gray-500 ml-auto">{result.dialect}</span>
+              </div>
+
+              {result.errors.map((error, index) => (
+                <div
+                  key={index}
+                  className="px-3 py-2 border-b border-gray-100 cursor-pointer hover:bg-gray-50"
+                  onClick={() => onOpenLocation(error.location)}
+                  title="Open in Explorer"
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-mono text-sm truncate">{error.instancePath || '(root)'}</span>
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                      <span className="text-xs bg-red-100 text-red-800 px-2 py-0.5 rounded">{error.keyword}</span>
+                      <ArrowRight className="w-3 h-3 text-gray-400" />
+                    </div>
+                  </div>
+                  <p className="text-sm text-gray-700 mt-1">{error.message}</p>
+                  <p className="text-xs text-gray-400 font-mono mt-1 truncate">{error.schemaPath}</p>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InstanceValidator;
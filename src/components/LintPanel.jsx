@@ -0,0 +1,107 @@
+import React, { useState, useMemo } from 'react';
+import { AlertCircle, AlertTriangle, Info, Download, ArrowRight, Check } from 'lucide-react';
+import { lintSchema, formatFindings, SEVERITIES } from '../utils/schemaLint';
+import { formatLocation } from '../utils/referenceIndex';
+import { getApiKind, API_SCHEMA_KEYWORDS } from '../utils/apiDocument';
+
+const severityIcons = {
+  error: <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0" />,
+  warning: <AlertTriangle className="w-4 h-4 text-amber-500 flex-shrink-0" />,
+  info: <Info className="w-4 h-4 text-blue-500 flex-shrink-0" />,
+};
+
+const severityLabels = {
+  error: 'Errors',
+  warning: 'Warnings',
+  info: 'Info',
+};
+
+const LintPanel = ({ resolver, references, onOpenLocation }) => {
+  const findings = useMemo(() => lintSchema(resolver, references, {
+    extraKeywords: getApiKind(resolver.getDocument(null)) ? API_SCHEMA_KEYWORDS : [],
+  }), [resolver, references]);
+  const [hidden, setHidden] = useState(() => new Set());
+
+  const counts = SEVERITIES.reduce((acc, severity) => ({
+    ...acc,
+    [severity]: findings.filter((finding) => finding.severity === severity).length,
+  }), {});
+  const visible = findings.filter((finding) => !hidden.has(finding.severity));
+
+  const toggleSeverity = (severity) => {
+    setHidden((prev) => {
+      const next = new Set(prev);
+      if (next.has(severity)) {
+        next.delete(severity);
+      } else {
+        next.add(severity);
+      }
+      return next;
+    });
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(formatFindings(findings), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'schema-lint.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden bg-white">
+      <div className="px-4 py-2 border-b border-gray-200 bg-gray-50 flex items-center gap-2 flex-shrink-0">
+        {SEVERITIES.map((severity) => (
+          <button
+            key={severity}
+            onClick={() => toggleSeverity(severity)}
+            className={`px-2 py-1 text-sm rounded flex items-center gap-1 transition-colors ${
+              hidden.has(severity) ? 'text-gray-400 hover:bg-gray-200' : 'bg-white border border-gray-200 hover:bg-gray-100'
+            }`}
+          >
+            {severityIcons[severity]}
+            {severityLabels[severity]} ({counts[severity]})
+          </button>
+        ))}
+        <button
+          onClick={handleExport}
+          disabled={findings.length === 0}
+          className="ml-auto px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded transition-colors disabled:opacity-50"
+        >
+          <Download className="w-4 h-4 inline mr-1" />
+          Export JSON
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {findings.length === 0 ? (
+          <div className="flex items-center justify-center gap-2 h-full text-green-600">
+            <Check className="w-5 h-5" />
+            <p>No problems found</p>
+          </div>
+        ) : (
+          visible.map((finding, index) => (
+            <div
+              key={index}
+              className="px-4 py-2 border-b border-gray-100 cursor-pointer hover:bg-gray-50"
+              onClick={() => onOpenLocation(finding.location)}
+              title="Open in Explorer"
+            >
+              <div className="flex items-center gap-2">
+                {severityIcons[finding.severity]}
+                <span className="text-base flex-1">{finding.message}</span>
+                <span className="text-xs text-gray-500 bg-gray-100 px-2 py-0.5 rounded font-mono flex-shrink-0">{finding.rule}</span>
+                <ArrowRight className="w-3 h-3 text-gray-400 flex-shrink-0" />
+              </div>
+              <p className="text-sm text-gray-500 font-mono mt-0.5 ml-6 truncate">{formatLocation(finding.location)}</p>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LintPanel;
@@ -0,0 +1,320 @@
+import React from 'react';
+import { Plus, Trash2, ArrowRight, PackagePlus, PackageOpen } from 'lucide-react';
+import { getSchemaType } from '../utils/schemaParser';
+import { getRefName } from '../utils/refResolver';
+import { isPlainObject } from '../utils/schemaUtils';
+import {
+  setKeyword, addProperty, renameProperty, removeProperty, setRequired,
+  extractDefinition, inlineReference, suggestDefinitionName,
+} from '../utils/schemaEdits';
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const NUMBER_CONSTRAINTS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'];
+
+// Constraints offered for each type; booleans are checkboxes, the rest text fields
+const constraintsByType = {
+  string: ['minLength', 'maxLength', 'pattern', 'format'],
+  number: NUMBER_CONSTRAINTS,
+  integer: NUMBER_CONSTRAINTS,
+  array: ['minItems', 'maxItems', 'uniqueItems'],
+  object: ['minProperties', 'maxProperties'],
+};
+
+const TEXT_CONSTRAINTS = ['pattern', 'format'];
+
+const DEFINITION_KEYWORDS = ['$defs', 'definitions'];
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Enum values are edited one per line; lines that aren't JSON are taken as strings
+const parseEnumLine = (line) => {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    return line;
+  }
+};
+
+const TypeSelect = ({ value, onChange, className = '' }) => {
+  const current = Array.isArray(value) ? value.join(', ') : value || '';
+  return (
+    <select
+      value={current}
+      onChange={(e) => onChange(e.target.value || undefined)}
+      className={`px-2 py-1 text-sm border border-gray-300 rounded bg-white ${className}`}
+    >
+      <option value="">any</option>
+      {Array.isArray(value) && <option value={current}>{current}</option>}
+      {TYPES.map((type) => (
+        <option key={type} value={type}>{type}</option>
+      ))}
+    </select>
+  );
+};
+
+/**
+ * Form for editing the schema shown in an Explorer pane. Each change builds a
+ * new root document and hands it to `onEdit`; only schemas that live in the
+ * root document can be edited.
+ */
+const SchemaEditForm = ({ pane, parentPane, resolver, onEdit, onOpenProperty }) => {
+  const { schema } = pane;
+  const [newProperty, setNewProperty] = React.useState('');
+  const location = resolver.getLocation(schema);
+
+  if (!isPlainObject(schema) || !location || location.file !== null) {
+    return (
+      <p className="px-4 py-3 text-base text-gray-500">
+        Only schemas defined in the entry document can be edited here
+      </p>
+    );
+  }
+
+  const document = resolver.getDocument(null);
+  const edit = (operation, ...args) => onEdit(operation(document, location.path, ...args));
+  const type = Array.isArray(schema.type) ? null : schema.type || getSchemaType(schema);
+  const properties = isPlainObject(schema.properties) ? Object.entries(schema.properties) : [];
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const isDefinition = (location.path.length === 2 && DEFINITION_KEYWORDS.includes(location.path[0]))
+    || (location.path.length === 3 && location.path[0] === 'components' && location.path[1] === 'schemas');
+
+  // Where the `$ref` that opened this pane is written: the parent's location plus the steps between the panes
+  const parentLocation = pane.ref && parentPane ? resolver.getLocation(parentPane.schema) : null;
+  const refPath = parentLocation && parentLocation.file === null
+    ? [...parentLocation.path, ...pane.path.slice(parentPane.path.length)]
+    : null;
+
+  // Asks again, with a free name filled in, while the chosen one is already defined
+  const extract = (path, preferred, message = 'Name of the new definition:') => {
+    const name = prompt(message, suggestDefinitionName(document, preferred))?.trim();
+    if (!name) return;
+    const next = extractDefinition(document, path, name);
+    if (next) onEdit(next);
+    else extract(path, name, `"${name}" is already defined. Name of the new definition:`);
+  };
+
+  const handleAddProperty = () => {
+    const name = newProperty.trim();
+    if (!name || (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, name))) return;
+    edit(addProperty, name);
+    setNewProperty('');
+  };
+
+  const handleRename = (from, to) => {
+    const name = to.trim();
+    if (!name || name === from || Object.prototype.hasOwnProperty.call(schema.properties, name)) return false;
+    edit(renameProperty, from, name);
+    return true;
+  };
+
+  const handleDescription = (value) => {
+    const next = value.trim() ? value : undefined;
+    if (next !== schema.description) edit(setKeyword, 'description', next);
+  };
+
+  const handleEnum = (value) => {
+    const lines = value.split('\n').map((line) => line.trim()).filter(Boolean);
+    const next = lines.length > 0 ? lines.map(parseEnumLine) : undefined;
+    if (JSON.stringify(next) !== JSON.stringify(schema.enum)) edit(setKeyword, 'enum', next);
+  };
+
+  const handleConstraint = (keyword, value) => {
+    let next;
+    if (value.trim() === '') next = undefined;
+    else if (TEXT_CONSTRAINTS.includes(keyword)) next = value;
+    else if (Number.isFinite(Number(value))) next = Number(value);
+    else return;
+    if (next !== schema[keyword]) edit(setKeyword, keyword, next);
+  };
+
+  const propertyPath = (key) => [...location.path, 'properties', key];
+
+  return (
+    <div>
+      <div className="px-4 py-3 border-b border-gray-100 flex flex-wrap gap-2">
+        {refPath && (
+          <button
+            onClick={() => onEdit(inlineReference(document, refPath, schema))}
+            title={`Replace ${pane.ref} with a copy of the schema it points to`}
+            className="px-2 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+          >
+            <PackageOpen className="w-4 h-4 inline mr-1" />
+            Inline reference
+          </button>
+        )}
+        {location.path.length > 0 && !isDefinition && (
+          <button
+            onClick={() => extract(location.path, schema.title || pane.name.split(' → ').pop())}
+            title="Move this schema into the shared definitions and reference it from here"
+            className="px-2 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+          >
+            <PackagePlus className="w-4 h-4 inline mr-1" />
+            Extract to definition
+          </button>
+        )}
+      </div>
+
+      <div className="px-4 py-3 border-b border-gray-100">
+        <h4 className="text-sm font-semibold text-gray-600 mb-1">Type</h4>
+        <TypeSelect value={schema.type} onChange={(value) => edit(setKeyword, 'type', value)} />
+      </div>
+
+      <div className="px-4 py-3 border-b border-gray-100">
+        <h4 className="text-sm font-semibold text-gray-600 mb-1">Description</h4>
+        <textarea
+          key={schema.description || ''}
+          defaultValue={schema.description || ''}
+          onBlur={(e) => handleDescription(e.target.value)}
+          rows={3}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="px-4 py-3 border-b border-gray-100">
+        <h4 className="text-sm font-semibold text-gray-600 mb-1">Enum Values</h4>
+        <textarea
+          key={JSON.stringify(schema.enum || [])}
+          defaultValue={(schema.enum || []).map((value) => JSON.stringify(value)).join('\n')}
+          onBlur={(e) => handleEnum(e.target.value)}
+          rows={3}
+          placeholder="One JSON value per line"
+          className={`${inputClass} font-mono`}
+        />
+      </div>
+
+      {constraintsByType[type] && (
+        <div className="px-4 py-3 border-b border-gray-100">
+          <h4 className="text-sm font-semibold text-gray-600 mb-2">Constraints</h4>
+          <div className="grid grid-cols-2 gap-2">
+            {constraintsByType[type].map((keyword) => (
+              keyword === 'uniqueItems' ? (
+                <label key={keyword} className="flex items-center gap-1 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={schema.uniqueItems === true}
+                    onChange={(e) => edit(setKeyword, 'uniqueItems', e.target.checked || undefined)}
+                  />
+                  uniqueItems
+                </label>
+              ) : (
+                <label key={keyword} className="text-xs text-gray-500">
+                  {keyword}
+                  <input
+                    key={String(schema[keyword] ?? '')}
+                    type={TEXT_CONSTRAINTS.includes(keyword) ? 'text' : 'number'}
+                    defaultValue={schema[keyword] ?? ''}
+                    onBlur={(e) => handleConstraint(keyword, e.target.value)}
+                    className={`${inputClass} ${keyword === 'pattern' ? 'font-mono' : ''}`}
+                  />
+                </label>
+              )
+            ))}
+          </div>
+        </div>
+      )}
+
+      {(type === 'object' || properties.length > 0) && (
+        <div>
+          <div className="px-4 py-2 bg-gray-50">
+            <h4 className="text-sm font-semibold text-gray-600">Properties</h4>
+          </div>
+          {properties.map(([key, value]) => {
+            const isRef = isPlainObject(value) && typeof value.$ref === 'string';
+            const target = isRef ? resolver.resolve(value.$ref, value) : null;
+            return (
+              <div key={key} className="px-3 py-2 border-b border-gray-100">
+                <div className="flex items-center gap-2">
+                  <input
+                    defaultValue={key}
+                    onBlur={(e) => {
+                      if (!handleRename(key, e.target.value)) e.target.value = key;
+                    }}
+                    onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                    className={`${inputClass} font-mono flex-1 min-w-0`}
+                  />
+                  <label className="flex items-center gap-1 text-sm text-gray-600 flex-shrink-0" title="Required">
+                    <input
+                      type="checkbox"
+                      checked={required.includes(key)}
+                      onChange={(e) => edit(setRequired, key, e.target.checked)}
+                    />
+                    req
+                  </label>
+                  <button
+                    onClick={() => edit(removeProperty, key)}
+                    title="Delete property"
+                    className="p-1 text-gray-500 hover:text-red-600 hover:bg-gray-100 rounded transition-colors flex-shrink-0"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onOpenProperty(key, value, [...pane.path, 'properties', key])}
+                    title="Open"
+                    className="p-1 text-gray-500 hover:bg-gray-100 rounded transition-colors flex-shrink-0"
+                  >
+                    <ArrowRight className="w-4 h-4" />
+                  </button>
+                </div>
+                <div className="flex items-center gap-2 mt-1">
+                  {isRef ? (
+                    <>
+                      <span className="text-sm text-blue-500 flex-1 truncate">{getRefName(value.$ref)}</span>
+                      {target !== undefined && target !== null && (
+                        <button
+                          onClick={() => onEdit(inlineReference(document, propertyPath(key), target))}
+                          title={`Replace ${value.$ref} with a copy of the schema it points to`}
+                          className="px-2 py-0.5 text-xs bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+                        >
+                          <PackageOpen className="w-3 h-3 inline mr-1" />
+                          Inline
+                        </button>
+                      )}
+                    </>
+                  ) : (
+                    <>
+                      <TypeSelect
+                        value={isPlainObject(value) ? value.type : undefined}
+                        onChange={(next) => onEdit(setKeyword(document, propertyPath(key), 'type', next))}
+                        className="flex-1"
+                      />
+                      {isPlainObject(value) && (
+                        <button
+                          onClick={() => extract(propertyPath(key), value.title || key)}
+                          title="Move this property's schema into the shared definitions and reference it"
+                          className="px-2 py-0.5 text-xs bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+                        >
+                          <PackagePlus className="w-3 h-3 inline mr-1" />
+                          Extract
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          <div className="px-3 py-2 flex items-center gap-2">
+            <input
+              value={newProperty}
+              onChange={(e) => setNewProperty(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleAddProperty()}
+              placeholder="New property name"
+              className={`${inputClass} font-mono flex-1`}
+            />
+            <button
+              onClick={handleAddProperty}
+              disabled={!newProperty.trim()}
+              className="px-2 py-1 text-sm bg-blue-500 text-white hover:bg-blue-600 rounded transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4 inline mr-1" />
+              Add
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SchemaEditForm;
@@ -1,6 +1,15 @@
 import React from 'react';
-import { X, FileText, ArrowRight, Hash, Type, Layers, AlertCircle, Brackets, Braces, ToggleLeft, Split, Package } from 'lucide-react';
+import { X, FileText, ArrowRight, Hash, Type, Layers, AlertCircle, Brackets, Braces, ToggleLeft, Split, Package, Shuffle, GitBranch, Ban, Link, Merge, AlertTriangle, CornerDownRight, GitCompare, Pencil, Tag, Code } from 'lucide-react';
 import { getSchemaType } from '../utils/schemaParser';
+import { getRefName } from '../utils/refResolver';
+import { buildPaneStack, getPaneLocation } from '../utils/schemaPaths';
+import { generateExample } from '../utils/exampleGenerator';
+import { flattenAllOf } from '../utils/effectiveSchema';
+import { findDiscriminator, formatVariantLabel, flattenVariant } from '../utils/variants';
+import { formatLocation } from '../utils/referenceIndex';
+import { getApiKind, formatApiKind, collectEntryPoints, getDiscriminatorMapping, ENTRY_GROUPS } from '../utils/apiDocument';
+import SchemaEditForm from './SchemaEditForm';
+import { describeConditional, describeCondition, describeOutcome, getDependentRequired, getDependentSchemas } from '../utils/conditions';
 
 const typeIcons = {
   string: <Type className="w-4 h-4 text-green-500" />,
@@ -15,25 +24,61 @@ const typeIcons = {
   any: <AlertCircle className="w-4 h-4 text-gray-500" />,
 };
 
-const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes }) => {
+// How a row differs from the compared version of the schema
+const diffStyles = {
+  added: 'border-l-4 border-l-green-500',
+  removed: 'border-l-4 border-l-red-400',
+  changed: 'border-l-4 border-l-amber-400',
+};
+
+const diffBadges = {
+  added: 'bg-green-100 text-green-700',
+  removed: 'bg-red-100 text-red-700',
+  changed: 'bg-amber-100 text-amber-800',
+};
+
+const SchemaPane = ({ pane, onClose, onNavigate, onJumpBack, onOpenLocation, depth, resolver, references, diff, allPanes, mergeAllOf, editing, onEdit }) => {
   const { name, schema, path } = pane;
   const type = getSchemaType(schema);
+  // Only worth showing where a definition lives when the workspace has several files
+  const file = resolver.documentCount > 1 ? resolver.getFile(schema) : null;
+  const [tab, setTab] = React.useState('details');
+  const [variant, setVariant] = React.useState(0);
+  // Option index per combinator whose merged properties are shown inline
+  const [variantChoice, setVariantChoice] = React.useState({});
+  // The root pane of an OpenAPI/AsyncAPI document lists its entry points instead of properties
+  const apiKind = depth === 0 ? getApiKind(schema) : null;
+  const entries = apiKind ? collectEntryPoints(resolver) : [];
 
-  const resolveRef = (ref) => {
-    if (!ref || !ref.startsWith('#')) return null;
-    
-    const parts = ref.split('/').slice(1);
-    let current = rootSchema;
-    
-    for (const part of parts) {
-      if (current && typeof current === 'object') {
-        current = current[part];
-      } else {
-        return null;
-      }
-    }
-    
-    return current;
+  const example = React.useMemo(
+    () => (tab === 'example' ? generateExample(schema, { resolver, variant }) : null),
+    [tab, schema, resolver, variant]
+  );
+
+  // With "Merge allOf" on, show the flattened property list instead of the branches
+  const effective = React.useMemo(
+    () => (mergeAllOf && Array.isArray(schema.allOf) && schema.allOf.length > 0 ? flattenAllOf(schema, resolver) : null),
+    [mergeAllOf, schema, resolver]
+  );
+
+  const getDiffStatus = (value) => (diff && value && typeof value === 'object' ? diff.getStatus(value) : null);
+  const diffClass = (value) => diffStyles[getDiffStatus(value)] || '';
+  const paneChanges = diff ? diff.getChanges(schema) : [];
+  const missingProperties = diff ? diff.getMissing(schema) : [];
+
+  // An open pane already showing `target`; a recursive reference jumps back to it instead of nesting forever
+  const findOpenPane = (target) => allPanes.slice(0, depth + 1).findIndex((open) => open.schema === target);
+
+  const navigate = (newPane) => {
+    const openIndex = newPane.ref ? findOpenPane(newPane.schema) : -1;
+    if (openIndex >= 0) onJumpBack(openIndex);
+    else onNavigate(newPane, depth);
+  };
+
+  const renderBackLink = (item) => {
+    if (!item || typeof item !== 'object' || typeof item.$ref !== 'string') return null;
+    if (findOpenPane(resolver.resolve(item.$ref, item)) === -1) return null;
+    return <span className="text-sm text-cyan-600 flex-shrink-0">↺ back to {getRefName(item.$ref)}</span>;
   };
 
   const handlePropertyClick = (key, value, newPath) => {
@@ -42,10 +87,10 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
     let navigationName = key;
     
     if (value.$ref) {
-      const resolved = resolveRef(value.$ref);
+      const resolved = resolver.resolve(value.$ref, value);
       if (resolved) {
         schemaToNavigate = resolved;
-        const refName = value.$ref.split('/').pop();
+        const refName = getRefName(value.$ref);
         navigationName = `${key} → ${refName}`;
       }
     }
@@ -54,39 +99,51 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
     
     // Navigate if it's a complex type
     if (propType === 'object' || propType === 'array' || 
-        schemaToNavigate.oneOf || schemaToNavigate.anyOf || schemaToNavigate.allOf) {
-      onNavigate({ name: navigationName, schema: schemaToNavigate, path: newPath }, depth);
+        schemaToNavigate.oneOf || schemaToNavigate.anyOf || schemaToNavigate.allOf ||
+        schemaToNavigate.if !== undefined || schemaToNavigate.not !== undefined) {
+      navigate({ name: navigationName, schema: schemaToNavigate, path: newPath, ref: value.$ref });
     }
   };
 
-  const renderPropertyRow = (key, value, propertyPath) => {
+  // `effectiveProperty` carries the sources and conflicts of a flattened allOf property
+  // Merged properties declared behind a `$ref` open where they really live
+  const getEffectivePath = (property) => {
+    if (!property.location) return [...path, ...property.path];
+    return property.location.file ? [property.location.file, ...property.location.path] : property.location.path;
+  };
+
+  const renderPropertyRow = (key, value, propertyPath, effectiveProperty = null) => {
     // Resolve reference if present
     let resolvedValue = value;
     let refName = null;
+    let refFile = null;
     if (value.$ref) {
-      const resolved = resolveRef(value.$ref);
+      const resolved = resolver.lookup(value.$ref, value);
       if (resolved) {
-        resolvedValue = { ...resolved, $ref: value.$ref };
-        refName = value.$ref.split('/').pop();
+        resolvedValue = { ...resolved.schema, $ref: value.$ref };
+        refName = getRefName(value.$ref);
+        refFile = file && resolved.file !== file ? resolved.file : null;
       }
     }
     
     const propType = getSchemaType(resolvedValue);
     const isClickable = propType === 'object' || propType === 'array' || 
                        resolvedValue.$ref || resolvedValue.oneOf || resolvedValue.anyOf || resolvedValue.allOf ||
+                       resolvedValue.if !== undefined || resolvedValue.not !== undefined ||
                        (resolvedValue.items && (resolvedValue.items.$ref || getSchemaType(resolvedValue.items) === 'object'));
-    const isRequired = schema.required && schema.required.includes(key);
+    const isRequired = effectiveProperty ? effectiveProperty.required : schema.required && schema.required.includes(key);
     
     // Check if this property is in the navigation path to the next pane
     const nextPane = allPanes && allPanes[depth + 1];
     // The propertyPath looks like [...path, 'properties', key], so we need to check if this matches
     const isInPath = nextPane && nextPane.path && 
                      propertyPath.every((segment, idx) => nextPane.path[idx] === segment);
+    const diffStatus = getDiffStatus(value);
 
     return (
       <div
         key={key}
-        className={`px-3 py-2 border-b border-gray-100 ${isClickable ? 'cursor-pointer' : ''} ${isInPath ? 'bg-blue-100 hover:bg-blue-100' : isClickable ? 'hover:bg-gray-50' : ''}`}
+        className={`px-3 py-2 border-b border-gray-100 ${diffStyles[diffStatus] || ''} ${isClickable ? 'cursor-pointer' : ''} ${isInPath ? 'bg-blue-100 hover:bg-blue-100' : isClickable ? 'hover:bg-gray-50' : ''}`}
         onClick={() => isClickable && handlePropertyClick(key, value, propertyPath)}
       >
         <div className="flex items-center justify-between">
@@ -94,12 +151,31 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
             {typeIcons[propType] || typeIcons.any}
             <span className="font-mono text-base">{key}</span>
             {isRequired && <span className="text-sm text-red-500">*</span>}
+            {diffStatus && (
+              <span className={`text-xs px-1.5 py-0.5 rounded ${diffBadges[diffStatus]}`}>{diffStatus}</span>
+            )}
+            {effectiveProperty && effectiveProperty.conflicts.length > 0 && (
+              <AlertTriangle className="w-4 h-4 text-red-500" />
+            )}
+            {resolvedValue.nullable === true && (
+              <span className="text-xs bg-gray-100 text-gray-600 px-1.5 py-0.5 rounded">nullable</span>
+            )}
+            {resolvedValue.readOnly === true && (
+              <span className="text-xs bg-sky-100 text-sky-700 px-1.5 py-0.5 rounded">read-only</span>
+            )}
+            {resolvedValue.writeOnly === true && (
+              <span className="text-xs bg-violet-100 text-violet-700 px-1.5 py-0.5 rounded">write-only</span>
+            )}
           </div>
           <div className="flex items-center gap-2">
+            {renderBackLink(value)}
             <span className="text-sm text-gray-500">{propType}</span>
             {refName && (
               <span className="text-sm text-blue-500">{refName}</span>
             )}
+            {refFile && (
+              <span className="text-xs text-gray-400 font-mono">{refFile}</span>
+            )}
             {isClickable && <ArrowRight className="w-3 h-3 text-gray-400" />}
           </div>
         </div>
@@ -118,10 +194,176 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
         {resolvedValue.description && (
           <p className="text-sm text-gray-600 mt-1 ml-6">{resolvedValue.description}</p>
         )}
+        {effectiveProperty && (
+          <div className="flex flex-wrap gap-1 mt-1 ml-6">
+            {effectiveProperty.sources.map((source) => (
+              <span key={source} className="text-xs bg-indigo-50 text-indigo-700 px-2 py-0.5 rounded font-mono">
+                {source}
+              </span>
+            ))}
+          </div>
+        )}
+        {effectiveProperty && effectiveProperty.conflicts.map((conflict, index) => (
+          <p key={index} className="text-sm text-red-600 mt-1 ml-6">{conflict.message}</p>
+        ))}
+      </div>
+    );
+  };
+
+  // Row for a single subschema (if/then/else, not, dependent schemas) that opens it in a new pane
+  const renderSubschemaRow = (label, item, itemPath, paneName, summary) => {
+    const nextPane = allPanes && allPanes[depth + 1];
+    const isInPath = nextPane && nextPane.path &&
+                     itemPath.every((segment, idx) => nextPane.path[idx] === segment);
+    const isNavigable = item && typeof item === 'object';
+
+    return (
+      <div
+        key={itemPath.join('.')}
+        className={`px-3 py-2 border-b border-gray-100 ${isNavigable ? 'cursor-pointer' : ''} ${isInPath ? 'bg-blue-100 hover:bg-blue-100' : isNavigable ? 'hover:bg-gray-50' : ''}`}
+        onClick={() => {
+          if (!isNavigable) return;
+          if (item.$ref) {
+            const resolved = resolver.resolve(item.$ref, item);
+            if (resolved) {
+              navigate({ name: `${paneName} → ${getRefName(item.$ref)}`, schema: resolved, path: itemPath, ref: item.$ref });
+            }
+          } else {
+            navigate({ name: paneName, schema: item, path: itemPath });
+          }
+        }}
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            {isNavigable ? (typeIcons[getSchemaType(item)] || typeIcons.any) : typeIcons.any}
+            <span className="text-base">{label}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            {isNavigable && renderBackLink(item)}
+            {isNavigable && item.$ref && <span className="text-sm text-blue-500">{getRefName(item.$ref)}</span>}
+            {!isNavigable && <span className="text-sm text-gray-500">{item ? 'always valid' : 'never valid'}</span>}
+            {isNavigable && <ArrowRight className="w-3 h-3 text-gray-400" />}
+          </div>
+        </div>
+        {summary && (
+          <p className="text-sm text-gray-600 mt-1 ml-6">{summary}</p>
+        )}
       </div>
     );
   };
 
+  const discriminatorTargets = getDiscriminatorMapping(schema).map(({ value, ref }) => {
+    const target = resolver.lookup(ref, schema);
+    return { value, ref, location: target ? resolver.getLocation(target.schema) : null };
+  });
+
+  // oneOf/anyOf options are labelled by the property that tells them apart, e.g. `type = "http"`
+  const discriminators = React.useMemo(() => ({
+    oneOf: findDiscriminator(schema, resolver, 'oneOf'),
+    anyOf: findDiscriminator(schema, resolver, 'anyOf'),
+  }), [schema, resolver]);
+
+  const variantProperties = React.useMemo(() => {
+    const result = {};
+    Object.entries(variantChoice).forEach(([keyword, index]) => {
+      if (Array.isArray(schema[keyword]) && index < schema[keyword].length) {
+        result[keyword] = flattenVariant(schema, keyword, index, resolver).properties.filter((property) => property.path);
+      }
+    });
+    return result;
+  }, [variantChoice, schema, resolver]);
+
+  const optionLabel = (keyword, item, index) => {
+    const discriminator = discriminators[keyword];
+    if (discriminator && discriminator.values[index] !== undefined) {
+      return formatVariantLabel(discriminator.property, discriminator.values[index]);
+    }
+    return `Option ${index + 1}: ${item.type || (item.$ref ? getRefName(item.$ref) : 'Schema')}`;
+  };
+
+  const renderOptions = (keyword) => (
+    <div key={keyword}>
+      <div className="px-4 py-2 bg-gray-50 flex items-center justify-between gap-2">
+        <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
+          <Split className="w-4 h-4" />
+          {keyword === 'oneOf' ? 'One Of' : 'Any Of'}
+        </h4>
+        {/* Show one option's properties merged with the shared ones */}
+        <select
+          value={variantChoice[keyword] ?? ''}
+          onChange={(e) => {
+            const { value } = e.target;
+            setVariantChoice((prev) => ({ ...prev, [keyword]: value === '' ? undefined : Number(value) }));
+          }}
+          className="text-sm border border-gray-300 rounded bg-white px-1 py-0.5 max-w-[180px]"
+          title="Show a variant's merged properties"
+        >
+          <option value="">Variant…</option>
+          {schema[keyword].map((item, index) => (
+            <option key={index} value={index}>{optionLabel(keyword, item, index)}</option>
+          ))}
+        </select>
+      </div>
+      {schema[keyword].map((item, index) => {
+        const itemPath = [...path, keyword, index];
+        const nextPane = allPanes && allPanes[depth + 1];
+        const isInPath = nextPane && nextPane.path &&
+                         itemPath.every((segment, idx) => nextPane.path[idx] === segment);
+        return (
+        <div
+          key={index}
+          className={`px-3 py-2 border-b border-gray-100 cursor-pointer ${diffClass(item)} ${isInPath ? 'bg-blue-100 hover:bg-blue-100' : 'hover:bg-gray-50'}`}
+          onClick={() => {
+            if (item.$ref) {
+              const resolved = resolver.resolve(item.$ref, item);
+              if (resolved) {
+                const refName = getRefName(item.$ref);
+                navigate({ name: `${name} → ${keyword}[${index}] → ${refName}`, schema: resolved, path: itemPath, ref: item.$ref });
+              }
+            } else {
+              navigate({ name: `${name} → ${keyword}[${index}]`, schema: item, path: itemPath });
+            }
+          }}
+        >
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              {typeIcons[getSchemaType(item)] || typeIcons.any}
+              <span className={`text-base ${discriminators[keyword] ? 'font-mono' : ''}`}>
+                {optionLabel(keyword, item, index)}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              {renderBackLink(item)}
+              {item.$ref && discriminators[keyword] && <span className="text-sm text-blue-500">{getRefName(item.$ref)}</span>}
+              {item.title && <span className="text-sm text-gray-500">{item.title}</span>}
+              <ArrowRight className="w-3 h-3 text-gray-400" />
+            </div>
+          </div>
+          {item.description && (
+            <p className="text-sm text-gray-600 mt-1 ml-6">{item.description}</p>
+          )}
+        </div>
+        );
+      })}
+      {variantProperties[keyword] && (
+        <div className="border-l-4 border-l-indigo-300">
+          <div className="px-4 py-2 bg-indigo-50">
+            <h4 className="text-sm font-semibold text-indigo-700">
+              {optionLabel(keyword, schema[keyword][variantChoice[keyword]], variantChoice[keyword])}: Properties
+            </h4>
+          </div>
+          {variantProperties[keyword].map((property) => (
+            renderPropertyRow(property.name, property.schema, getEffectivePath(property), property)
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const dependentRequired = getDependentRequired(schema);
+  const referencedFrom = references ? references.getIncoming(schema) : [];
+  const dependentSchemas = getDependentSchemas(schema);
+
   const renderConstraints = () => {
     const constraints = [];
     
@@ -152,7 +394,10 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
         <div className="flex items-center gap-2 flex-1 min-w-0">
           {depth === 0 ? <Package className="w-4 h-4 text-indigo-500" /> : (typeIcons[type] || typeIcons.any)}
           <h3 className="font-semibold text-base truncate">{name}</h3>
-          <span className="text-sm text-gray-500 bg-gray-200 px-2 py-0.5 rounded flex-shrink-0">{type}</span>
+          <span className="text-sm text-gray-500 bg-gray-200 px-2 py-0.5 rounded flex-shrink-0">{apiKind ? formatApiKind(apiKind) : type}</span>
+          {file && (
+            <span className="text-xs text-gray-500 font-mono truncate" title={file}>{file}</span>
+          )}
         </div>
         {depth > 0 && (
           <button
@@ -164,6 +409,45 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
         )}
       </div>
 
+      <div className="flex border-b border-gray-200 bg-gray-50">
+        {['details', 'example'].map((tabName) => (
+          <button
+            key={tabName}
+            onClick={() => setTab(tabName)}
+            className={`px-4 py-1.5 text-sm capitalize transition-colors ${
+              tab === tabName ? 'border-b-2 border-blue-500 text-gray-900 font-semibold' : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {tabName}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'example' ? (
+        <div className="flex-1 overflow-y-auto p-4">
+          {/* Cycles oneOf/anyOf branches, enum values and examples */}
+          <button
+            onClick={() => setVariant((prev) => prev + 1)}
+            className="mb-2 px-2 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+          >
+            <Shuffle className="w-3 h-3 inline mr-1" />
+            Variant {variant + 1}
+          </button>
+          <pre className="text-sm bg-gray-100 p-2 rounded overflow-auto">
+            {JSON.stringify(example, null, 2)}
+          </pre>
+        </div>
+      ) : editing ? (
+        <div className="flex-1 overflow-y-auto">
+          <SchemaEditForm
+            pane={pane}
+            parentPane={allPanes[depth - 1]}
+            resolver={resolver}
+            onEdit={onEdit}
+            onOpenProperty={handlePropertyClick}
+          />
+        </div>
+      ) : (
       <div className="flex-1 overflow-y-auto">
         {schema.title && (
           <div className="px-4 py-3 border-b border-gray-100">
@@ -180,7 +464,73 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
         )}
 
 
-        {type === 'object' && schema.properties && Object.keys(schema.properties).length > 0 && (
+        {paneChanges.length > 0 && (
+          <div>
+            <div className="px-4 py-2 bg-gray-50">
+              <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
+                <GitCompare className="w-4 h-4" />
+                Changes ({paneChanges.length})
+              </h4>
+            </div>
+            {paneChanges.map((change, index) => (
+              <div key={index} className="px-4 py-2 border-b border-gray-100 text-sm flex items-center gap-2">
+                <span className={`text-xs px-1.5 py-0.5 rounded flex-shrink-0 ${diffBadges[change.type]}`}>{change.type}</span>
+                <span className="flex-1 text-gray-700">{change.message}</span>
+                {change.breaking.producer && <span className="text-xs text-red-600 flex-shrink-0" title="Breaks producers">P</span>}
+                {change.breaking.consumer && <span className="text-xs text-orange-600 flex-shrink-0" title="Breaks consumers">C</span>}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {effective && (
+          <div>
+            <div className="px-4 py-2 bg-gray-50">
+              <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
+                <Merge className="w-4 h-4" />
+                Effective Properties
+              </h4>
+            </div>
+            {effective.conflicts.filter(({ property }) => property === null).map((conflict, index) => (
+              <p key={index} className="px-4 py-2 text-sm text-red-700 bg-red-50 border-b border-gray-100 flex items-center gap-2">
+                <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                {conflict.message}
+              </p>
+            ))}
+            {effective.properties.map((property) => (
+              property.path
+                ? renderPropertyRow(property.name, property.schema, getEffectivePath(property), property)
+                : (
+                  <div key={property.name} className="px-3 py-2 border-b border-gray-100">
+                    <div className="flex items-center gap-2">
+                      {typeIcons.any}
+                      <span className="font-mono text-base">{property.name}</span>
+                      <span className="text-sm text-red-500">*</span>
+                      <AlertTriangle className="w-4 h-4 text-red-500" />
+                    </div>
+                    {property.conflicts.map((conflict, index) => (
+                      <p key={index} className="text-sm text-red-600 mt-1 ml-6">{conflict.message}</p>
+                    ))}
+                  </div>
+                )
+            ))}
+          </div>
+        )}
+
+        {Object.entries(ENTRY_GROUPS).map(([group, { label }]) => {
+          const groupEntries = entries.filter((entry) => entry.group === group);
+          if (groupEntries.length === 0) return null;
+          return (
+            <div key={group}>
+              <div className="px-4 py-2 bg-gray-50">
+                <h4 className="text-sm font-semibold text-gray-600">{label} ({groupEntries.length})</h4>
+              </div>
+              {groupEntries.map((entry) => renderSubschemaRow(entry.name, entry.schema, entry.path, entry.name))}
+            </div>
+          );
+        })}
+
+        {!effective && type === 'object' && schema.properties && Object.keys(schema.properties).length > 0 && (
           <div>
             <div className="px-4 py-2 bg-gray-50">
               <h4 className="text-sm font-semibold text-gray-600">Properties</h4>
@@ -191,6 +541,25 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
           </div>
         )}
 
+        {missingProperties.length > 0 && (
+          <div>
+            <div className="px-4 py-2 bg-gray-50">
+              <h4 className="text-sm font-semibold text-gray-600">
+                {missingProperties[0].status === 'removed' ? 'Removed Properties' : 'Properties Added in Newer Version'}
+              </h4>
+            </div>
+            {missingProperties.map(({ name: propertyName, schema: propertySchema, status }) => (
+              <div key={propertyName} className={`px-3 py-2 border-b border-gray-100 ${diffStyles[status]}`}>
+                <div className="flex items-center gap-2">
+                  {typeIcons[getSchemaType(propertySchema)] || typeIcons.any}
+                  <span className={`font-mono text-base text-gray-500 ${status === 'removed' ? 'line-through' : ''}`}>{propertyName}</span>
+                  <span className={`text-xs px-1.5 py-0.5 rounded ${diffBadges[status]}`}>{status}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {type === 'array' && schema.items && (
           <div className="px-4 py-3 border-b border-gray-100">
             <h4 className="text-sm font-semibold text-gray-600 mb-2">Array Items</h4>
@@ -207,29 +576,32 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
               
               return (
                 <div
-                  className="flex items-center justify-between cursor-pointer hover:bg-gray-50 p-2 rounded"
+                  className={`flex items-center justify-between cursor-pointer hover:bg-gray-50 p-2 rounded ${diffClass(schema.items)}`}
                   onClick={() => {
                     if (schema.items.$ref) {
-                      const resolved = resolveRef(schema.items.$ref);
+                      const resolved = resolver.resolve(schema.items.$ref, schema.items);
                       if (resolved) {
-                        const refName = schema.items.$ref.split('/').pop();
-                        onNavigate({ name: `[items] → ${refName}`, schema: resolved, path: [...path, 'items'], ref: schema.items.$ref }, depth);
+                        const refName = getRefName(schema.items.$ref);
+                        navigate({ name: `[items] → ${refName}`, schema: resolved, path: [...path, 'items'], ref: schema.items.$ref });
                       }
                     } else {
-                      onNavigate({ name: '[items]', schema: schema.items, path: [...path, 'items'] }, depth);
+                      navigate({ name: '[items]', schema: schema.items, path: [...path, 'items'] });
                     }
                   }}
                 >
                   <span className="text-base">
                     Item Type: {
-                      schema.items.$ref ? schema.items.$ref.split('/').pop() :
+                      schema.items.$ref ? getRefName(schema.items.$ref) :
                       hasOneOf ? 'oneOf' :
                       hasAnyOf ? 'anyOf' :
                       hasAllOf ? 'allOf' :
                       itemsType
                     }
                   </span>
-                  <ArrowRight className="w-3 h-3 text-gray-400" />
+                  <div className="flex items-center gap-2">
+                    {renderBackLink(schema.items)}
+                    <ArrowRight className="w-3 h-3 text-gray-400" />
+                  </div>
                 </div>
               );
             })()}
@@ -280,32 +652,34 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
           </div>
         )}
 
-        {schema.oneOf && (
+        {['oneOf', 'anyOf'].map((keyword) => Array.isArray(schema[keyword]) && renderOptions(keyword))}
+
+        {schema.allOf && !effective && (
           <div>
             <div className="px-4 py-2 bg-gray-50">
               <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
                 <Split className="w-4 h-4" />
-                One Of
+                All Of
               </h4>
             </div>
-            {schema.oneOf.map((item, index) => {
-              const itemPath = [...path, 'oneOf', index];
+            {schema.allOf.map((item, index) => {
+              const itemPath = [...path, 'allOf', index];
               const nextPane = allPanes && allPanes[depth + 1];
               const isInPath = nextPane && nextPane.path && 
                                itemPath.every((segment, idx) => nextPane.path[idx] === segment);
               return (
               <div
                 key={index}
-                className={`px-3 py-2 border-b border-gray-100 cursor-pointer ${isInPath ? 'bg-blue-100 hover:bg-blue-100' : 'hover:bg-gray-50'}`}
+                className={`px-3 py-2 border-b border-gray-100 cursor-pointer ${diffClass(item)} ${isInPath ? 'bg-blue-100 hover:bg-blue-100' : 'hover:bg-gray-50'}`}
                 onClick={() => {
                   if (item.$ref) {
-                    const resolved = resolveRef(item.$ref);
+                    const resolved = resolver.resolve(item.$ref, item);
                     if (resolved) {
-                      const refName = item.$ref.split('/').pop();
-                      onNavigate({ name: `${name} → oneOf[${index}] → ${refName}`, schema: resolved, path: [...path, 'oneOf', index], ref: item.$ref }, depth);
+                      const refName = getRefName(item.$ref);
+                      navigate({ name: `${name} → allOf[${index}] → ${refName}`, schema: resolved, path: [...path, 'allOf', index], ref: item.$ref });
                     }
                   } else {
-                    onNavigate({ name: `${name} → oneOf[${index}]`, schema: item, path: [...path, 'oneOf', index] }, depth);
+                    navigate({ name: `${name} → allOf[${index}]`, schema: item, path: [...path, 'allOf', index] });
                   }
                 }}
               >
@@ -313,10 +687,11 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
                   <div className="flex items-center gap-2">
                     {typeIcons[getSchemaType(item)] || typeIcons.any}
                     <span className="text-base">
-                      Option {index + 1}: {item.type || (item.$ref ? item.$ref.split('/').pop() : 'Schema')}
+                      Schema {index + 1}: {item.type || (item.$ref ? getRefName(item.$ref) : 'Schema')}
                     </span>
                   </div>
                   <div className="flex items-center gap-2">
+                    {renderBackLink(item)}
                     {item.title && <span className="text-sm text-gray-500">{item.title}</span>}
                     <ArrowRight className="w-3 h-3 text-gray-400" />
                   </div>
@@ -329,119 +704,192 @@ const SchemaPane = ({ pane, onClose, onNavigate, depth, rootSchema, allPanes })
             })}
           </div>
         )}
-
-        {schema.anyOf && (
+        {schema.discriminator && typeof schema.discriminator === 'object' && (
           <div>
             <div className="px-4 py-2 bg-gray-50">
               <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
-                <Split className="w-4 h-4" />
-                Any Of
+                <Tag className="w-4 h-4" />
+                Discriminator
               </h4>
             </div>
-            {schema.anyOf.map((item, index) => {
-              const itemPath = [...path, 'anyOf', index];
-              const nextPane = allPanes && allPanes[depth + 1];
-              const isInPath = nextPane && nextPane.path && 
-                               itemPath.every((segment, idx) => nextPane.path[idx] === segment);
-              return (
+            <p className="px-4 py-2 text-base border-b border-gray-100">
+              Variant chosen by <span className="font-mono">{schema.discriminator.propertyName}</span>
+            </p>
+            {discriminatorTargets.map(({ value, ref, location: targetLocation }) => (
               <div
-                key={index}
-                className={`px-3 py-2 border-b border-gray-100 cursor-pointer ${isInPath ? 'bg-blue-100 hover:bg-blue-100' : 'hover:bg-gray-50'}`}
-                onClick={() => {
-                  if (item.$ref) {
-                    const resolved = resolveRef(item.$ref);
-                    if (resolved) {
-                      const refName = item.$ref.split('/').pop();
-                      onNavigate({ name: `${name} → anyOf[${index}] → ${refName}`, schema: resolved, path: [...path, 'anyOf', index], ref: item.$ref }, depth);
-                    }
-                  } else {
-                    onNavigate({ name: `${name} → anyOf[${index}]`, schema: item, path: [...path, 'anyOf', index] }, depth);
-                  }
-                }}
+                key={value}
+                className={`px-3 py-2 border-b border-gray-100 flex items-center justify-between gap-2 ${targetLocation ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                onClick={() => targetLocation && onOpenLocation(targetLocation)}
               >
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center gap-2">
-                    {typeIcons[getSchemaType(item)] || typeIcons.any}
-                    <span className="text-base">
-                      Option {index + 1}: {item.type || (item.$ref ? item.$ref.split('/').pop() : 'Schema')}
-                    </span>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    {item.title && <span className="text-sm text-gray-500">{item.title}</span>}
-                    <ArrowRight className="w-3 h-3 text-gray-400" />
-                  </div>
+                <span className="font-mono text-sm">{JSON.stringify(value)}</span>
+                <div className="flex items-center gap-2">
+                  <span className={`text-sm ${targetLocation ? 'text-blue-500' : 'text-red-500'}`}>{getRefName(ref)}</span>
+                  {targetLocation && <ArrowRight className="w-3 h-3 text-gray-400" />}
                 </div>
-                {item.description && (
-                  <p className="text-sm text-gray-600 mt-1 ml-6">{item.description}</p>
-                )}
               </div>
-              );
-            })}
+            ))}
           </div>
         )}
 
-        {schema.allOf && (
+        {schema.xml && typeof schema.xml === 'object' && (
+          <div className="px-4 py-3 border-b border-gray-100">
+            <h4 className="text-sm font-semibold text-gray-600 mb-2 flex items-center gap-2">
+              <Code className="w-4 h-4" />
+              XML
+            </h4>
+            <div className="space-y-1">
+              {Object.entries(schema.xml).map(([key, value]) => (
+                <div key={key} className="text-sm flex gap-2">
+                  <span className="text-gray-500 w-24 flex-shrink-0">{key}</span>
+                  <span className="font-mono">{JSON.stringify(value)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {schema.if !== undefined && (
           <div>
             <div className="px-4 py-2 bg-gray-50">
               <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
-                <Split className="w-4 h-4" />
-                All Of
+                <GitBranch className="w-4 h-4" />
+                Conditional
               </h4>
             </div>
-            {schema.allOf.map((item, index) => {
-              const itemPath = [...path, 'allOf', index];
-              const nextPane = allPanes && allPanes[depth + 1];
-              const isInPath = nextPane && nextPane.path && 
-                               itemPath.every((segment, idx) => nextPane.path[idx] === segment);
-              return (
+            <p className="px-4 py-2 text-sm text-amber-900 bg-amber-50 border-b border-gray-100">
+              {describeConditional(schema, resolver)}
+            </p>
+            {renderSubschemaRow('If', schema.if, [...path, 'if'], `${name} → if`, describeCondition(schema.if, resolver))}
+            {schema.then !== undefined && renderSubschemaRow('Then', schema.then, [...path, 'then'], `${name} → then`, describeOutcome(schema.then, resolver))}
+            {schema.else !== undefined && renderSubschemaRow('Else', schema.else, [...path, 'else'], `${name} → else`, describeOutcome(schema.else, resolver))}
+          </div>
+        )}
+
+        {schema.not !== undefined && (
+          <div>
+            <div className="px-4 py-2 bg-gray-50">
+              <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
+                <Ban className="w-4 h-4" />
+                Not
+              </h4>
+            </div>
+            {renderSubschemaRow(
+              'Must not match',
+              schema.not,
+              [...path, 'not'],
+              `${name} → not`,
+              describeCondition(schema.not, resolver) && `Invalid when ${describeCondition(schema.not, resolver)}`
+            )}
+          </div>
+        )}
+
+        {Object.keys(dependentRequired).length > 0 && (
+          <div>
+            <div className="px-4 py-2 bg-gray-50">
+              <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
+                <Link className="w-4 h-4" />
+                Dependent Required
+              </h4>
+            </div>
+            {Object.entries(dependentRequired).map(([key, dependents]) => (
+              <div key={key} className="px-3 py-2 border-b border-gray-100">
+                <p className="text-base">
+                  When <span className="font-mono">{key}</span> is present,{' '}
+                  {dependents.map((dependent, index) => (
+                    <React.Fragment key={dependent}>
+                      {index > 0 && ', '}
+                      <span className="font-mono">{dependent}</span>
+                    </React.Fragment>
+                  ))}{' '}
+                  {dependents.length === 1 ? 'is' : 'are'} required
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {dependentSchemas.length > 0 && (
+          <div>
+            <div className="px-4 py-2 bg-gray-50">
+              <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
+                <Link className="w-4 h-4" />
+                Dependent Schemas
+              </h4>
+            </div>
+            {dependentSchemas.map(({ property, schema: dependentSchema, keyword }) => renderSubschemaRow(
+              <>When <span className="font-mono">{property}</span> is present</>,
+              dependentSchema,
+              [...path, keyword, property],
+              `${name} → when ${property}`,
+              describeOutcome(dependentSchema, resolver)
+            ))}
+          </div>
+        )}
+
+        {referencedFrom.length > 0 && (
+          <div>
+            <div className="px-4 py-2 bg-gray-50">
+              <h4 className="text-sm font-semibold text-gray-600 flex items-center gap-2">
+                <CornerDownRight className="w-4 h-4" />
+                Referenced from ({referencedFrom.length})
+              </h4>
+            </div>
+            {referencedFrom.map((edge, index) => (
               <div
                 key={index}
-                className={`px-3 py-2 border-b border-gray-100 cursor-pointer ${isInPath ? 'bg-blue-100 hover:bg-blue-100' : 'hover:bg-gray-50'}`}
-                onClick={() => {
-                  if (item.$ref) {
-                    const resolved = resolveRef(item.$ref);
-                    if (resolved) {
-                      const refName = item.$ref.split('/').pop();
-                      onNavigate({ name: `${name} → allOf[${index}] → ${refName}`, schema: resolved, path: [...path, 'allOf', index], ref: item.$ref }, depth);
-                    }
-                  } else {
-                    onNavigate({ name: `${name} → allOf[${index}]`, schema: item, path: [...path, 'allOf', index] }, depth);
-                  }
-                }}
+                className="px-3 py-2 border-b border-gray-100 cursor-pointer hover:bg-gray-50"
+                onClick={() => onOpenLocation({ file: edge.file, path: edge.path })}
               >
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center gap-2">
-                    {typeIcons[getSchemaType(item)] || typeIcons.any}
-                    <span className="text-base">
-                      Schema {index + 1}: {item.type || (item.$ref ? item.$ref.split('/').pop() : 'Schema')}
-                    </span>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    {item.title && <span className="text-sm text-gray-500">{item.title}</span>}
-                    <ArrowRight className="w-3 h-3 text-gray-400" />
-                  </div>
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-mono text-sm text-gray-700 truncate">{formatLocation(edge)}</span>
+                  <ArrowRight className="w-3 h-3 text-gray-400 flex-shrink-0" />
                 </div>
-                {item.description && (
-                  <p className="text-sm text-gray-600 mt-1 ml-6">{item.description}</p>
+                {edge.property && (
+                  <p className="text-sm text-gray-500 mt-1 ml-6">
+                    via <span className="font-mono">{edge.property}</span>
+                  </p>
                 )}
               </div>
-              );
-            })}
+            ))}
           </div>
         )}
 
-
       </div>
+      )}
     </div>
   );
 };
 
-const SchemaExplorer = ({ schema, rootSchema }) => {
-  const [panes, setPanes] = React.useState([
-    { name: 'root', schema, path: [], depth: 0 }
-  ]);
+// `onEdit` receives the whole edited root document; without it the Explorer is read-only
+const SchemaExplorer = ({ schema, resolver, references, diff, location, onPathChange, onEdit }) => {
+  const [panes, setPanes] = React.useState(() => (
+    location
+      ? buildPaneStack(location, resolver).map((pane, index) => ({ ...pane, depth: index }))
+      : [{ name: 'root', schema, path: [], depth: 0 }]
+  ));
+  const [mergeAllOf, setMergeAllOf] = React.useState(false);
+  const [editing, setEditing] = React.useState(false);
   const scrollContainerRef = React.useRef(null);
   const previousPaneCountRef = React.useRef(1);
+  const previousInputsRef = React.useRef({ location, resolver });
+
+  // Open the pane stack for a schema location requested from another view;
+  // when only the schema changed (e.g. it was edited), stay on the same path
+  React.useEffect(() => {
+    const previous = previousInputsRef.current;
+    previousInputsRef.current = { location, resolver };
+    if (location && location !== previous.location) {
+      setPanes(buildPaneStack(location, resolver).map((pane, index) => ({ ...pane, depth: index })));
+    } else if (resolver !== previous.resolver) {
+      setPanes((prev) => buildPaneStack(getPaneLocation(prev[prev.length - 1].path, resolver), resolver)
+        .map((pane, index) => ({ ...pane, depth: index })));
+    }
+  }, [location, resolver]);
+
+  // Report the deepest pane so the URL can restore the whole stack
+  React.useEffect(() => {
+    if (onPathChange) onPathChange(panes[panes.length - 1].path);
+  }, [panes, onPathChange]);
 
   // Handle scrolling when panes change
   React.useEffect(() => {
@@ -471,6 +919,11 @@ const SchemaExplorer = ({ schema, rootSchema }) => {
     });
   };
 
+  // Rebuild the stack so it ends at a referencing location
+  const handleOpenLocation = (target) => {
+    setPanes(buildPaneStack(target, resolver).map((pane, index) => ({ ...pane, depth: index })));
+  };
+
   const handleClose = (index) => {
     if (index === 0) return; // Can't close root
     setPanes(prev => prev.slice(0, index));
@@ -497,6 +950,28 @@ const SchemaExplorer = ({ schema, rootSchema }) => {
             </button>
           </React.Fragment>
         ))}
+        {onEdit && (
+          <button
+            onClick={() => setEditing((prev) => !prev)}
+            title="Edit the schemas shown in the panes"
+            className={`ml-auto px-2 py-1 text-sm rounded flex items-center gap-1 flex-shrink-0 transition-colors ${
+              editing ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            <Pencil className="w-4 h-4" />
+            Edit
+          </button>
+        )}
+        <button
+          onClick={() => setMergeAllOf((prev) => !prev)}
+          title="Flatten allOf chains into one property list"
+          className={`${onEdit ? '' : 'ml-auto '}px-2 py-1 text-sm rounded flex items-center gap-1 flex-shrink-0 transition-colors ${
+            mergeAllOf ? 'bg-indigo-100 text-indigo-700' : 'text-gray-600 hover:bg-gray-200'
+          }`}
+        >
+          <Merge className="w-4 h-4" />
+          Merge allOf
+        </button>
       </div>
       
       {/* Panes */}
@@ -511,9 +986,16 @@ const SchemaExplorer = ({ schema, rootSchema }) => {
             pane={pane}
             onClose={() => handleClose(index)}
             onNavigate={handleNavigate}
+            onJumpBack={handleBreadcrumbClick}
+            onOpenLocation={handleOpenLocation}
             depth={index}
-            rootSchema={rootSchema || schema}
+            resolver={resolver}
+            references={references}
+            diff={diff}
             allPanes={panes}
+            mergeAllOf={mergeAllOf}
+            editing={editing}
+            onEdit={onEdit}
           />
         ))}
       </div>
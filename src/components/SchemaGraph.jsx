@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useLayoutEffect } from 'react';
+import React, { useState, useCallback, useLayoutEffect, useEffect, useMemo, useRef } from 'react';
 import {
   ReactFlow,
   MiniMap,
@@ -9,11 +9,18 @@ import {
   Position,
   ReactFlowProvider,
   useReactFlow,
+  useNodesInitialized,
   Handle,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
 import { Hash, Type, Layers, FileText, AlertCircle, Plus, Minus, Brackets, Braces, ToggleLeft } from 'lucide-react';
 import { getSchemaType } from '../utils/schemaParser';
+import { getRefName, toPointer } from '../utils/refResolver';
+import { splitPathSteps } from '../utils/schemaPaths';
+import { collectEntryPoints } from '../utils/apiDocument';
+import { findDiscriminator, formatVariantLabel, flattenVariant } from '../utils/variants';
+import { computeLayout } from '../utils/graphLayout';
+import { describeCondition, describeOutcome, getDependentRequired, getDependentSchemas } from '../utils/conditions';
 
 const typeIcons = {
   string: <Type className="w-3 h-3 text-green-500" />,
@@ -28,12 +35,43 @@ const typeIcons = {
   any: <AlertCircle className="w-3 h-3 text-gray-500" />,
 };
 
+// Conditional keywords get their own colours so rules stand out from plain structure
+const relationStyles = {
+  if: { color: '#d97706', node: 'bg-amber-50 border-amber-400', dashed: true },
+  then: { color: '#16a34a', node: 'bg-green-50 border-green-500' },
+  else: { color: '#dc2626', node: 'bg-red-50 border-red-400' },
+  not: { color: '#dc2626', node: 'bg-red-50 border-red-400 border-dashed', dashed: true },
+  dependentSchemas: { color: '#9333ea', node: 'bg-purple-50 border-purple-400', dashed: true },
+  dependentRequired: { color: '#9333ea', node: 'bg-purple-50 border-purple-400 border-dashed', dashed: true },
+};
+
+// A reference back to one of its own ancestors, drawn instead of expanding the cycle again
+const recursionStyle = { color: '#0891b2', node: 'bg-cyan-50 border-cyan-500 border-dashed' };
+
+// Another reference to a schema already in the graph points at that node instead of repeating it
+const sharedRefStyle = { color: '#2563eb' };
+
+// Diff colours take precedence over type colours while a comparison is shown
+const diffStyles = {
+  added: { color: '#16a34a', node: 'bg-green-50 border-green-500' },
+  removed: { color: '#dc2626', node: 'bg-red-50 border-red-400 border-dashed' },
+  changed: { color: '#d97706', node: 'bg-amber-50 border-amber-400' },
+};
+
+// Spacing for the layered layout; the sizes themselves are measured from the rendered nodes
+const LAYOUT_OPTIONS = { layerGap: 80, nodeGap: 24, edgeGap: 16 };
+const LAYOUT_ANIMATION_MS = 300;
+
 const SchemaNode = ({ data, isConnectable }) => {
-  const { name, schema, onExpand, isExpanded, hasChildren, childCount } = data;
+  const { name, schema, file, relation, summary, onExpand, isExpanded, hasChildren, childCount, isFocused, isHighlighted, usageCount, diffStatus, missingSummary, recursionTarget, onFollow, direction } = data;
+  const vertical = direction === 'TB';
   const type = getSchemaType(schema);
 
   // Determine node color based on type
   const getNodeColor = () => {
+    if (diffStatus) return diffStyles[diffStatus].node;
+    if (recursionTarget) return recursionStyle.node;
+    if (relation && relationStyles[relation]) return relationStyles[relation].node;
     switch (type) {
       case 'object': return 'bg-blue-50 border-blue-300';
       case 'array': return 'bg-orange-50 border-orange-300';
@@ -46,9 +84,12 @@ const SchemaNode = ({ data, isConnectable }) => {
   };
 
   const formatDisplayName = (name, schema) => {
-    if (schema.$ref) {
+    if (schema.$ref || recursionTarget) {
       return `${name}`;
     }
+    if (relation) {
+      return name;
+    }
     if (type !== 'object' && type !== 'array') {
       return `${name}:${type}`;
     }
@@ -57,13 +98,13 @@ const SchemaNode = ({ data, isConnectable }) => {
 
   return (
     <div 
-      className={`rounded-lg border-2 shadow-sm ${getNodeColor()} min-w-[140px] ${hasChildren ? 'cursor-pointer hover:shadow-lg' : ''} transition-all duration-200 relative group`}
-      onClick={() => hasChildren && onExpand()}
+      className={`rounded-lg border-2 shadow-sm ${getNodeColor()} min-w-[140px] ${hasChildren || recursionTarget ? 'cursor-pointer hover:shadow-lg' : ''} ${isFocused ? 'ring-4 ring-blue-400' : isHighlighted ? 'ring-2 ring-blue-300' : ''} transition-all duration-200 relative group`}
+      onClick={() => (recursionTarget ? onFollow() : hasChildren && onExpand())}
       title={schema.description || ''}
     >
       <Handle
         type="target"
-        position={Position.Left}
+        position={vertical ? Position.Top : Position.Left}
         style={{ background: '#64748b', width: 8, height: 8 }}
       />
       <div className="px-3 py-2">
@@ -73,9 +114,25 @@ const SchemaNode = ({ data, isConnectable }) => {
             <div className="text-sm font-medium">
               {formatDisplayName(name, schema)}
             </div>
-            {schema.$ref && (
+            {schema.$ref && !recursionTarget && (
               <div className="text-xs text-gray-500">
-                {schema.$ref.split('/').pop()}
+                {getRefName(schema.$ref)}
+              </div>
+            )}
+            {file && (
+              <div className="text-xs text-gray-400 font-mono">{file}</div>
+            )}
+            {usageCount > 1 && (
+              <div className="text-xs text-blue-500" title={`Referenced from ${usageCount} places`}>
+                ← {usageCount} refs
+              </div>
+            )}
+            {summary && (
+              <div className="text-xs text-gray-600 max-w-[220px]">{summary}</div>
+            )}
+            {diffStatus && (
+              <div className="text-xs font-medium" style={{ color: diffStyles[diffStatus].color }}>
+                {diffStatus}{missingSummary ? ` · ${missingSummary}` : ''}
               </div>
             )}
           </div>
@@ -111,10 +168,10 @@ const SchemaNode = ({ data, isConnectable }) => {
           </div>
         </div>
       )}
-      {hasChildren && (
+      {(hasChildren || recursionTarget) && (
         <Handle
           type="source"
-          position={Position.Right}
+          position={vertical ? Position.Bottom : Position.Right}
           style={{ background: '#64748b', width: 8, height: 8 }}
         />
       )}
@@ -126,29 +183,33 @@ const nodeTypes = {
   schemaNode: SchemaNode,
 };
 
-const SchemaGraphInner = ({ schema, rootSchema }) => {
+// Node ids follow the schema path so a path from search can be expanded and focused
+const getNodeId = (path) => (path.length === 0 ? 'root' : `node:${toPointer(path)}`);
+
+// `direction` is `LR` (levels left to right) or `TB` (top to bottom)
+const SchemaGraphInner = ({ schema, resolver, references, diff, focus, direction = 'LR' }) => {
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
   const [expandedNodes, setExpandedNodes] = useState(new Set(['root']));
-  const [isInitialLoad, setIsInitialLoad] = useState(true);
-  const { fitView } = useReactFlow();
-
-  const resolveRef = useCallback((ref) => {
-    if (!ref || !ref.startsWith('#')) return null;
-    
-    const parts = ref.split('/').slice(1);
-    let current = rootSchema || schema;
-    
-    for (const part of parts) {
-      if (current && typeof current === 'object') {
-        current = current[part];
-      } else {
-        return null;
-      }
-    }
-    
-    return current;
-  }, [rootSchema, schema]);
+  const [focusedNodeId, setFocusedNodeId] = useState(null);
+  // Resolved schema under the pointer; every edge that references it lights up
+  const [highlightedSchema, setHighlightedSchema] = useState(null);
+  const { fitView, getNodes } = useReactFlow();
+  const nodesInitialized = useNodesInitialized();
+  // Nodes and edges waiting to be laid out once ReactFlow has measured them
+  const [layoutRequest, setLayoutRequest] = useState(null);
+  const nodesRef = useRef(nodes);
+  nodesRef.current = nodes;
+  const positionsRef = useRef(new Map());
+  const layoutKeyRef = useRef(null);
+  const layoutRunRef = useRef(0);
+  const animationRef = useRef(null);
+  const pendingFocusRef = useRef(null);
+  const hasFittedRef = useRef(false);
+  // Path steps from search still being expanded, and for each path the last
+  // built tree drew as a link (shared or recursive), the path of the node it links to
+  const [focusSteps, setFocusSteps] = useState(null);
+  const aliasesRef = useRef(new Map());
 
   // Function to focus on a specific node
   const focusOnNode = useCallback((nodeId) => {
@@ -161,90 +222,170 @@ const SchemaGraphInner = ({ schema, rootSchema }) => {
     }, 100);
   }, [fitView]);
 
-  // Helper to calculate horizontal tree layout positions
-  const calculateHorizontalLayout = useCallback((tree) => {
-    const positions = new Map();
-    const levelGap = 250; // Horizontal gap between levels
-    const nodeGap = 80; // Vertical gap between nodes
-    
-    // First pass: calculate heights needed for each subtree
-    const calculateSubtreeHeight = (node) => {
-      if (!node.children || node.children.length === 0) {
-        return 1;
-      }
-      return node.children.reduce((sum, child) => sum + calculateSubtreeHeight(child), 0);
-    };
-    
-    // Second pass: position nodes
-    const layoutNode = (node, x = 0, y = 0) => {
-      positions.set(node.id, { x, y });
-      
-      if (node.children && node.children.length > 0) {
-        const childHeights = node.children.map(calculateSubtreeHeight);
-        const totalHeight = childHeights.reduce((sum, h) => sum + h, 0);
-        
-        // Start position for first child
-        let currentY = y - ((totalHeight - 1) * nodeGap) / 2;
-        
-        node.children.forEach((child, index) => {
-          const childHeight = childHeights[index];
-          const childY = currentY + ((childHeight - 1) * nodeGap) / 2;
-          
-          layoutNode(child, x + levelGap, childY);
-          
-          currentY += childHeight * nodeGap;
-        });
+  // Centre on a node once the layout it is waiting for has settled
+  const focusAfterLayout = useCallback((nodeId) => {
+    pendingFocusRef.current = nodeId;
+  }, []);
+
+  const flushFocus = useCallback(() => {
+    if (pendingFocusRef.current) {
+      focusOnNode(pendingFocusRef.current);
+      pendingFocusRef.current = null;
+    } else if (!hasFittedRef.current) {
+      fitView({ duration: 300 });
+    }
+    hasFittedRef.current = true;
+  }, [focusOnNode, fitView]);
+
+  // Move every node from where it is to its laid-out position
+  const animateTo = useCallback((targets) => {
+    cancelAnimationFrame(animationRef.current);
+    const origins = new Map(nodesRef.current.map((node) => [node.id, node.position]));
+    const start = performance.now();
+
+    const step = (now) => {
+      const progress = Math.min(1, (now - start) / LAYOUT_ANIMATION_MS);
+      const eased = 1 - (1 - progress) ** 3;
+      setNodes((current) => current.map((node) => {
+        const target = targets[node.id];
+        if (!target) return node;
+        const origin = origins.get(node.id) || target;
+        return { ...node, position: { x: origin.x + (target.x - origin.x) * eased, y: origin.y + (target.y - origin.y) * eased } };
+      }));
+      if (progress < 1) {
+        animationRef.current = requestAnimationFrame(step);
+      } else {
+        flushFocus();
       }
     };
-    
-    layoutNode(tree);
-    return positions;
-  }, []);
+    animationRef.current = requestAnimationFrame(step);
+  }, [setNodes, flushFocus]);
+
+  useEffect(() => () => cancelAnimationFrame(animationRef.current), []);
+
+  // Path steps to the node a search result lives in; definitions aren't drawn, so stop at them
+  useEffect(() => {
+    if (!focus) return;
+    const steps = splitPathSteps(focus.path, collectEntryPoints(resolver));
+    const definitionStep = steps.findIndex(([keyword]) => keyword === '$defs' || keyword === 'definitions');
+    setFocusSteps(definitionStep === -1 ? steps : steps.slice(0, definitionStep));
+  }, [focus, resolver]);
 
   const buildTree = useCallback(() => {
-    let nodeCounter = 0;
     const nodeMap = new Map();
+    // Node for each resolved schema in the graph, so later references to it become cross-edges
+    const placed = new Map();
+    const aliases = new Map();
     
-    const addNode = (nodeSchema, nodeName, level = 0) => {
-      const nodeId = level === 0 ? 'root' : `node-${nodeCounter++}`;
-      const resolvedSchema = nodeSchema.$ref ? resolveRef(nodeSchema.$ref) || nodeSchema : nodeSchema;
+    // `ancestors` maps each resolved schema on the way down to its node, so a
+    // reference back into the chain becomes a link instead of a fresh subtree
+    const addNode = (nodeSchema, nodeName, level = 0, relation = null, summary = null, path = [], ancestors = new Map()) => {
+      const nodeId = getNodeId(path);
+      const resolvedSchema = nodeSchema.$ref ? resolver.resolve(nodeSchema.$ref, nodeSchema) || nodeSchema : nodeSchema;
+      const file = resolver.documentCount > 1 ? resolver.getFile(resolvedSchema) : null;
+
+      const ancestor = ancestors.get(resolvedSchema);
+      if (ancestor) {
+        aliases.set(nodeId, ancestor.path);
+        const node = {
+          id: nodeId,
+          name: `${nodeName}: ↺ back to ${nodeSchema.$ref ? getRefName(nodeSchema.$ref) : ancestor.name}`,
+          schema: resolvedSchema,
+          ref: nodeSchema.$ref || null,
+          recursionTarget: ancestor.id,
+          relation,
+          summary,
+          level,
+          children: [],
+          hasChildren: false,
+          childCount: 0,
+          isExpanded: false,
+        };
+        nodeMap.set(nodeId, node);
+        return node;
+      }
+      const shared = nodeSchema.$ref ? placed.get(resolvedSchema) : null;
+      if (shared) {
+        aliases.set(nodeId, shared.path);
+        return { id: shared.id, name: nodeName, schema: resolvedSchema, ref: nodeSchema.$ref, relation, sharedWith: shared.id };
+      }
+      const childAncestors = new Map([...ancestors, [resolvedSchema, { id: nodeId, path, name: nodeSchema.$ref ? getRefName(nodeSchema.$ref) : nodeName }]]);
       const isExpanded = expandedNodes.has(nodeId);
+      // Properties only the compared version has
+      const missing = diff ? diff.getMissing(resolvedSchema) : [];
       
       // Count potential children
       const potentialChildren = [];
       
+      // An OpenAPI/AsyncAPI document branches into its entry points
+      if (path.length === 0) {
+        collectEntryPoints(resolver).forEach((entry) => {
+          potentialChildren.push({ key: entry.name, type: 'entry', schema: entry.schema, path: entry.path });
+        });
+      }
+      
       if (resolvedSchema.properties) {
         Object.keys(resolvedSchema.properties).forEach(key => {
-          potentialChildren.push({ key, type: 'property' });
+          potentialChildren.push({ key, type: 'property', path: [...path, 'properties', key] });
         });
       }
       
       if (resolvedSchema.items) {
-        potentialChildren.push({ key: '[items]', type: 'items' });
+        potentialChildren.push({ key: '[items]', type: 'items', path: [...path, 'items'] });
       }
       
-      if (resolvedSchema.oneOf) {
-        resolvedSchema.oneOf.forEach((_, index) => {
-          potentialChildren.push({ key: `oneOf[${index}]`, type: 'oneOf' });
+      // Options are labelled by their discriminating value and list their merged properties
+      ['oneOf', 'anyOf'].forEach((keyword) => {
+        if (!Array.isArray(resolvedSchema[keyword])) return;
+        const discriminator = findDiscriminator(resolvedSchema, resolver, keyword);
+        resolvedSchema[keyword].forEach((_, index) => {
+          const value = discriminator ? discriminator.values[index] : undefined;
+          potentialChildren.push({
+            key: `${keyword}[${index}]`,
+            label: value !== undefined ? formatVariantLabel(discriminator.property, value) : null,
+            type: keyword,
+            path: [...path, keyword, index],
+          });
         });
-      }
-      
-      if (resolvedSchema.anyOf) {
-        resolvedSchema.anyOf.forEach((_, index) => {
-          potentialChildren.push({ key: `anyOf[${index}]`, type: 'anyOf' });
-        });
-      }
+      });
       
       if (resolvedSchema.allOf) {
         resolvedSchema.allOf.forEach((_, index) => {
-          potentialChildren.push({ key: `allOf[${index}]`, type: 'allOf' });
+          potentialChildren.push({ key: `allOf[${index}]`, type: 'allOf', path: [...path, 'allOf', index] });
         });
       }
       
+      ['if', 'then', 'else', 'not'].forEach((keyword) => {
+        if (resolvedSchema[keyword] !== undefined) {
+          potentialChildren.push({ key: keyword, type: keyword, path: [...path, keyword] });
+        }
+      });
+      
+      getDependentSchemas(resolvedSchema).forEach(({ property, schema: dependentSchema, keyword }) => {
+        potentialChildren.push({ key: `when ${property}`, type: 'dependentSchemas', schema: dependentSchema, path: [...path, keyword, property] });
+      });
+      
+      Object.entries(getDependentRequired(resolvedSchema)).forEach(([property, dependents]) => {
+        potentialChildren.push({
+          key: `${property} ⇒ ${dependents.join(', ')}`,
+          type: 'dependentRequired',
+          schema: { required: dependents },
+          path: [...path, 'dependentRequired', property],
+        });
+      });
+      
       const node = {
         id: nodeId,
+        path,
         name: nodeName,
         schema: resolvedSchema,
+        ref: nodeSchema.$ref || null,
+        usageCount: nodeSchema.$ref && references ? references.getIncoming(resolvedSchema).length : 0,
+        diffStatus: diff ? diff.getStatus(nodeSchema) || diff.getStatus(resolvedSchema) : null,
+        missingSummary: missing.length > 0 ? `${missing.length} ${missing.length === 1 ? 'property' : 'properties'} ${missing[0].status}` : null,
+        file,
+        relation,
+        summary,
         level,
         children: [],
         hasChildren: potentialChildren.length > 0,
@@ -253,11 +394,13 @@ const SchemaGraphInner = ({ schema, rootSchema }) => {
       };
       
       nodeMap.set(nodeId, node);
+      placed.set(resolvedSchema, node);
       
       // Only add children if expanded
       if (isExpanded && potentialChildren.length > 0) {
-        potentialChildren.forEach(({ key, type }) => {
+        potentialChildren.forEach(({ key, label, type, schema: entrySchema, path: childPath }) => {
           let childSchema;
+          let summary = null;
           
           switch (type) {
             case 'property':
@@ -267,21 +410,46 @@ const SchemaGraphInner = ({ schema, rootSchema }) => {
               childSchema = resolvedSchema.items;
               break;
             case 'oneOf':
-              const oneOfIndex = parseInt(key.match(/\[(\d+)\]/)[1]);
-              childSchema = resolvedSchema.oneOf[oneOfIndex];
-              break;
             case 'anyOf':
-              const anyOfIndex = parseInt(key.match(/\[(\d+)\]/)[1]);
-              childSchema = resolvedSchema.anyOf[anyOfIndex];
+              const optionIndex = childPath[childPath.length - 1];
+              childSchema = resolvedSchema[type][optionIndex];
+              if (label) {
+                const merged = flattenVariant(resolvedSchema, type, optionIndex, resolver).properties;
+                summary = merged.length > 0 ? merged.map(({ name }) => name).join(', ') : null;
+              }
               break;
             case 'allOf':
               const allOfIndex = parseInt(key.match(/\[(\d+)\]/)[1]);
               childSchema = resolvedSchema.allOf[allOfIndex];
               break;
+            case 'if':
+            case 'not':
+              childSchema = resolvedSchema[type];
+              summary = describeCondition(childSchema, resolver);
+              break;
+            case 'then':
+            case 'else':
+            case 'dependentSchemas':
+              childSchema = entrySchema || resolvedSchema[type];
+              summary = describeOutcome(childSchema, resolver);
+              break;
+            case 'dependentRequired':
+            case 'entry':
+              childSchema = entrySchema;
+              break;
           }
           
-          if (childSchema) {
-            const childNode = addNode(childSchema, key, level + 1);
+          if (childSchema !== undefined && childSchema !== null) {
+            const isRelation = relationStyles[type] !== undefined;
+            const childNode = addNode(
+              typeof childSchema === 'object' ? childSchema : {},
+              label || key,
+              level + 1,
+              isRelation ? type : null,
+              summary,
+              childPath,
+              childAncestors
+            );
             node.children.push(childNode);
           }
         });
@@ -290,30 +458,46 @@ const SchemaGraphInner = ({ schema, rootSchema }) => {
       return node;
     };
     
-    return addNode(schema, 'root');
-  }, [schema, expandedNodes, resolveRef]);
+    const tree = addNode(schema, 'root');
+    aliasesRef.current = aliases;
+    return tree;
+  }, [schema, expandedNodes, resolver, references, diff]);
 
   const generateNodes = useCallback(() => {
     const tree = buildTree();
-    const positions = calculateHorizontalLayout(tree);
+    const vertical = direction === 'TB';
     
     const newNodes = [];
     const newEdges = [];
     
-    const traverse = (node) => {
-      const pos = positions.get(node.id);
+    // Nodes keep their last laid-out position; new ones start at their parent and move out from there
+    const traverse = (node, parentPosition = { x: 0, y: 0 }) => {
+      const pos = positionsRef.current.get(node.id) || parentPosition;
       
       newNodes.push({
         id: node.id,
         type: 'schemaNode',
         position: pos,
         data: {
+          direction,
           name: node.name,
           schema: node.schema,
+          file: node.file,
+          relation: node.relation,
+          summary: node.summary,
           level: node.level,
           hasChildren: node.hasChildren,
           childCount: node.childCount,
           isExpanded: node.isExpanded,
+          isFocused: node.id === focusedNodeId,
+          usageCount: node.usageCount,
+          diffStatus: node.diffStatus,
+          missingSummary: node.missingSummary,
+          recursionTarget: node.recursionTarget,
+          onFollow: () => {
+            setFocusedNodeId(node.recursionTarget);
+            focusOnNode(node.recursionTarget);
+          },
           onExpand: () => {
             setExpandedNodes(prev => {
               const next = new Set(prev);
@@ -323,65 +507,174 @@ const SchemaGraphInner = ({ schema, rootSchema }) => {
               } else {
                 next.add(node.id);
               }
-              // Focus on the node whether expanding or collapsing
-              setTimeout(() => focusOnNode(node.id), 150);
               return next;
             });
+            // Focus on the node whether expanding or collapsing
+            focusAfterLayout(node.id);
           },
         },
-        sourcePosition: Position.Right,
-        targetPosition: Position.Left,
+        sourcePosition: vertical ? Position.Bottom : Position.Right,
+        targetPosition: vertical ? Position.Top : Position.Left,
       });
       
+      if (node.recursionTarget) {
+        newEdges.push({
+          id: `edge-${node.id}-back`,
+          source: node.id,
+          target: node.recursionTarget,
+          type: 'smoothstep',
+          animated: true,
+          label: '↺',
+          labelStyle: { fill: recursionStyle.color, fontWeight: 600 },
+          labelBgStyle: { fill: '#ffffff' },
+          style: { stroke: recursionStyle.color, strokeWidth: 2, strokeDasharray: '6 4' },
+          markerEnd: { type: 'arrowclosed', width: 20, height: 20, color: recursionStyle.color },
+        });
+      }
+
       // Add edges to children
       node.children.forEach(child => {
+        if (child.sharedWith) {
+          newEdges.push({
+            id: `edge-${node.id}-${child.id}-${child.name}`,
+            source: node.id,
+            target: child.id,
+            type: 'smoothstep',
+            data: { targetSchema: child.schema, viaRef: true },
+            label: child.name,
+            labelStyle: { fill: sharedRefStyle.color, fontWeight: 600 },
+            labelBgStyle: { fill: '#ffffff' },
+            style: { stroke: sharedRefStyle.color, strokeWidth: 2, strokeDasharray: '6 4' },
+            markerEnd: { type: 'arrowclosed', width: 20, height: 20, color: sharedRefStyle.color },
+          });
+          return;
+        }
+        const relationStyle = child.relation ? relationStyles[child.relation] : null;
+        const stroke = relationStyle ? relationStyle.color : '#64748b';
         newEdges.push({
           id: `edge-${node.id}-${child.id}`,
           source: node.id,
           target: child.id,
           type: 'smoothstep',
+          data: { targetSchema: child.schema, viaRef: Boolean(child.ref) },
           style: { 
-            stroke: '#64748b', 
+            stroke, 
             strokeWidth: 2,
+            ...(relationStyle?.dashed ? { strokeDasharray: '6 4' } : {}),
           },
+          ...(relationStyle ? {
+            label: child.relation === 'dependentSchemas' || child.relation === 'dependentRequired' ? 'when present' : child.relation,
+            labelStyle: { fill: stroke, fontWeight: 600 },
+            labelBgStyle: { fill: '#ffffff' },
+          } : {}),
           markerEnd: {
             type: 'arrowclosed',
             width: 20,
             height: 20,
-            color: '#64748b',
+            color: stroke,
           },
         });
         
-        traverse(child);
+        traverse(child, pos);
       });
     };
     
     traverse(tree);
     
     return { nodes: newNodes, edges: newEdges };
-  }, [buildTree, calculateHorizontalLayout, setExpandedNodes, focusOnNode]);
+  }, [buildTree, direction, setExpandedNodes, focusOnNode, focusAfterLayout, focusedNodeId]);
 
   // Update nodes and edges when expandedNodes changes
   useLayoutEffect(() => {
     const { nodes: newNodes, edges: newEdges } = generateNodes();
     setNodes(newNodes);
     setEdges(newEdges);
-    
-    // Only fit view on initial load
-    if (isInitialLoad) {
-      setTimeout(() => {
-        fitView({ duration: 300 });
-        setIsInitialLoad(false);
-      }, 100);
+    const ids = newNodes.map(({ id }) => id);
+    const layoutEdges = newEdges.map(({ source, target }) => ({ source, target }));
+    setLayoutRequest({
+      key: `${direction}|${ids.join(',')}|${layoutEdges.map(({ source, target }) => `${source}>${target}`).join(',')}`,
+      ids,
+      edges: layoutEdges,
+    });
+  }, [generateNodes, setNodes, setEdges, direction]);
+
+  // Expand every ancestor of the requested path, then centre on it. A step into
+  // a schema that is already drawn elsewhere continues from that node, which is
+  // only known once its parent is expanded, so this repeats until nothing new opens.
+  useEffect(() => {
+    if (!focusSteps) return;
+
+    const ids = ['root'];
+    let current = [];
+    focusSteps.forEach((step) => {
+      current = [...current, ...step];
+      current = aliasesRef.current.get(getNodeId(current)) || current;
+      ids.push(getNodeId(current));
+    });
+
+    const targetId = ids[ids.length - 1];
+    const ancestors = ids.slice(0, -1);
+    if (ancestors.some((id) => !expandedNodes.has(id))) {
+      setExpandedNodes((prev) => new Set([...prev, ...ancestors]));
+      return;
+    }
+    setFocusSteps(null);
+    setFocusedNodeId(targetId);
+    focusAfterLayout(targetId);
+  }, [focusSteps, expandedNodes, focusAfterLayout]);
+
+  // Lay the graph out again whenever its shape changes, using the sizes ReactFlow measured
+  useEffect(() => {
+    if (!layoutRequest || !nodesInitialized) return;
+    if (layoutRequest.key === layoutKeyRef.current) {
+      flushFocus();
+      return;
     }
-  }, [generateNodes, setNodes, setEdges, fitView, isInitialLoad]);
+    const measured = new Map(getNodes().map((node) => [node.id, node]));
+    if (layoutRequest.ids.some((id) => !measured.has(id) || !measured.get(id).width)) return;
+
+    layoutKeyRef.current = layoutRequest.key;
+    const run = ++layoutRunRef.current;
+    const graph = {
+      nodes: layoutRequest.ids.map((id) => ({ id, width: measured.get(id).width, height: measured.get(id).height })),
+      edges: layoutRequest.edges,
+    };
+    computeLayout(graph, { ...LAYOUT_OPTIONS, direction }).then((positions) => {
+      // A newer layout has been requested in the meantime
+      if (run !== layoutRunRef.current) return;
+      positionsRef.current = new Map(Object.entries(positions));
+      animateTo(positions);
+    });
+  }, [layoutRequest, nodesInitialized, getNodes, direction, flushFocus, animateTo]);
+
+  const displayedNodes = useMemo(() => (
+    highlightedSchema
+      ? nodes.map((node) => (node.data.schema === highlightedSchema ? { ...node, data: { ...node.data, isHighlighted: true } } : node))
+      : nodes
+  ), [nodes, highlightedSchema]);
+
+  const displayedEdges = useMemo(() => (
+    highlightedSchema
+      ? edges.map((edge) => (edge.data && edge.data.viaRef && edge.data.targetSchema === highlightedSchema
+        ? {
+          ...edge,
+          animated: true,
+          zIndex: 1,
+          style: { ...edge.style, stroke: '#2563eb', strokeWidth: 3 },
+          markerEnd: { ...edge.markerEnd, color: '#2563eb' },
+        }
+        : edge))
+      : edges
+  ), [edges, highlightedSchema]);
 
   return (
     <ReactFlow
-      nodes={nodes}
-      edges={edges}
+      nodes={displayedNodes}
+      edges={displayedEdges}
       onNodesChange={onNodesChange}
       onEdgesChange={onEdgesChange}
+      onNodeMouseEnter={(event, node) => setHighlightedSchema(node.data.schema)}
+      onNodeMouseLeave={() => setHighlightedSchema(null)}
       nodeTypes={nodeTypes}
       fitView
       fitViewOptions={{ padding: 50 }}
@@ -392,6 +685,7 @@ const SchemaGraphInner = ({ schema, rootSchema }) => {
       <Controls />
       <MiniMap
         nodeColor={(node) => {
+          if (node.data?.diffStatus) return diffStyles[node.data.diffStatus].color;
           const type = node.data?.schema ? getSchemaType(node.data.schema) : 'any';
           const colors = {
             string: '#10b981',
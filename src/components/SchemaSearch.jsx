@@ -0,0 +1,103 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import SearchBar from './SearchBar';
+import { buildSearchIndex, searchIndex } from '../utils/searchIndex';
+
+const fieldLabels = {
+  name: 'property',
+  definition: 'definition',
+  title: 'title',
+  description: 'description',
+  enum: 'value',
+};
+
+// Search box with a dropdown of matches from anywhere in the resolved schema
+const SchemaSearch = ({ schema, resolver, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const containerRef = useRef(null);
+
+  const index = useMemo(() => buildSearchIndex(schema, resolver), [schema, resolver]);
+  const results = useMemo(() => searchIndex(index, query), [index, query]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [results]);
+
+  // Close the dropdown when clicking elsewhere
+  useEffect(() => {
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const handleSelect = (result) => {
+    setOpen(false);
+    onSelect(result.path);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setOpen(true);
+      setActiveIndex((prev) => Math.min(prev + 1, results.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex((prev) => Math.max(prev - 1, 0));
+    } else if (event.key === 'Enter' && results[activeIndex]) {
+      handleSelect(results[activeIndex]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative w-72">
+      <SearchBar
+        value={query}
+        onChange={(value) => {
+          setQuery(value);
+          setOpen(true);
+        }}
+        onClear={() => setQuery('')}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        placeholder="Search schema..."
+      />
+      {open && query.trim() && (
+        <div className="absolute right-0 top-full mt-1 w-[32rem] max-h-[28rem] overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-xl z-50">
+          {results.length === 0 ? (
+            <p className="px-3 py-2 text-sm text-gray-500">No matches</p>
+          ) : (
+            results.map((result, resultIndex) => (
+              <button
+                key={result.path.join('/')}
+                onClick={() => handleSelect(result)}
+                onMouseEnter={() => setActiveIndex(resultIndex)}
+                className={`w-full text-left px-3 py-2 border-b border-gray-100 ${
+                  resultIndex === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-mono text-sm truncate">{result.text}</span>
+                  <span className="text-xs text-gray-500 bg-gray-100 px-2 py-0.5 rounded flex-shrink-0">
+                    {fieldLabels[result.field]}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500 truncate">
+                  {result.trail.length > 0 ? result.trail.join(' / ') : 'root'}
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SchemaSearch;
@@ -1,6 +1,11 @@
-import React, { useState, useCallback, useEffect } from 'react';
-import { ChevronRight, ChevronDown, Hash, Type, Layers, FileText, AlertCircle, Brackets, Braces, ToggleLeft, Package } from 'lucide-react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { ChevronRight, ChevronDown, Hash, Type, Layers, FileText, AlertCircle, Brackets, Braces, ToggleLeft, Package, ChevronsUpDown, ChevronsDownUp, Repeat } from 'lucide-react';
 import { getSchemaType } from '../utils/schemaParser';
+import { getRefName, toPointer } from '../utils/refResolver';
+import { splitPathSteps } from '../utils/schemaPaths';
+import { collectEntryPoints, findEntryPoint, ENTRY_GROUPS } from '../utils/apiDocument';
+import { getDependentSchemas } from '../utils/conditions';
+import { isPlainObject, resolveSchema } from '../utils/schemaUtils';
 
 const typeIcons = {
   string: <Type className="w-4 h-4 text-green-500" />,
@@ -15,246 +20,350 @@ const typeIcons = {
   any: <AlertCircle className="w-4 h-4 text-gray-500" />,
 };
 
-const SchemaNode = ({ name, schema, level = 0, onSelect, selected, searchTerm = '' }) => {
-  const [expanded, setExpanded] = useState(level === 0);
-  const type = getSchemaType(schema);
-  const hasChildren = schema.properties || schema.items || schema.oneOf || schema.anyOf || schema.allOf || schema.definitions;
-  
-  const isMatch = searchTerm && name.toLowerCase().includes(searchTerm.toLowerCase());
-  
-  // Auto-expand when searching and there's a match in children
-  useEffect(() => {
-    if (searchTerm && hasChildren) {
-      const hasMatchingChild = () => {
-        if (schema.properties) {
-          return Object.keys(schema.properties).some(key => 
-            key.toLowerCase().includes(searchTerm.toLowerCase())
-          );
-        }
-        return false;
-      };
-      
-      if (hasMatchingChild()) {
-        setExpanded(true);
-      }
-    } else if (!searchTerm && level > 0) {
-      setExpanded(false);
-    }
-  }, [searchTerm, hasChildren, schema.properties, level]);
-  
-  const handleClick = useCallback((e) => {
-    e.stopPropagation();
-    if (hasChildren) {
-      setExpanded(!expanded);
-    }
-    onSelect({ name, schema, path: schema.path });
-  }, [expanded, hasChildren, name, schema, onSelect]);
-
-  const renderChildren = () => {
-    const children = [];
-    
-    // For root level, only show properties (not definitions, etc.)
-    if (level === 0 && schema.properties) {
-      Object.entries(schema.properties).forEach(([key, value]) => {
-        const isRequired = schema.required && schema.required.includes(key);
-        children.push(
-          <SchemaNode
-            key={`prop-${key}`}
-            name={key}
-            schema={{ ...value, _isRequired: isRequired }}
-            level={level + 1}
-            onSelect={onSelect}
-            selected={selected}
-            searchTerm={searchTerm}
-          />
-        );
+const DEFINITION_KEYWORDS = ['$defs', 'definitions'];
+
+// Stop "expand all" from unrolling huge or deeply shared schemas
+const EXPAND_ALL_DEPTH = 10;
+const EXPAND_ALL_LIMIT = 2000;
+
+// Child rows of a node, resolved lazily only when the node is expanded
+const getChildren = (schema, path, resolver) => {
+  const resolved = resolveSchema(schema, resolver);
+  if (!isPlainObject(resolved)) return [];
+  const children = [];
+
+  if (isPlainObject(resolved.properties)) {
+    Object.entries(resolved.properties).forEach(([key, value]) => {
+      children.push({ name: key, schema: value, path: [...path, 'properties', key], required: (resolved.required || []).includes(key) });
+    });
+  }
+
+  if (Array.isArray(resolved.prefixItems)) {
+    resolved.prefixItems.forEach((item, index) => {
+      children.push({ name: `[${index}]`, schema: item, path: [...path, 'prefixItems', index] });
+    });
+  }
+
+  if (Array.isArray(resolved.items)) {
+    resolved.items.forEach((item, index) => {
+      children.push({ name: `[${index}]`, schema: item, path: [...path, 'items', index] });
+    });
+  } else if (resolved.items !== undefined) {
+    children.push({ name: '[items]', schema: resolved.items, path: [...path, 'items'] });
+  }
+
+  ['oneOf', 'anyOf', 'allOf'].forEach((keyword) => {
+    if (Array.isArray(resolved[keyword])) {
+      resolved[keyword].forEach((item, index) => {
+        children.push({ name: `${keyword}[${index}]`, schema: item, path: [...path, keyword, index] });
       });
-      return children;
     }
-    
-    // For non-root levels, show all relevant children
-    if (schema.properties) {
-      Object.entries(schema.properties).forEach(([key, value]) => {
-        const isRequired = schema.required && schema.required.includes(key);
-        children.push(
-          <SchemaNode
-            key={`prop-${key}`}
-            name={key}
-            schema={{ ...value, _isRequired: isRequired }}
-            level={level + 1}
-            onSelect={onSelect}
-            selected={selected}
-            searchTerm={searchTerm}
-          />
-        );
-      });
+  });
+
+  ['if', 'then', 'else', 'not'].forEach((keyword) => {
+    if (resolved[keyword] !== undefined) {
+      children.push({ name: keyword, schema: resolved[keyword], path: [...path, keyword] });
     }
-    
-    if (schema.items) {
-      if (Array.isArray(schema.items)) {
-        schema.items.forEach((item, index) => {
-          children.push(
-            <SchemaNode
-              key={`item-${index}`}
-              name={`[${index}]`}
-              schema={item}
-              level={level + 1}
-              onSelect={onSelect}
-              selected={selected}
-              searchTerm={searchTerm}
-            />
-          );
-        });
-      } else {
-        children.push(
-          <SchemaNode
-            key="items"
-            name="[items]"
-            schema={schema.items}
-            level={level + 1}
-            onSelect={onSelect}
-            selected={selected}
-            searchTerm={searchTerm}
-          />
-        );
+  });
+
+  getDependentSchemas(resolved).forEach(({ property, schema: dependentSchema, keyword }) => {
+    children.push({ name: `when ${property}`, schema: dependentSchema, path: [...path, keyword, property] });
+  });
+
+  // Definitions are listed once, under a group at the root
+  if (path.length === 0) {
+    DEFINITION_KEYWORDS.forEach((keyword) => {
+      if (isPlainObject(schema[keyword]) && Object.keys(schema[keyword]).length > 0) {
+        children.push({ name: keyword, group: keyword, schema: null, path: [keyword] });
       }
+    });
+    // So are the entry points of an OpenAPI/AsyncAPI document
+    const entries = collectEntryPoints(resolver);
+    Object.entries(ENTRY_GROUPS).forEach(([group, { label, path: groupPath }]) => {
+      if (entries.some((entry) => entry.group === group)) {
+        children.push({ name: label, group, schema: null, path: groupPath });
+      }
+    });
+  }
+
+  return children;
+};
+
+const getGroupChildren = (rootSchema, group, resolver) => (
+  ENTRY_GROUPS[group]
+    ? collectEntryPoints(resolver)
+      .filter((entry) => entry.group === group)
+      .map(({ name, schema, path }) => ({ name, schema, path }))
+    : Object.entries(rootSchema[group]).map(([key, value]) => ({ name: key, schema: value, path: [group, key] }))
+);
+
+// Keys of every row that must be expanded for `path` to be visible
+const getAncestorKeys = (path, entries) => {
+  const keys = [''];
+  let current = [];
+  splitPathSteps(path, entries).forEach((step) => {
+    const entry = current.length === 0 ? findEntryPoint(entries, step) : null;
+    if (entry) {
+      keys.push(toPointer(ENTRY_GROUPS[entry.group].path));
+    } else if (current.length === 0 && DEFINITION_KEYWORDS.includes(step[0])) {
+      keys.push(toPointer([step[0]]));
     }
-    
-    if (schema.oneOf) {
-      schema.oneOf.forEach((item, index) => {
-        children.push(
-          <SchemaNode
-            key={`oneOf-${index}`}
-            name={`oneOf[${index}]`}
-            schema={item}
-            level={level + 1}
-            onSelect={onSelect}
-            selected={selected}
-            searchTerm={searchTerm}
-          />
-        );
-      });
-    }
-    
-    if (schema.anyOf) {
-      schema.anyOf.forEach((item, index) => {
-        children.push(
-          <SchemaNode
-            key={`anyOf-${index}`}
-            name={`anyOf[${index}]`}
-            schema={item}
-            level={level + 1}
-            onSelect={onSelect}
-            selected={selected}
-            searchTerm={searchTerm}
-          />
-        );
-      });
-    }
-    
-    if (schema.allOf) {
-      schema.allOf.forEach((item, index) => {
-        children.push(
-          <SchemaNode
-            key={`allOf-${index}`}
-            name={`allOf[${index}]`}
-            schema={item}
-            level={level + 1}
-            onSelect={onSelect}
-            selected={selected}
-            searchTerm={searchTerm}
-          />
-        );
-      });
+    current = [...current, ...step];
+    keys.push(toPointer(current));
+  });
+  return keys.slice(0, -1);
+};
+
+const SchemaTree = ({ schema, resolver, onSelect, selected, focus }) => {
+  const [expanded, setExpanded] = useState(() => new Set(['']));
+  const [pendingFocus, setPendingFocus] = useState(null);
+  const containerRef = useRef(null);
+
+  const childrenOf = useCallback((node) => (
+    node.group ? getGroupChildren(schema, node.group, resolver) : getChildren(node.schema, node.path, resolver)
+  ), [schema, resolver]);
+
+  // Flatten the visible part of the tree into rows; a node whose resolved
+  // schema is already one of its ancestors is shown but not expanded again
+  const rows = useMemo(() => {
+    const result = [];
+
+    const walk = (node, level, ancestors) => {
+      const key = toPointer(node.path);
+      const resolved = node.group ? null : resolveSchema(node.schema, resolver);
+      const isRecursive = resolved !== null && ancestors.has(resolved);
+      const children = isRecursive || (!node.group && !isPlainObject(resolved)) ? [] : childrenOf(node);
+      const row = { ...node, key, level, resolved, isRecursive, hasChildren: children.length > 0 };
+      result.push(row);
+
+      if (row.hasChildren && expanded.has(key)) {
+        const nextAncestors = resolved ? new Set([...ancestors, resolved]) : ancestors;
+        children.forEach((child) => walk(child, level + 1, nextAncestors));
+      }
+    };
+
+    walk({ name: 'root', schema, path: [] }, 0, new Set());
+    return result;
+  }, [schema, resolver, expanded, childrenOf]);
+
+  const selectRow = useCallback((row) => {
+    onSelect({
+      name: row.name,
+      schema: row.group ? null : isPlainObject(row.schema) && row.schema.$ref && isPlainObject(row.resolved)
+        ? { ...row.resolved, ...row.schema }
+        : row.schema,
+      path: row.path,
+      required: row.required,
+      source: row.schema,
+    });
+  }, [onSelect]);
+
+  const toggle = useCallback((key) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  }, []);
+
+  const handleExpandAll = useCallback(() => {
+    const keys = new Set();
+
+    const walk = (node, depth, ancestors) => {
+      if (keys.size >= EXPAND_ALL_LIMIT || depth > EXPAND_ALL_DEPTH) return;
+      const resolved = node.group ? null : resolveSchema(node.schema, resolver);
+      if (resolved && (ancestors.has(resolved) || !isPlainObject(resolved))) return;
+      const children = childrenOf(node);
+      if (children.length === 0) return;
+
+      keys.add(toPointer(node.path));
+      const nextAncestors = resolved ? new Set([...ancestors, resolved]) : ancestors;
+      children.forEach((child) => walk(child, depth + 1, nextAncestors));
+    };
+
+    walk({ name: 'root', schema, path: [] }, 0, new Set());
+    setExpanded(keys);
+  }, [schema, resolver, childrenOf]);
+
+  const handleCollapseAll = useCallback(() => {
+    setExpanded(new Set(['']));
+  }, []);
+
+  // Reveal a path requested from outside (search, "open definition")
+  useEffect(() => {
+    if (!focus) return;
+    setExpanded((prev) => new Set([...prev, ...getAncestorKeys(focus.path, collectEntryPoints(resolver))]));
+    setPendingFocus(focus);
+  }, [focus]);
+
+  useEffect(() => {
+    if (!pendingFocus) return;
+    const ancestorKeys = [...getAncestorKeys(pendingFocus.path, collectEntryPoints(resolver)), toPointer(pendingFocus.path)];
+    // Fall back to the deepest visible ancestor when the path can't be shown
+    const target = ancestorKeys.reverse().map((key) => rows.find((row) => row.key === key)).find(Boolean);
+    if (target) selectRow(target);
+    setPendingFocus(null);
+  }, [pendingFocus, rows, selectRow]);
+
+  const selectedKey = selected && selected.path ? toPointer(selected.path) : null;
+
+  // Keep the selected row in view while moving with the keyboard
+  useEffect(() => {
+    if (selectedKey === null || !containerRef.current) return;
+    const element = containerRef.current.querySelector(`[data-key="${CSS.escape(selectedKey)}"]`);
+    if (element) element.scrollIntoView({ block: 'nearest' });
+  }, [selectedKey]);
+
+  const handleKeyDown = (event) => {
+    const index = rows.findIndex((row) => row.key === selectedKey);
+    const row = rows[index];
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        selectRow(rows[Math.min(index + 1, rows.length - 1)]);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        selectRow(rows[Math.max(index - 1, 0)]);
+        break;
+      case 'ArrowRight':
+        event.preventDefault();
+        if (!row || !row.hasChildren) break;
+        if (!expanded.has(row.key)) {
+          toggle(row.key);
+        } else if (rows[index + 1]) {
+          selectRow(rows[index + 1]);
+        }
+        break;
+      case 'ArrowLeft':
+        event.preventDefault();
+        if (!row) break;
+        if (row.hasChildren && expanded.has(row.key)) {
+          toggle(row.key);
+        } else {
+          const parent = rows.slice(0, index).reverse().find((candidate) => candidate.level < row.level);
+          if (parent) selectRow(parent);
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        if (row && row.hasChildren) toggle(row.key);
+        break;
+      case 'Home':
+        event.preventDefault();
+        selectRow(rows[0]);
+        break;
+      case 'End':
+        event.preventDefault();
+        selectRow(rows[rows.length - 1]);
+        break;
+      default:
     }
-    
-    return children;
   };
 
-  const isSelected = selected?.path?.join('.') === schema.path?.join('.');
+  if (!schema) return null;
 
   return (
-    <div className="select-none">
-      <div>
-        <div
-          className={`
-            flex items-center gap-2 px-2 py-1 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-800 rounded
-            ${isSelected ? 'bg-blue-100 dark:bg-blue-900' : ''}
-            ${isMatch ? 'bg-yellow-50 dark:bg-yellow-900/20' : ''}
-          `}
-          style={{ paddingLeft: `${level * 20 + 8}px` }}
-          onClick={handleClick}
+    <div className="flex flex-col h-full">
+      <div className="px-2 py-1 border-b border-gray-200 bg-gray-50 flex items-center gap-1 flex-shrink-0">
+        <button
+          onClick={handleExpandAll}
+          className="px-2 py-1 text-sm text-gray-600 hover:bg-gray-200 rounded transition-colors flex items-center gap-1"
         >
-          {hasChildren && (
-            <span className="text-gray-500">
-              {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
-            </span>
-          )}
-          {!hasChildren && <span className="w-4" />}
-          
-          {level === 0 && name === 'root' ? <Package className="w-4 h-4 text-indigo-500" /> : (typeIcons[type] || typeIcons.any)}
-          
-          <span className={`font-mono text-sm ${isMatch ? 'font-semibold text-yellow-600 dark:text-yellow-400' : ''}`}>
-            {name}
-          </span>
-          
-          {schema.type && (
-            <span className="text-xs text-gray-500 dark:text-gray-400">
-              {schema.type}
-            </span>
-          )}
-          
-          {schema.$ref && (
-            <span className="text-xs text-blue-500 dark:text-blue-400">
-              {schema.$ref}
-            </span>
-          )}
-          
-          {schema._isRequired && (
-            <span className="text-xs text-red-500">*</span>
-          )}
-        </div>
-        
-        {schema.enum && (
-          <div 
-            className="flex flex-wrap gap-1 mt-1 mb-1"
-            style={{ paddingLeft: `${level * 20 + 8 + 20}px` }}
-          >
-            {schema.enum.map((value, index) => (
-              <span 
-                key={index} 
-                className="text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 px-2 py-0.5 rounded"
-              >
-                {JSON.stringify(value)}
-              </span>
-            ))}
-          </div>
-        )}
+          <ChevronsUpDown className="w-4 h-4" />
+          Expand all
+        </button>
+        <button
+          onClick={handleCollapseAll}
+          className="px-2 py-1 text-sm text-gray-600 hover:bg-gray-200 rounded transition-colors flex items-center gap-1"
+        >
+          <ChevronsDownUp className="w-4 h-4" />
+          Collapse all
+        </button>
       </div>
-      
-      {expanded && hasChildren && (
-        <div className="ml-2">
-          {renderChildren()}
-        </div>
-      )}
-    </div>
-  );
-};
+      <div
+        ref={containerRef}
+        tabIndex={0}
+        role="tree"
+        onKeyDown={handleKeyDown}
+        className="flex-1 font-mono text-sm overflow-auto select-none py-1 focus:outline-none"
+      >
+        {rows.map((row) => {
+          const isExpanded = expanded.has(row.key);
+          const type = row.group ? null : isPlainObject(row.resolved) ? getSchemaType(row.resolved) : 'any';
+          const isSelected = row.key === selectedKey;
 
-const SchemaTree = ({ schema, onSelect, selected, searchTerm }) => {
-  if (!schema) return null;
-  
-  return (
-    <div className="font-mono text-sm overflow-auto">
-      <SchemaNode
-        name="root"
-        schema={schema}
-        onSelect={onSelect}
-        selected={selected}
-        searchTerm={searchTerm}
-      />
+          return (
+            <div key={row.key} data-key={row.key} role="treeitem" aria-expanded={row.hasChildren ? isExpanded : undefined}>
+              <div
+                className={`flex items-center gap-2 px-2 py-1 cursor-pointer rounded ${
+                  isSelected ? 'bg-blue-100 dark:bg-blue-900' : 'hover:bg-gray-100 dark:hover:bg-gray-800'
+                }`}
+                style={{ paddingLeft: `${row.level * 20 + 8}px` }}
+                onClick={() => {
+                  if (row.hasChildren) toggle(row.key);
+                  selectRow(row);
+                }}
+              >
+                {row.hasChildren ? (
+                  <span className="text-gray-500">
+                    {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                  </span>
+                ) : (
+                  <span className="w-4" />
+                )}
+
+                {row.level === 0 ? <Package className="w-4 h-4 text-indigo-500" /> : row.group ? <Layers className="w-4 h-4 text-gray-500" /> : (typeIcons[type] || typeIcons.any)}
+
+                <span className="font-mono text-sm">{row.name}</span>
+
+                {type && row.level > 0 && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">{type}</span>
+                )}
+
+                {isPlainObject(row.schema) && row.schema.$ref && (
+                  <span className="text-xs text-blue-500 dark:text-blue-400">{getRefName(row.schema.$ref)}</span>
+                )}
+
+                {row.required && (
+                  <span className="text-xs text-red-500">*</span>
+                )}
+
+                {row.isRecursive && (
+                  <span className="text-xs text-gray-400 flex items-center gap-1" title="Refers back to an enclosing schema">
+                    <Repeat className="w-3 h-3" />
+                    recursive
+                  </span>
+                )}
+              </div>
+
+              {isPlainObject(row.resolved) && Array.isArray(row.resolved.enum) && (
+                <div
+                  className="flex flex-wrap gap-1 mt-1 mb-1"
+                  style={{ paddingLeft: `${row.level * 20 + 8 + 20}px` }}
+                >
+                  {row.resolved.enum.map((value, index) => (
+                    <span
+                      key={index}
+                      className="text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 px-2 py-0.5 rounded"
+                    >
+                      {JSON.stringify(value)}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
     </div>
   );
 };
 
-export default SchemaTree;
\ No newline at end of file
+export default SchemaTree;
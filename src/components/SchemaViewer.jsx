@@ -1,86 +1,316 @@
-import React, { useState, useCallback, useEffect } from 'react';
-import { Upload, FileJson, Download, Copy, Check, AlertCircle, Code, Network } from 'lucide-react';
-import MonacoEditor from '@monaco-editor/react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { Upload, FileJson, Download, Copy, Check, AlertCircle, Code, Network, FolderOpen, ShieldCheck, ListTree, BookOpen, ListChecks, GitCompare, FileCode, BookText, Undo2, Redo2, RotateCcw, GitFork, Table2, MoveRight, MoveDown } from 'lucide-react';
 import SchemaExplorer from './SchemaExplorer';
 import SchemaGraph from './SchemaGraph';
+import DefinitionGraph from './DefinitionGraph';
+import InstanceValidator from './InstanceValidator';
+import SchemaSearch from './SchemaSearch';
+import TreeView from './TreeView';
+import DefinitionsView from './DefinitionsView';
+import LintPanel from './LintPanel';
+import DiffPanel from './DiffPanel';
+import CodeExport from './CodeExport';
+import SourceEditor from './SourceEditor';
 import { parseSchema } from '../utils/schemaParser';
+import { createResolver, toPointer } from '../utils/refResolver';
+import { readWorkspace, pickRootDocument } from '../utils/workspace';
+import { readUrlState, writeUrlState } from '../utils/urlState';
+import { buildReferenceIndex } from '../utils/referenceIndex';
+import { diffSchemas } from '../utils/schemaDiff';
+import { parseSchemaText, stringifySchema, detectFormat, FORMATS } from '../utils/schemaFormat';
+import { isDefinitionPath, getPaneLocation } from '../utils/schemaPaths';
+import { collectEntryPoints } from '../utils/apiDocument';
 import opencollectionSchema from '../schemas/opencollection.schema.json';
 
 const SchemaViewer = () => {
+  const [initialUrlState] = useState(readUrlState);
   const [schema, setSchema] = useState(null);
   const [parsedSchema, setParsedSchema] = useState(null);
-  const [view, setView] = useState('explorer'); // 'explorer', 'visualize', or 'source'
+  const [view, setView] = useState(initialUrlState.view); // 'explorer', 'tree', 'definitions', 'visualize', 'source', 'validate', 'lint', 'diff' or 'code'
   const [error, setError] = useState(null);
   const [copied, setCopied] = useState(false);
   const [jsonInput, setJsonInput] = useState('');
+  const [workspace, setWorkspace] = useState({ documents: {}, rootFile: null });
+  const [instanceInput, setInstanceInput] = useState('');
+  const [explorerLocation, setExplorerLocation] = useState(
+    initialUrlState.path.length > 0 ? { file: null, path: initialUrlState.path } : null
+  );
+  // Deepest Explorer pane and the URL the schema came from (null for the default, uploads and pastes)
+  const [explorerPath, setExplorerPath] = useState(initialUrlState.path);
+  const [sourceUrl, setSourceUrl] = useState(initialUrlState.url);
+  const [graphFocus, setGraphFocus] = useState(null);
+  // The Visualize view shows either the property tree or one table per definition
+  const [graphMode, setGraphMode] = useState('tree');
+  // Property tree levels run left to right (LR) or top to bottom (TB)
+  const [graphDirection, setGraphDirection] = useState('LR');
+  const [treeFocus, setTreeFocus] = useState(null);
+  // Another version of the schema to diff against; by default it is the older one
+  const [comparison, setComparison] = useState(null);
+  const [comparisonIsOlder, setComparisonIsOlder] = useState(true);
+  const [diffHighlight, setDiffHighlight] = useState(true);
+  const [codeFormat, setCodeFormat] = useState('typescript');
+  const urlSyncedRef = useRef(false);
+  // Source editing: the editor text is JSON or YAML (`sourceFormat`). Sources
+  // are `{ text, format }`: the one as loaded (for revert), the last one that
+  // parsed, and undo/redo stacks of earlier ones
+  const [sourceFormat, setSourceFormat] = useState('json');
+  const [outputFormat, setOutputFormat] = useState('json');
+  const [sourceError, setSourceError] = useState(null);
+  const [loadedSource, setLoadedSource] = useState({ text: '', format: 'json' });
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const committedSourceRef = useRef({ text: '', format: 'json' });
+  // Last YAML text of the schema, whose comments and layout YAML output keeps
+  const yamlTextRef = useRef(null);
+  const parseTimerRef = useRef(null);
+
+  // One resolver shared by every view so refs behave the same everywhere
+  const resolver = useMemo(() => createResolver(schema, workspace), [schema, workspace]);
+  const references = useMemo(() => buildReferenceIndex(resolver), [resolver]);
+  const diff = useMemo(() => {
+    if (!comparison) return null;
+    const comparisonResolver = createResolver(comparison.schema);
+    return comparisonIsOlder ? diffSchemas(comparisonResolver, resolver) : diffSchemas(resolver, comparisonResolver);
+  }, [comparison, comparisonIsOlder, resolver]);
+  const highlightedDiff = diffHighlight ? diff : null;
 
+  const workspaceFiles = Object.keys(workspace.documents);
+
+  // A freshly loaded schema starts a new editing session
+  const resetSource = useCallback((text, format = 'json') => {
+    clearTimeout(parseTimerRef.current);
+    committedSourceRef.current = { text, format };
+    yamlTextRef.current = format === 'yaml' ? text : null;
+    setJsonInput(text);
+    setSourceFormat(format);
+    setOutputFormat(format);
+    setLoadedSource({ text, format });
+    setHistory({ past: [], future: [] });
+    setSourceError(null);
+  }, []);
 
+  // Make edited text the current schema; text that doesn't parse only updates the error
+  const commitSource = useCallback((text, format, { record = true } = {}) => {
+    const { value, error: parseError } = parseSchemaText(text, format);
+    if (parseError) {
+      setSourceError(parseError);
+      return false;
+    }
 
-  const handleFileUpload = useCallback((event) => {
-    const file = event.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const content = JSON.parse(e.target.result);
-          setSchema(content);
-          setJsonInput(JSON.stringify(content, null, 2));
-          setError(null);
-        } catch (err) {
-          setError('Invalid JSON file');
-        }
-      };
-      reader.readAsText(file);
+    setSourceError(null);
+    const previous = committedSourceRef.current;
+    if (text === previous.text && format === previous.format) return true;
+    if (record) {
+      setHistory(({ past }) => ({ past: [...past, previous], future: [] }));
     }
+    committedSourceRef.current = { text, format };
+    if (format === 'yaml') yamlTextRef.current = text;
+    setSchema(value);
+    // Keep the workspace copy in step so references into the entry document see the edit
+    setWorkspace((prev) => (
+      prev.rootFile ? { ...prev, documents: { ...prev.documents, [prev.rootFile]: value } } : prev
+    ));
+    return true;
   }, []);
 
-  const handleJsonInput = useCallback((value) => {
-    setJsonInput(value);
+  const handleSourceChange = useCallback((text) => {
+    setJsonInput(text);
+    clearTimeout(parseTimerRef.current);
+    parseTimerRef.current = setTimeout(() => commitSource(text, sourceFormat), 400);
+  }, [commitSource, sourceFormat]);
+
+  // Put a source into the editor and make it current
+  const applySource = useCallback(({ text, format }, options) => {
+    clearTimeout(parseTimerRef.current);
+    setJsonInput(text);
+    setSourceFormat(format);
+    commitSource(text, format, options);
+  }, [commitSource]);
+
+  const handleUndo = useCallback(() => {
+    const { past, future } = history;
+    if (past.length === 0) return;
+    setHistory({ past: past.slice(0, -1), future: [{ text: jsonInput, format: sourceFormat }, ...future] });
+    applySource(past[past.length - 1], { record: false });
+  }, [history, jsonInput, sourceFormat, applySource]);
+
+  const handleRedo = useCallback(() => {
+    const { past, future } = history;
+    if (future.length === 0) return;
+    setHistory({ past: [...past, committedSourceRef.current], future: future.slice(1) });
+    applySource(future[0], { record: false });
+  }, [history, applySource]);
+
+  const handleRevert = useCallback(() => applySource(loadedSource), [loadedSource, applySource]);
+
+  // The current schema as text; the committed source is reused when the format matches
+  const getSchemaText = useCallback((format) => (
+    committedSourceRef.current.format === format
+      ? committedSourceRef.current.text
+      : stringifySchema(schema, format, format === 'yaml' ? yamlTextRef.current : null)
+  ), [schema]);
+
+  // Convert what is in the editor, including edits that haven't been parsed yet
+  const handleSourceFormatChange = useCallback((format) => {
+    if (format === sourceFormat) return;
+    const { value, error: parseError } = parseSchemaText(jsonInput, sourceFormat);
+    if (parseError) {
+      setSourceError(parseError);
+      return;
+    }
+    applySource({ text: stringifySchema(value, format, format === 'yaml' ? yamlTextRef.current : null), format });
+  }, [sourceFormat, jsonInput, applySource]);
+
+  // Form edits from the Explorer replace the source text and go through the same history
+  const handleSchemaEdit = useCallback((nextSchema) => {
+    const previous = sourceFormat === 'yaml' ? committedSourceRef.current.text : null;
+    applySource({ text: stringifySchema(nextSchema, sourceFormat, previous), format: sourceFormat });
+  }, [sourceFormat, applySource]);
+
+  useEffect(() => () => clearTimeout(parseTimerRef.current), []);
+
+  // YAML keeps its original text (and comments) in Source; JSON is shown formatted
+  const loadWorkspaceRoot = useCallback((documents, rootFile, sources = {}) => {
+    const content = documents[rootFile];
+    const source = sources[rootFile];
+    setWorkspace({ documents, rootFile, sources });
+    setSourceUrl(null);
+    setExplorerLocation(null);
+    setSchema(content);
+    if (source && source.format === 'yaml') resetSource(source.text, 'yaml');
+    else resetSource(JSON.stringify(content, null, 2));
+    setError(null);
+  }, [resetSource]);
+
+  // Accepts a single file, several files, a folder or zip archives
+  const handleFileUpload = useCallback(async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
     try {
-      if (value.trim()) {
-        const parsed = JSON.parse(value);
-        setSchema(parsed);
-        setError(null);
+      const { documents, sources } = await readWorkspace(files);
+      const rootFile = pickRootDocument(documents);
+      if (!rootFile) {
+        setError('No JSON or YAML files found in upload');
+        return;
       }
+      loadWorkspaceRoot(documents, rootFile, sources);
     } catch (err) {
-      setError('Invalid JSON format');
+      setError(err.message || 'Invalid JSON file');
+    }
+  }, [loadWorkspaceRoot]);
+
+  const handleRootFileChange = useCallback((event) => {
+    loadWorkspaceRoot(workspace.documents, event.target.value, workspace.sources);
+  }, [workspace.documents, workspace.sources, loadWorkspaceRoot]);
+
+  // Jump from another view to a schema location in the Explorer
+  const handleOpenLocation = useCallback((location) => {
+    setExplorerLocation({ ...location });
+    setView('explorer');
+  }, []);
+
+  // Reopen the Explorer at the pane the user left it on
+  const handleShowExplorer = useCallback(() => {
+    if (view !== 'explorer') setExplorerLocation(getPaneLocation(explorerPath, resolver));
+    setView('explorer');
+  }, [view, explorerPath, resolver]);
+
+  // Search results open in the graph or tree when one is showing, otherwise in the Explorer;
+  // the graph has no nodes for definitions, so those open in the Explorer too
+  const handleSearchSelect = useCallback((path) => {
+    if (view === 'visualize' && !isDefinitionPath(path, collectEntryPoints(resolver))) {
+      setGraphMode('tree');
+      setGraphFocus({ path });
+    } else if (view === 'tree') {
+      setTreeFocus({ path });
+    } else {
+      handleOpenLocation({ file: null, path });
     }
+  }, [view, resolver, handleOpenLocation]);
+
+  const handleExplorerPathChange = useCallback((path) => {
+    setExplorerPath((prev) => (toPointer(prev) === toPointer(path) ? prev : path));
   }, []);
 
-  const handleUrlLoad = useCallback(async () => {
+  const handleJsonInput = useCallback((value) => {
+    if (!value.trim()) {
+      setJsonInput(value);
+      setSourceError(null);
+      return;
+    }
+    const { value: parsed, error: parseError, format } = parseSchemaText(value);
+    if (parseError) {
+      setJsonInput(value);
+      setSourceError(parseError);
+      return;
+    }
+    setSchema(parsed);
+    setWorkspace({ documents: {}, rootFile: null });
+    setSourceUrl(null);
+    resetSource(value, format);
+    setError(null);
+  }, [resetSource]);
+
+  const loadFromUrl = useCallback(async (url) => {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        setError(`Failed to load schema from ${url}: HTTP ${response.status}`);
+        return;
+      }
+      const text = await response.text();
+      const { value: data, error: parseError, format } = parseSchemaText(text, detectFormat(text, new URL(url, window.location.href).pathname));
+      if (parseError) {
+        setError(`Invalid ${FORMATS[format].label} at ${url} (line ${parseError.line}, column ${parseError.column}): ${parseError.message}`);
+        return;
+      }
+      setSchema(data);
+      setWorkspace({ documents: {}, rootFile: null });
+      setSourceUrl(url);
+      resetSource(format === 'yaml' ? text : JSON.stringify(data, null, 2), format);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load schema from URL');
+    }
+  }, [resetSource]);
+
+  const loadDefaultSchema = useCallback(() => {
+    setSchema(opencollectionSchema);
+    setWorkspace({ documents: {}, rootFile: null });
+    setSourceUrl(null);
+    resetSource(JSON.stringify(opencollectionSchema, null, 2));
+    setError(null);
+  }, [resetSource]);
+
+  const handleUrlLoad = useCallback(() => {
     const url = prompt('Enter JSON Schema URL:');
     if (url) {
-      try {
-        const response = await fetch(url);
-        const data = await response.json();
-        setSchema(data);
-        setJsonInput(JSON.stringify(data, null, 2));
-        setError(null);
-      } catch (err) {
-        setError('Failed to load schema from URL');
-      }
+      setExplorerLocation(null);
+      setExplorerPath([]);
+      loadFromUrl(url);
     }
-  }, []);
+  }, [loadFromUrl]);
 
   const handleExport = useCallback(() => {
     if (schema) {
-      const blob = new Blob([JSON.stringify(schema, null, 2)], { type: 'application/json' });
+      const blob = new Blob([getSchemaText(outputFormat)], { type: FORMATS[outputFormat].mimeType });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = 'schema.json';
+      a.download = `schema.${FORMATS[outputFormat].extension}`;
       a.click();
       URL.revokeObjectURL(url);
     }
-  }, [schema]);
+  }, [schema, getSchemaText, outputFormat]);
 
   const handleCopy = useCallback(() => {
     if (schema) {
-      navigator.clipboard.writeText(JSON.stringify(schema, null, 2));
+      navigator.clipboard.writeText(getSchemaText(outputFormat));
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     }
-  }, [schema]);
+  }, [schema, getSchemaText, outputFormat]);
 
   useEffect(() => {
     if (schema) {
@@ -93,16 +323,43 @@ const SchemaViewer = () => {
     }
   }, [schema]);
 
-  // Load opencollection schema by default on first mount
+  // Load the schema named in the URL, or the opencollection schema by default, on first mount
   useEffect(() => {
+    if (initialUrlState.url) {
+      loadFromUrl(initialUrlState.url);
+      return;
+    }
     try {
-      setSchema(opencollectionSchema);
-      setJsonInput(JSON.stringify(opencollectionSchema, null, 2));
-      setError(null);
+      loadDefaultSchema();
     } catch (err) {
       setError('Failed to load opencollection schema');
     }
-  }, []);
+  }, [initialUrlState, loadFromUrl, loadDefaultSchema]);
+
+  // Mirror view, source and pane stack into the URL; the first write replaces
+  // the entry the page was opened with instead of adding one
+  useEffect(() => {
+    writeUrlState({ view, url: sourceUrl, path: explorerPath }, { replace: !urlSyncedRef.current });
+    urlSyncedRef.current = true;
+  }, [view, sourceUrl, explorerPath]);
+
+  // Browser back/forward
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState();
+      setView(state.view);
+      setExplorerPath(state.path);
+      setExplorerLocation(getPaneLocation(state.path, resolver));
+      if (state.url && state.url !== sourceUrl) {
+        loadFromUrl(state.url);
+      } else if (!state.url && sourceUrl) {
+        loadDefaultSchema();
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [sourceUrl, resolver, loadFromUrl, loadDefaultSchema]);
 
   return (
     <div className="h-screen flex flex-col bg-gray-50 dark:bg-gray-900">
@@ -118,13 +375,25 @@ const SchemaViewer = () => {
               <label className="px-3 py-1.5 text-base bg-blue-500 text-white hover:bg-blue-600 rounded-lg cursor-pointer transition-colors">
                 <input
                   type="file"
-                  accept=".json"
+                  accept=".json,.yaml,.yml,.zip"
+                  multiple
                   onChange={handleFileUpload}
                   className="hidden"
                 />
                 <Upload className="w-4 h-4 inline mr-1" />
                 Upload
               </label>
+
+              <label className="px-3 py-1.5 text-base bg-blue-500 text-white hover:bg-blue-600 rounded-lg cursor-pointer transition-colors">
+                <input
+                  type="file"
+                  webkitdirectory=""
+                  onChange={handleFileUpload}
+                  className="hidden"
+                />
+                <FolderOpen className="w-4 h-4 inline mr-1" />
+                Folder
+              </label>
               
               <button
                 onClick={handleUrlLoad}
@@ -133,11 +402,26 @@ const SchemaViewer = () => {
                 Load URL
               </button>
               
+              {workspaceFiles.length > 1 && (
+                <select
+                  value={workspace.rootFile || ''}
+                  onChange={handleRootFileChange}
+                  title="Entry document"
+                  className="px-2 py-1.5 text-base border border-gray-300 rounded-lg bg-white max-w-[16rem]"
+                >
+                  {workspaceFiles.map((file) => (
+                    <option key={file} value={file}>{file}</option>
+                  ))}
+                </select>
+              )}
+              
               {schema && (
                 <>
+                  <SchemaSearch schema={schema} resolver={resolver} onSelect={handleSearchSelect} />
+
                   <div className="flex gap-1 mx-2">
                     <button
-                      onClick={() => setView('explorer')}
+                      onClick={handleShowExplorer}
                       className={`px-3 py-1.5 text-base rounded-lg transition-colors ${
                         view === 'explorer'
                           ? 'bg-gray-700 text-white'
@@ -146,6 +430,28 @@ const SchemaViewer = () => {
                     >
                       Explorer
                     </button>
+                    <button
+                      onClick={() => setView('tree')}
+                      className={`px-3 py-1.5 text-base rounded-lg transition-colors ${
+                        view === 'tree'
+                          ? 'bg-gray-700 text-white'
+                          : 'bg-gray-200 hover:bg-gray-300'
+                      }`}
+                    >
+                      <ListTree className="w-4 h-4 inline mr-1" />
+                      Tree
+                    </button>
+                    <button
+                      onClick={() => setView('definitions')}
+                      className={`px-3 py-1.5 text-base rounded-lg transition-colors ${
+                        view === 'definitions'
+                          ? 'bg-gray-700 text-white'
+                          : 'bg-gray-200 hover:bg-gray-300'
+                      }`}
+                    >
+                      <BookOpen className="w-4 h-4 inline mr-1" />
+                      Definitions
+                    </button>
                     <button
                       onClick={() => setView('visualize')}
                       className={`px-3 py-1.5 text-base rounded-lg transition-colors ${
@@ -168,8 +474,81 @@ const SchemaViewer = () => {
                       <Code className="w-4 h-4 inline mr-1" />
                       Source
                     </button>
+                    <button
+                      onClick={() => setView('validate')}
+                      className={`px-3 py-1.5 text-base rounded-lg transition-colors ${
+                        view === 'validate'
+                          ? 'bg-gray-700 text-white'
+                          : 'bg-gray-200 hover:bg-gray-300'
+                      }`}
+                    >
+                      <ShieldCheck className="w-4 h-4 inline mr-1" />
+                      Validate
+                    </button>
+                    <button
+                      onClick={() => setView('lint')}
+                      className={`px-3 py-1.5 text-base rounded-lg transition-colors ${
+                        view === 'lint'
+                          ? 'bg-gray-700 text-white'
+                          : 'bg-gray-200 hover:bg-gray-300'
+                      }`}
+                    >
+                      <ListChecks className="w-4 h-4 inline mr-1" />
+                      Lint
+                    </button>
+                    <button
+                      onClick={() => setView('diff')}
+                      className={`px-3 py-1.5 text-base rounded-lg transition-colors ${
+                        view === 'diff'
+                          ? 'bg-gray-700 text-white'
+                          : 'bg-gray-200 hover:bg-gray-300'
+                      }`}
+                    >
+                      <GitCompare className="w-4 h-4 inline mr-1" />
+                      Diff
+                    </button>
                   </div>
                   
+                  <button
+                    onClick={() => {
+                      setCodeFormat('typescript');
+                      setView('code');
+                    }}
+                    className={`px-3 py-1.5 text-base rounded-lg transition-colors ${
+                      view === 'code' && codeFormat === 'typescript' ? 'bg-gray-700 text-white' : 'bg-gray-100 hover:bg-gray-200'
+                    }`}
+                  >
+                    <FileCode className="w-4 h-4 inline mr-1" />
+                    Code
+                  </button>
+
+                  <button
+                    onClick={() => {
+                      setCodeFormat('markdown');
+                      setView('code');
+                    }}
+                    className={`px-3 py-1.5 text-base rounded-lg transition-colors ${
+                      view === 'code' && codeFormat !== 'typescript' ? 'bg-gray-700 text-white' : 'bg-gray-100 hover:bg-gray-200'
+                    }`}
+                  >
+                    <BookText className="w-4 h-4 inline mr-1" />
+                    Export docs
+                  </button>
+
+                  <div className="flex rounded-lg bg-gray-100 p-0.5" title="Format for Export and Copy">
+                    {Object.entries(FORMATS).map(([value, { label }]) => (
+                      <button
+                        key={value}
+                        onClick={() => setOutputFormat(value)}
+                        className={`px-2 py-1 text-sm rounded-md transition-colors ${
+                          outputFormat === value ? 'bg-white shadow-sm text-gray-900' : 'text-gray-600 hover:text-gray-900'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+
                   <button
                     onClick={handleExport}
                     className="px-3 py-1.5 text-base bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
@@ -213,21 +592,15 @@ const SchemaViewer = () => {
                 <div className="mb-4">
                   <h2 className="text-xl font-semibold mb-2">Paste JSON Schema</h2>
                   <p className="text-base text-gray-600 mb-4">
-                    Upload a file, load from URL, or paste your JSON Schema below
+                    Upload a file, load from URL, or paste your JSON Schema below (JSON or YAML)
                   </p>
                 </div>
-                <MonacoEditor
+                <SourceEditor
                   height="calc(100% - 100px)"
-                  language="json"
-                  theme="vs-dark"
+                  language={detectFormat(jsonInput)}
                   value={jsonInput}
                   onChange={handleJsonInput}
-                  options={{
-                    minimap: { enabled: false },
-                    fontSize: 16,
-                    wordWrap: 'on',
-                    automaticLayout: true,
-                  }}
+                  error={sourceError}
                 />
               </div>
             </div>
@@ -235,24 +608,181 @@ const SchemaViewer = () => {
         ) : (
           <div className="flex-1 flex overflow-hidden min-w-0">
             {view === 'explorer' ? (
-              <SchemaExplorer schema={schema} rootSchema={schema} />
+              <SchemaExplorer
+                key={workspace.rootFile || 'schema'}
+                schema={schema}
+                resolver={resolver}
+                references={references}
+                diff={highlightedDiff}
+                location={explorerLocation}
+                onPathChange={handleExplorerPathChange}
+                onEdit={handleSchemaEdit}
+              />
+            ) : view === 'tree' ? (
+              <TreeView key={workspace.rootFile || 'schema'} schema={schema} resolver={resolver} focus={treeFocus} />
+            ) : view === 'definitions' ? (
+              <DefinitionsView
+                key={workspace.rootFile || 'schema'}
+                resolver={resolver}
+                references={references}
+                onOpenLocation={handleOpenLocation}
+              />
             ) : view === 'visualize' ? (
-              <SchemaGraph schema={schema} rootSchema={schema} />
+              <div className="flex-1 flex flex-col overflow-hidden min-w-0">
+                <div className="px-4 py-2 border-b border-gray-200 bg-gray-50 flex items-center gap-1 flex-shrink-0">
+                  {[
+                    { mode: 'tree', label: 'Property tree', icon: GitFork },
+                    { mode: 'definitions', label: 'Definitions', icon: Table2 },
+                  ].map(({ mode, label, icon: Icon }) => (
+                    <button
+                      key={mode}
+                      onClick={() => setGraphMode(mode)}
+                      className={`px-2 py-1 text-sm rounded transition-colors ${
+                        graphMode === mode ? 'bg-gray-700 text-white' : 'text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      <Icon className="w-4 h-4 inline mr-1" />
+                      {label}
+                    </button>
+                  ))}
+                  {graphMode === 'tree' && (
+                    <div className="ml-auto flex items-center gap-1">
+                      {[
+                        { direction: 'LR', label: 'Left to right', icon: MoveRight },
+                        { direction: 'TB', label: 'Top to bottom', icon: MoveDown },
+                      ].map(({ direction, label, icon: Icon }) => (
+                        <button
+                          key={direction}
+                          onClick={() => setGraphDirection(direction)}
+                          title={label}
+                          className={`p-1 rounded transition-colors ${
+                            graphDirection === direction ? 'bg-gray-700 text-white' : 'text-gray-600 hover:bg-gray-200'
+                          }`}
+                        >
+                          <Icon className="w-4 h-4" />
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <div className="flex-1 min-h-0">
+                  {graphMode === 'definitions' ? (
+                    <DefinitionGraph
+                      key={workspace.rootFile || 'schema'}
+                      resolver={resolver}
+                      references={references}
+                      onOpenLocation={handleOpenLocation}
+                    />
+                  ) : (
+                    <SchemaGraph
+                      key={workspace.rootFile || 'schema'}
+                      schema={schema}
+                      resolver={resolver}
+                      references={references}
+                      diff={highlightedDiff}
+                      focus={graphFocus}
+                      direction={graphDirection}
+                    />
+                  )}
+                </div>
+              </div>
+            ) : view === 'lint' ? (
+              <LintPanel resolver={resolver} references={references} onOpenLocation={handleOpenLocation} />
+            ) : view === 'diff' ? (
+              <DiffPanel
+                diff={diff}
+                comparison={comparison}
+                comparisonIsOlder={comparisonIsOlder}
+                highlight={diffHighlight}
+                onLoad={(comparisonSchema, label) => setComparison({ schema: comparisonSchema, label })}
+                onClear={() => setComparison(null)}
+                onSwap={() => setComparisonIsOlder((prev) => !prev)}
+                onToggleHighlight={() => setDiffHighlight((prev) => !prev)}
+                onOpenLocation={handleOpenLocation}
+              />
+            ) : view === 'code' ? (
+              <CodeExport
+                schema={schema}
+                resolver={resolver}
+                explorerPath={explorerPath}
+                format={codeFormat}
+                onFormatChange={setCodeFormat}
+              />
+            ) : view === 'validate' ? (
+              <InstanceValidator
+                schema={schema}
+                resolver={resolver}
+                value={instanceInput}
+                onChange={setInstanceInput}
+                onOpenLocation={handleOpenLocation}
+              />
             ) : (
-              <div className="flex-1 p-4">
-                <MonacoEditor
-                  height="100%"
-                  language="json"
-                  theme="vs-dark"
-                  value={JSON.stringify(schema, null, 2)}
-                  options={{
-                    readOnly: true,
-                    minimap: { enabled: false },
-                    fontSize: 16,
-                    wordWrap: 'on',
-                    automaticLayout: true,
-                  }}
-                />
+              <div className="flex-1 flex flex-col overflow-hidden min-w-0">
+                <div className="px-4 py-2 border-b border-gray-200 bg-gray-50 flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={handleUndo}
+                    disabled={history.past.length === 0}
+                    title="Undo schema edit"
+                    className="px-2 py-1 text-sm rounded text-gray-600 hover:bg-gray-200 transition-colors disabled:opacity-50"
+                  >
+                    <Undo2 className="w-4 h-4 inline mr-1" />
+                    Undo
+                  </button>
+                  <button
+                    onClick={handleRedo}
+                    disabled={history.future.length === 0}
+                    title="Redo schema edit"
+                    className="px-2 py-1 text-sm rounded text-gray-600 hover:bg-gray-200 transition-colors disabled:opacity-50"
+                  >
+                    <Redo2 className="w-4 h-4 inline mr-1" />
+                    Redo
+                  </button>
+                  <button
+                    onClick={handleRevert}
+                    disabled={jsonInput === loadedSource.text && sourceFormat === loadedSource.format}
+                    title="Discard all edits"
+                    className="px-2 py-1 text-sm rounded text-gray-600 hover:bg-gray-200 transition-colors disabled:opacity-50"
+                  >
+                    <RotateCcw className="w-4 h-4 inline mr-1" />
+                    Revert to loaded
+                  </button>
+                  <div className="flex gap-1 ml-2 pl-2 border-l border-gray-300">
+                    {Object.entries(FORMATS).map(([value, { label }]) => (
+                      <button
+                        key={value}
+                        onClick={() => handleSourceFormatChange(value)}
+                        disabled={Boolean(sourceError) && sourceFormat !== value}
+                        title={sourceError ? 'Fix the error before converting' : `Edit as ${label}`}
+                        className={`px-2 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                          sourceFormat === value ? 'bg-gray-700 text-white' : 'text-gray-600 hover:bg-gray-200'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {sourceError ? (
+                    <span className="ml-auto text-sm text-red-600 flex items-center gap-1 truncate">
+                      <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                      Line {sourceError.line}, column {sourceError.column}: {sourceError.message}
+                    </span>
+                  ) : (
+                    <span className="ml-auto text-sm text-gray-500">
+                      {jsonInput === loadedSource.text && sourceFormat === loadedSource.format ? 'As loaded' : 'Edited'}
+                    </span>
+                  )}
+                </div>
+                <div className="flex-1 p-4 min-h-0">
+                  <SourceEditor
+                    language={sourceFormat}
+                    value={jsonInput}
+                    onChange={handleSourceChange}
+                    error={sourceError}
+                    resolver={resolver}
+                    references={references}
+                    onOpenLocation={handleOpenLocation}
+                  />
+                </div>
               </div>
             )}
           </div>
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Search, X } from 'lucide-react';
 
-const SearchBar = ({ value, onChange, onClear }) => {
+const SearchBar = ({ value, onChange, onClear, onKeyDown, onFocus, placeholder = 'Search properties...' }) => {
   return (
     <div className="relative">
       <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
@@ -9,7 +9,9 @@ const SearchBar = ({ value, onChange, onClear }) => {
         type="text"
         value={value}
         onChange={(e) => onChange(e.target.value)}
-        placeholder="Search properties..."
+        onKeyDown={onKeyDown}
+        onFocus={onFocus}
+        placeholder={placeholder}
         className="w-full pl-10 pr-10 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-800 dark:border-gray-600"
       />
       {value && (
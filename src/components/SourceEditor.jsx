@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useRef } from 'react';
+import MonacoEditor from '@monaco-editor/react';
+import { findRefAt, lookupSourceRef, formatRefPreview } from '../utils/monacoJson';
+
+const MARKER_OWNER = 'schema-source';
+
+// JSON or YAML editor that shows a parse error (`{ message, line, column }`) as an inline marker.
+// With a resolver, hovering a `$ref` previews its target and Ctrl+click opens it.
+const SourceEditor = ({ value, onChange, error, language = 'json', height = '100%', resolver, references, onOpenLocation }) => {
+  const [editor, setEditor] = useState(null);
+  // Providers are registered once per editor, so they read the latest props from here
+  const refContextRef = useRef({ resolver, references, onOpenLocation, language });
+  refContextRef.current = { resolver, references, onOpenLocation, language };
+
+  useEffect(() => {
+    if (!editor) return;
+    const model = editor.instance.getModel();
+    if (!model) return;
+    const markers = error
+      ? [{
+        startLineNumber: error.line,
+        startColumn: error.column,
+        endLineNumber: error.line,
+        endColumn: error.column + 1,
+        message: error.message,
+        severity: editor.monaco.MarkerSeverity.Error,
+      }]
+      : [];
+    editor.monaco.editor.setModelMarkers(model, MARKER_OWNER, markers);
+  }, [editor, error, value]);
+
+  const navigable = Boolean(resolver);
+
+  useEffect(() => {
+    if (!editor || !navigable) return undefined;
+    const { instance, monaco } = editor;
+
+    const refAt = (model, position) => {
+      const { resolver: currentResolver, references: currentReferences, language: currentLanguage } = refContextRef.current;
+      const found = findRefAt(model.getLineContent(position.lineNumber), position.column, currentLanguage);
+      if (!found) return null;
+      return { ...found, target: lookupSourceRef(found.ref, currentResolver, currentReferences) };
+    };
+
+    // Hover providers are per language, so only answer for this editor's model
+    const hover = monaco.languages.registerHoverProvider(['json', 'yaml'], {
+      provideHover: (model, position) => {
+        if (model !== instance.getModel()) return null;
+        const found = refAt(model, position);
+        if (!found) return null;
+        return {
+          range: new monaco.Range(position.lineNumber, found.startColumn, position.lineNumber, found.endColumn),
+          contents: [{ value: formatRefPreview(found.ref, found.target) }],
+        };
+      },
+    });
+
+    const mouseDown = instance.onMouseDown((event) => {
+      const { ctrlKey, metaKey } = event.event;
+      if (!(ctrlKey || metaKey) || !event.target.position) return;
+      const found = refAt(instance.getModel(), event.target.position);
+      if (found && found.target && found.target.location) {
+        refContextRef.current.onOpenLocation(found.target.location);
+      }
+    });
+
+    return () => {
+      hover.dispose();
+      mouseDown.dispose();
+    };
+  }, [editor, navigable]);
+
+  return (
+    <MonacoEditor
+      height={height}
+      language={language}
+      theme="vs-dark"
+      value={value}
+      onChange={(next) => onChange(next || '')}
+      onMount={(instance, monaco) => setEditor({ instance, monaco })}
+      options={{
+        minimap: { enabled: false },
+        fontSize: 16,
+        wordWrap: 'on',
+        automaticLayout: true,
+      }}
+    />
+  );
+};
+
+export default SourceEditor;
@@ -0,0 +1,46 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import SchemaTree from './SchemaTree';
+import PropertyDetails from './PropertyDetails';
+import { getRefName } from '../utils/refResolver';
+
+// Tree on the left, details of the selected node on the right
+const TreeView = ({ schema, resolver, focus }) => {
+  const [selected, setSelected] = useState(null);
+  const [treeFocus, setTreeFocus] = useState(focus);
+
+  useEffect(() => {
+    if (focus) setTreeFocus(focus);
+  }, [focus]);
+
+  // Jump to the referenced definition when it lives in the tree, otherwise just show it
+  const handleOpenDefinition = useCallback((ref) => {
+    const target = resolver.lookup(ref, selected && selected.source);
+    if (!target) return;
+
+    const location = resolver.getLocation(target.schema);
+    if (location && !location.file) {
+      setTreeFocus({ path: location.path });
+    } else {
+      setSelected({ name: getRefName(ref), schema: target.schema, path: null });
+    }
+  }, [resolver, selected]);
+
+  return (
+    <div className="flex-1 flex overflow-hidden min-w-0">
+      <div className="w-1/2 max-w-2xl border-r border-gray-200 bg-white overflow-hidden">
+        <SchemaTree
+          schema={schema}
+          resolver={resolver}
+          selected={selected}
+          onSelect={setSelected}
+          focus={treeFocus}
+        />
+      </div>
+      <div className="flex-1 overflow-auto bg-white">
+        <PropertyDetails selected={selected} onOpenDefinition={handleOpenDefinition} />
+      </div>
+    </div>
+  );
+};
+
+export default TreeView;
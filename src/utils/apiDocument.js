@@ -0,0 +1,162 @@
+import { isPlainObject } from './schemaUtils';
+
+// Keywords OpenAPI and AsyncAPI add to their schema objects
+export const API_SCHEMA_KEYWORDS = ['nullable', 'discriminator', 'xml', 'example', 'externalDocs'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const ASYNC_OPERATIONS = ['publish', 'subscribe'];
+
+/**
+ * Recognise an OpenAPI 3.x or AsyncAPI document.
+ * Returns `{ kind: 'openapi' | 'asyncapi', version }` or null for plain schemas.
+ */
+export const getApiKind = (document) => {
+  if (!isPlainObject(document)) return null;
+  if (typeof document.openapi === 'string' && document.openapi.startsWith('3.')) {
+    return { kind: 'openapi', version: document.openapi };
+  }
+  if (typeof document.asyncapi === 'string') {
+    return { kind: 'asyncapi', version: document.asyncapi };
+  }
+  return null;
+};
+
+export const formatApiKind = ({ kind, version }) => `${kind === 'openapi' ? 'OpenAPI' : 'AsyncAPI'} ${version}`;
+
+// Entry point groups in display order
+export const ENTRY_GROUPS = {
+  schemas: { label: 'Component Schemas', path: ['components', 'schemas'] },
+  operations: { label: 'Operations', path: ['paths'] },
+  messages: { label: 'Messages', path: ['channels'] },
+};
+
+const entryCache = new WeakMap();
+
+/**
+ * Every schema an API document exposes: its component schemas, the request
+ * and response bodies of each operation (OpenAPI) and message payloads
+ * (AsyncAPI). Each entry is `{ group, name, schema, path }` where `path` is
+ * where the schema is written from the operation's point of view, so it
+ * stays unique even when request bodies or messages are shared via `$ref`.
+ */
+export const collectEntryPoints = (resolver) => {
+  const document = resolver.getDocument(null);
+  if (!getApiKind(document)) return [];
+  if (entryCache.has(resolver)) return entryCache.get(resolver);
+
+  const entries = [];
+  const add = (group, name, schema, path) => {
+    if (schema !== undefined && schema !== null) entries.push({ group, name, schema, path });
+  };
+  // Request bodies, responses and messages may themselves be `$ref`s to components
+  const open = (value) => (
+    isPlainObject(value) && typeof value.$ref === 'string' ? resolver.resolve(value.$ref, value) : value
+  );
+
+  const components = isPlainObject(document.components) ? document.components : {};
+  if (isPlainObject(components.schemas)) {
+    Object.entries(components.schemas).forEach(([name, schema]) => add('schemas', name, schema, ['components', 'schemas', name]));
+  }
+
+  const addContent = (content, label, path) => {
+    if (!isPlainObject(content)) return;
+    const mediaTypes = Object.keys(content);
+    mediaTypes.forEach((mediaType) => {
+      const media = content[mediaType];
+      if (!isPlainObject(media)) return;
+      const suffix = mediaTypes.length > 1 ? ` (${mediaType})` : '';
+      add('operations', `${label}${suffix}`, media.schema, [...path, 'content', mediaType, 'schema']);
+    });
+  };
+
+  const addOperations = (items, root) => {
+    if (!isPlainObject(items)) return;
+    Object.entries(items).forEach(([route, item]) => {
+      const pathItem = open(item);
+      if (!isPlainObject(pathItem)) return;
+      HTTP_METHODS.forEach((method) => {
+        const operation = pathItem[method];
+        if (!isPlainObject(operation)) return;
+        const label = `${method.toUpperCase()} ${route}`;
+        const operationPath = [root, route, method];
+        const requestBody = open(operation.requestBody);
+        if (isPlainObject(requestBody)) {
+          addContent(requestBody.content, `${label} request`, [...operationPath, 'requestBody']);
+        }
+        if (isPlainObject(operation.responses)) {
+          Object.entries(operation.responses).forEach(([status, response]) => {
+            const opened = open(response);
+            if (isPlainObject(opened)) addContent(opened.content, `${label} ${status}`, [...operationPath, 'responses', status]);
+          });
+        }
+      });
+    });
+  };
+
+  // AsyncAPI 3 payloads may wrap the schema as `{ schemaFormat, schema }`
+  const addPayload = (message, label, path) => {
+    const opened = open(message);
+    if (!isPlainObject(opened)) return;
+    if (Array.isArray(opened.oneOf)) {
+      opened.oneOf.forEach((option, index) => addPayload(option, `${label} [${index + 1}]`, [...path, 'oneOf', index]));
+      return;
+    }
+    const payload = opened.payload;
+    const name = opened.name || opened.title ? `${label} ${opened.name || opened.title}` : label;
+    if (isPlainObject(payload) && payload.schemaFormat !== undefined && payload.schema !== undefined) {
+      add('messages', name, payload.schema, [...path, 'payload', 'schema']);
+    } else {
+      add('messages', name, payload, [...path, 'payload']);
+    }
+  };
+
+  addOperations(document.paths, 'paths');
+  addOperations(document.webhooks, 'webhooks');
+
+  if (isPlainObject(document.channels)) {
+    Object.entries(document.channels).forEach(([channelName, item]) => {
+      const channel = open(item);
+      if (!isPlainObject(channel)) return;
+      ASYNC_OPERATIONS.forEach((operation) => {
+        if (isPlainObject(channel[operation])) {
+          addPayload(channel[operation].message, `${operation} ${channelName}`, ['channels', channelName, operation, 'message']);
+        }
+      });
+      if (isPlainObject(channel.messages)) {
+        Object.entries(channel.messages).forEach(([messageName, message]) => {
+          addPayload(message, `${channelName} ${messageName}`, ['channels', channelName, 'messages', messageName]);
+        });
+      }
+    });
+  }
+
+  if (isPlainObject(components.messages)) {
+    Object.entries(components.messages).forEach(([messageName, message]) => {
+      addPayload(message, messageName, ['components', 'messages', messageName]);
+    });
+  }
+
+  entryCache.set(resolver, entries);
+  return entries;
+};
+
+/**
+ * The `{ value, ref }` pairs of an OpenAPI discriminator mapping. Mapping
+ * values may be bare component names, which are expanded to full `$ref`s.
+ */
+export const getDiscriminatorMapping = (schema) => {
+  const discriminator = isPlainObject(schema) ? schema.discriminator : null;
+  if (!isPlainObject(discriminator) || !isPlainObject(discriminator.mapping)) return [];
+  return Object.entries(discriminator.mapping)
+    .filter(([, ref]) => typeof ref === 'string')
+    .map(([value, ref]) => ({ value, ref: /[/#]/.test(ref) ? ref : `#/components/schemas/${ref}` }));
+};
+
+// The entry point a navigation path starts with, if any (the longest match wins)
+export const findEntryPoint = (entries, path) => entries.reduce((best, entry) => (
+  entry.path.length <= path.length
+  && entry.path.every((segment, index) => String(path[index]) === String(segment))
+  && (!best || entry.path.length > best.path.length)
+    ? entry
+    : best
+), null);
@@ -0,0 +1,157 @@
+// Plain-language summaries of conditional keywords (if/then/else, not,
+// dependentRequired, dependentSchemas) for the Explorer and graph.
+
+import { resolveSchema } from './schemaUtils';
+
+const formatValue = (value) => JSON.stringify(value);
+
+const formatList = (items) => {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+};
+
+const describeValueConstraint = (name, schema) => {
+  if (schema === false) return `${name} is absent`;
+  if (!schema || typeof schema !== 'object') return null;
+  if (schema.const !== undefined) return `${name} is ${formatValue(schema.const)}`;
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.length === 1
+      ? `${name} is ${formatValue(schema.enum[0])}`
+      : `${name} is one of ${schema.enum.map(formatValue).join(', ')}`;
+  }
+  if (typeof schema.pattern === 'string') return `${name} matches /${schema.pattern}/`;
+  if (schema.type) return `${name} is ${[].concat(schema.type).join(' or ')}`;
+  if (schema.minimum !== undefined) return `${name} ≥ ${schema.minimum}`;
+  if (schema.maximum !== undefined) return `${name} ≤ ${schema.maximum}`;
+  return null;
+};
+
+/**
+ * Describe what makes a subschema match, e.g. `type is "http"`.
+ * Used for `if` conditions and `not`. Returns null when nothing simple applies.
+ */
+export const describeCondition = (schema, resolver) => {
+  const resolved = resolveSchema(schema, resolver);
+  if (resolved === true) return 'always';
+  if (resolved === false) return 'never';
+  if (!resolved || typeof resolved !== 'object') return null;
+
+  const parts = [];
+  const described = new Set();
+
+  if (resolved.properties) {
+    for (const [key, value] of Object.entries(resolved.properties)) {
+      const part = describeValueConstraint(key, resolveSchema(value, resolver));
+      if (part) {
+        parts.push(part);
+        described.add(key);
+      }
+    }
+  }
+
+  const required = (resolved.required || []).filter((key) => !described.has(key));
+  if (required.length > 0) {
+    parts.push(`${formatList(required)} ${required.length === 1 ? 'is' : 'are'} present`);
+  }
+
+  const absent = resolved.not && Array.isArray(resolved.not.required) ? resolved.not.required : [];
+  if (absent.length > 0) {
+    parts.push(`${formatList(absent)} ${absent.length === 1 ? 'is' : 'are'} absent`);
+  }
+
+  if (parts.length === 0) {
+    const self = describeValueConstraint('value', resolved);
+    if (self) parts.push(self);
+  }
+
+  return parts.length > 0 ? parts.join(' and ') : null;
+};
+
+/**
+ * Describe what a `then`/`else`/dependent schema imposes, e.g. `request is required`.
+ */
+export const describeOutcome = (schema, resolver) => {
+  const resolved = resolveSchema(schema, resolver);
+  if (resolved === true) return 'anything is allowed';
+  if (resolved === false) return 'nothing is allowed';
+  if (!resolved || typeof resolved !== 'object') return null;
+
+  const parts = [];
+
+  if (Array.isArray(resolved.required) && resolved.required.length > 0) {
+    parts.push(`${formatList(resolved.required)} ${resolved.required.length === 1 ? 'is' : 'are'} required`);
+  }
+
+  if (resolved.not && Array.isArray(resolved.not.required) && resolved.not.required.length > 0) {
+    parts.push(`${formatList(resolved.not.required)} must be absent`);
+  }
+
+  if (resolved.properties) {
+    for (const [key, value] of Object.entries(resolved.properties)) {
+      const propertySchema = resolveSchema(value, resolver);
+      if (propertySchema === false) {
+        parts.push(`${key} is not allowed`);
+      } else {
+        const part = describeValueConstraint(key, propertySchema);
+        if (part) parts.push(part.replace(`${key} is `, `${key} must be `));
+      }
+    }
+  }
+
+  if (parts.length === 0) {
+    const self = describeValueConstraint('value', resolved);
+    if (self) parts.push(self.replace('value is ', 'value must be '));
+  }
+
+  return parts.length > 0 ? parts.join('; ') : 'additional constraints apply';
+};
+
+/**
+ * Summarise if/then/else as one sentence:
+ * `When type is "http", request is required. Otherwise, body is not allowed.`
+ */
+export const describeConditional = (schema, resolver) => {
+  if (!schema || typeof schema !== 'object' || schema.if === undefined) return null;
+
+  const condition = describeCondition(schema.if, resolver) || 'the "if" schema matches';
+  const sentences = [];
+
+  if (schema.then !== undefined) {
+    sentences.push(`When ${condition}, ${describeOutcome(schema.then, resolver)}.`);
+  }
+  if (schema.else !== undefined) {
+    sentences.push(schema.then !== undefined
+      ? `Otherwise, ${describeOutcome(schema.else, resolver)}.`
+      : `Unless ${condition}, ${describeOutcome(schema.else, resolver)}.`);
+  }
+
+  return sentences.join(' ');
+};
+
+// dependentRequired plus the array form of draft-07 `dependencies`
+export const getDependentRequired = (schema) => {
+  const result = { ...(schema && schema.dependentRequired) };
+  if (schema && schema.dependencies) {
+    for (const [key, value] of Object.entries(schema.dependencies)) {
+      if (Array.isArray(value)) result[key] = value;
+    }
+  }
+  return result;
+};
+
+// dependentSchemas plus the schema form of draft-07 `dependencies`, keyed by
+// property with the keyword each came from so navigation paths stay accurate
+export const getDependentSchemas = (schema) => {
+  const result = [];
+  if (schema && schema.dependentSchemas) {
+    for (const [key, value] of Object.entries(schema.dependentSchemas)) {
+      result.push({ property: key, schema: value, keyword: 'dependentSchemas' });
+    }
+  }
+  if (schema && schema.dependencies) {
+    for (const [key, value] of Object.entries(schema.dependencies)) {
+      if (!Array.isArray(value)) result.push({ property: key, schema: value, keyword: 'dependencies' });
+    }
+  }
+  return result;
+};
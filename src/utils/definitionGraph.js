@@ -0,0 +1,94 @@
+import { getRefName } from './refResolver';
+import { collectDefinitions } from './referenceIndex';
+import { getSchemaType } from './schemaParser';
+import { flattenAllOf } from './effectiveSchema';
+import { isPlainObject } from './schemaUtils';
+import { getApiKind } from './apiDocument';
+
+const ROOT_ID = 'entity:root';
+
+const getEntityId = ({ file, path }) => (path.length === 0 && file === null ? ROOT_ID : `entity:${file || ''}#/${path.join('/')}`);
+
+const isPrefix = (prefix, path) => prefix.length <= path.length && prefix.every((segment, index) => String(path[index]) === String(segment));
+
+// Short type for a property row: the referenced definition's name, `Name[]` for arrays of them, or the JSON type
+const describeProperty = (schema) => {
+  if (!isPlainObject(schema)) return schema === false ? 'never' : 'any';
+  if (typeof schema.$ref === 'string') return getRefName(schema.$ref);
+  if (isPlainObject(schema.items)) return `${describeProperty(schema.items)}[]`;
+  const type = getSchemaType(schema);
+  return Array.isArray(type) ? type.join(' | ') : type;
+};
+
+const getAt = (document, path) => path.reduce((node, segment) => (node && typeof node === 'object' ? node[segment] : undefined), document);
+
+/**
+ * Entity-relationship view of a workspace: one entity per definition (plus
+ * the root schema) with its effective property list, and one relation per
+ * reference between entities.
+ *
+ * A relation from a property is labelled with that property and its
+ * cardinality: `array` when the reference sits under `items`, otherwise
+ * `single` or `optional` depending on whether the property is required.
+ * References from `allOf`/`oneOf`/`anyOf` are labelled by that keyword.
+ */
+export const buildDefinitionGraph = (resolver, references) => {
+  const root = resolver.getDocument(null);
+  const entities = [];
+
+  // An OpenAPI/AsyncAPI document is only a container for its component schemas
+  if (!getApiKind(root)) {
+    entities.push({ name: (isPlainObject(root) && root.title) || 'root', schema: root, file: null, path: [] });
+  }
+  collectDefinitions(resolver).forEach((definition) => entities.push(definition));
+
+  entities.forEach((entity) => {
+    entity.id = getEntityId(entity);
+    entity.properties = isPlainObject(entity.schema)
+      ? flattenAllOf(entity.schema, resolver).properties.filter((property) => property.path).map((property) => ({
+        name: property.name,
+        type: describeProperty(property.schema),
+        required: property.required,
+      }))
+      : [];
+  });
+
+  // The entity a location belongs to: the one in the same file with the longest matching path
+  const ownerOf = (location) => entities.reduce((best, entity) => (
+    entity.file === location.file && isPrefix(entity.path, location.path) && (!best || entity.path.length > best.path.length)
+      ? entity
+      : best
+  ), null);
+
+  const relations = new Map();
+  references.edges.forEach((edge) => {
+    if (!edge.targetLocation) return;
+    const source = ownerOf(edge);
+    const target = ownerOf(edge.targetLocation);
+    if (!source || !target) return;
+
+    const relative = edge.path.slice(source.path.length);
+    const propertyIndex = relative.lastIndexOf('properties');
+    let label;
+    let property = null;
+    let cardinality = null;
+    if (propertyIndex !== -1 && propertyIndex + 1 < relative.length) {
+      property = String(relative[propertyIndex + 1]);
+      const holder = getAt(resolver.getDocument(source.file), [...source.path, ...relative.slice(0, propertyIndex)]);
+      const rest = relative.slice(propertyIndex + 2);
+      const required = (isPlainObject(holder) && Array.isArray(holder.required) && holder.required.includes(property))
+        || source.properties.some((row) => row.name === property && row.required);
+      cardinality = rest.includes('items') || rest.includes('prefixItems') ? 'array' : required ? 'single' : 'optional';
+      label = `${property} (${cardinality})`;
+    } else {
+      label = ['allOf', 'oneOf', 'anyOf'].find((keyword) => relative.includes(keyword)) || edge.keyword;
+    }
+
+    const key = `${source.id}->${target.id}:${label}`;
+    if (!relations.has(key)) {
+      relations.set(key, { id: key, source: source.id, target: target.id, property, cardinality, label });
+    }
+  });
+
+  return { entities, relations: [...relations.values()] };
+};
@@ -0,0 +1,260 @@
+import { getSchemaType } from './schemaParser';
+import { getRefName } from './refResolver';
+import { collectDefinitions } from './referenceIndex';
+import { flattenAllOf } from './effectiveSchema';
+import { generateExample } from './exampleGenerator';
+import { isPlainObject } from './schemaUtils';
+
+const CONSTRAINTS = [
+  'minimum', 'exclusiveMinimum', 'maximum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'pattern', 'format',
+  'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties',
+];
+
+// Inline objects are documented as dotted rows (`base.headers`) down to this depth
+const MAX_NESTING = 4;
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+
+/**
+ * Collect the documentation model shared by the Markdown and HTML writers:
+ * one section for the root and one per definition. Types are lists of
+ * `{ text, anchor }` tokens so references can become links in either format.
+ */
+export const buildDocsModel = (schema, resolver) => {
+  const anchors = new Map();
+  const taken = new Set();
+  const addAnchor = (target, text) => {
+    let anchor = slugify(text);
+    for (let suffix = 2; taken.has(anchor); suffix++) anchor = `${slugify(text)}-${suffix}`;
+    taken.add(anchor);
+    anchors.set(target, anchor);
+    return anchor;
+  };
+
+  const definitions = collectDefinitions(resolver);
+  // OpenAPI/AsyncAPI documents keep their title under `info`
+  const info = isPlainObject(schema) && isPlainObject(schema.info) ? schema.info : {};
+  const title = (isPlainObject(schema) && schema.title) || info.title || 'Schema';
+  addAnchor(schema, title);
+  definitions.forEach(({ name, schema: definition }) => {
+    if (!anchors.has(definition)) addAnchor(definition, name);
+  });
+
+  const describeType = (target, depth = 0) => {
+    if (target === true || target === undefined) return [{ text: 'any' }];
+    if (target === false) return [{ text: 'never' }];
+    if (!isPlainObject(target)) return [{ text: 'any' }];
+
+    if (typeof target.$ref === 'string') {
+      const resolved = resolver.resolve(target.$ref, target);
+      if (resolved && anchors.has(resolved)) return [{ text: getRefName(target.$ref), anchor: anchors.get(resolved) }];
+      if (resolved && depth < MAX_NESTING) return describeType(resolved, depth + 1);
+      return [{ text: getRefName(target.$ref) }];
+    }
+
+    const join = (options, separator) => options.flatMap((option, index) => (
+      index === 0 ? describeType(option, depth + 1) : [{ text: separator }, ...describeType(option, depth + 1)]
+    ));
+
+    if (Array.isArray(target.oneOf)) return join(target.oneOf, ' | ');
+    if (Array.isArray(target.anyOf)) return join(target.anyOf, ' | ');
+    if (Array.isArray(target.allOf) && !target.properties) return join(target.allOf, ' & ');
+
+    const type = getSchemaType(target);
+    if (Array.isArray(type)) {
+      return type.flatMap((member, index) => (
+        member === 'array' && target.items
+          ? [...(index > 0 ? [{ text: ' | ' }] : []), ...describeType(target.items, depth + 1), { text: '[]' }]
+          : [{ text: index > 0 ? ` | ${member}` : member }]
+      ));
+    }
+    // OpenAPI 3.0 `nullable: true`
+    const nullable = target.nullable === true && type !== 'null' ? [{ text: ' | null' }] : [];
+    if (type === 'array' && isPlainObject(target.items)) return [...describeType(target.items, depth + 1), { text: '[]' }, ...nullable];
+    return [{ text: type }, ...nullable];
+  };
+
+  const describeConstraints = (target) => CONSTRAINTS
+    .filter((keyword) => target[keyword] !== undefined && target[keyword] !== false)
+    .map((keyword) => (target[keyword] === true ? keyword : `${keyword}: ${target[keyword]}`));
+
+  // Rows for a schema's properties; inline objects contribute dotted child rows
+  const collectRows = (target, prefix = '', depth = 0) => {
+    const properties = Array.isArray(target.allOf)
+      ? flattenAllOf(target, resolver).properties.map(({ name, schema: property, required }) => ({ name, property, required }))
+      : Object.entries(target.properties || {}).map(([name, property]) => ({
+        name,
+        property,
+        required: Array.isArray(target.required) && target.required.includes(name),
+      }));
+
+    return properties.flatMap(({ name, property, required }) => {
+      const resolved = isPlainObject(property) && typeof property.$ref === 'string' && !anchors.has(resolver.resolve(property.$ref, property))
+        ? resolver.resolve(property.$ref, property) || property
+        : property;
+      const details = isPlainObject(resolved) ? resolved : {};
+      const fullName = `${prefix}${name}`;
+      const row = {
+        name: fullName,
+        type: describeType(property),
+        required,
+        description: (isPlainObject(property) && property.description) || details.description || '',
+        constraints: describeConstraints(details),
+        default: details.default,
+        enum: Array.isArray(details.enum) ? details.enum : details.const !== undefined ? [details.const] : null,
+      };
+
+      // Only inline structure is expanded; references to definitions stay links
+      if (depth >= MAX_NESTING || !isPlainObject(resolved)) return [row];
+      if (isPlainObject(resolved.properties)) return [row, ...collectRows(resolved, `${fullName}.`, depth + 1)];
+      if (isPlainObject(resolved.items) && !resolved.items.$ref && isPlainObject(resolved.items.properties)) {
+        return [row, ...collectRows(resolved.items, `${fullName}[].`, depth + 1)];
+      }
+      return [row];
+    });
+  };
+
+  const buildSection = (target, name, file) => {
+    const details = isPlainObject(target) ? target : {};
+    return {
+      anchor: anchors.get(target),
+      name,
+      file,
+      description: details.description || '',
+      type: describeType(details.properties ? { ...details, oneOf: undefined, anyOf: undefined } : details),
+      rows: isPlainObject(target) && (target.properties || target.allOf) ? collectRows(target) : [],
+      example: generateExample(target, { resolver }),
+    };
+  };
+
+  const seen = new Set([schema]);
+  const sections = [buildSection(schema, title, null)];
+  definitions.forEach(({ name, schema: definition, file }) => {
+    if (seen.has(definition)) return;
+    seen.add(definition);
+    sections.push(buildSection(definition, name, file));
+  });
+
+  return { title, description: (isPlainObject(schema) && schema.description) || '', sections };
+};
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+const escapeCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+// Pipes only need escaping inside table cells
+const markdownType = (tokens, escape = escapeCell) => tokens.map(({ text, anchor }) => (anchor ? `[${text}](#${anchor})` : escape(text))).join('');
+
+const formatJson = (value) => (value === undefined ? '' : JSON.stringify(value));
+
+export const generateMarkdownDocs = (schema, resolver) => {
+  const { title, description, sections } = buildDocsModel(schema, resolver);
+  const lines = [`# ${title}`, ''];
+  if (description) lines.push(description, '');
+
+  if (sections.length > 1) {
+    lines.push('## Contents', '');
+    sections.forEach(({ anchor, name }) => lines.push(`- [${name}](#${anchor})`));
+    lines.push('');
+  }
+
+  sections.forEach((section) => {
+    lines.push(`<a id="${section.anchor}"></a>`, '', `## ${section.name}`, '');
+    if (section.file) lines.push(`Defined in \`${section.file}\``, '');
+    if (section.description) lines.push(section.description, '');
+    lines.push(`**Type:** ${markdownType(section.type, String)}`, '');
+
+    if (section.rows.length > 0) {
+      lines.push('| Name | Type | Required | Description | Constraints | Default | Enum |');
+      lines.push('| --- | --- | --- | --- | --- | --- | --- |');
+      section.rows.forEach((row) => {
+        lines.push(`| \`${escapeCell(row.name)}\` | ${markdownType(row.type)} | ${row.required ? 'yes' : 'no'} | ${escapeCell(row.description)} | ${escapeCell(row.constraints.join(', '))} | ${row.default === undefined ? '' : `\`${escapeCell(formatJson(row.default))}\``} | ${row.enum ? escapeCell(row.enum.map(formatJson).join(', ')) : ''} |`);
+      });
+      lines.push('');
+    }
+
+    if (section.example !== undefined) {
+      lines.push('**Example**', '', '```json', JSON.stringify(section.example, null, 2), '```', '');
+    }
+  });
+
+  return lines.join('\n');
+};
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const htmlType = (tokens) => tokens.map(({ text, anchor }) => (
+  anchor ? `<a href="#${anchor}">${escapeHtml(text)}</a>` : escapeHtml(text)
+)).join('');
+
+const STYLES = `
+body { font-family: system-ui, -apple-system, sans-serif; color: #1f2937; max-width: 1100px; margin: 0 auto; padding: 2rem; line-height: 1.5; }
+h1 { border-bottom: 2px solid #e5e7eb; padding-bottom: .5rem; }
+h2 { margin-top: 2.5rem; border-bottom: 1px solid #e5e7eb; padding-bottom: .25rem; }
+a { color: #2563eb; text-decoration: none; }
+a:hover { text-decoration: underline; }
+table { border-collapse: collapse; width: 100%; font-size: .9rem; }
+th, td { border: 1px solid #e5e7eb; padding: .4rem .6rem; text-align: left; vertical-align: top; }
+th { background: #f9fafb; }
+code, pre { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+pre { background: #f3f4f6; padding: 1rem; border-radius: .5rem; overflow: auto; }
+.required { color: #dc2626; font-weight: 600; }
+.muted { color: #6b7280; }
+`;
+
+export const generateHtmlDocs = (schema, resolver) => {
+  const { title, description, sections } = buildDocsModel(schema, resolver);
+  const body = [`<h1>${escapeHtml(title)}</h1>`];
+  if (description) body.push(`<p>${escapeHtml(description)}</p>`);
+
+  if (sections.length > 1) {
+    body.push('<nav><h3>Contents</h3><ul>');
+    sections.forEach(({ anchor, name }) => body.push(`<li><a href="#${anchor}">${escapeHtml(name)}</a></li>`));
+    body.push('</ul></nav>');
+  }
+
+  sections.forEach((section) => {
+    body.push(`<section id="${section.anchor}">`, `<h2>${escapeHtml(section.name)}</h2>`);
+    if (section.file) body.push(`<p class="muted">Defined in <code>${escapeHtml(section.file)}</code></p>`);
+    if (section.description) body.push(`<p>${escapeHtml(section.description)}</p>`);
+    body.push(`<p><strong>Type:</strong> <code>${htmlType(section.type)}</code></p>`);
+
+    if (section.rows.length > 0) {
+      body.push('<table>', '<thead><tr><th>Name</th><th>Type</th><th>Required</th><th>Description</th><th>Constraints</th><th>Default</th><th>Enum</th></tr></thead>', '<tbody>');
+      section.rows.forEach((row) => {
+        body.push(`<tr><td><code>${escapeHtml(row.name)}</code></td><td><code>${htmlType(row.type)}</code></td><td>${row.required ? '<span class="required">yes</span>' : 'no'}</td><td>${escapeHtml(row.description)}</td><td>${escapeHtml(row.constraints.join(', '))}</td><td>${row.default === undefined ? '' : `<code>${escapeHtml(formatJson(row.default))}</code>`}</td><td>${row.enum ? escapeHtml(row.enum.map(formatJson).join(', ')) : ''}</td></tr>`);
+      });
+      body.push('</tbody>', '</table>');
+    }
+
+    if (section.example !== undefined) {
+      body.push('<h4>Example</h4>', `<pre>${escapeHtml(JSON.stringify(section.example, null, 2))}</pre>`);
+    }
+    body.push('</section>');
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,269 @@
+import { getRefName } from './refResolver';
+import { getInstanceType } from './validator';
+import { deepEqual, isPlainObject, resolveSchema } from './schemaUtils';
+
+// Draft-04 spells exclusive bounds as booleans; only numbers can be compared
+const mergeLimit = (current, next, pick) => (
+  typeof current !== 'number' ? current ?? next : typeof next !== 'number' ? current : pick(current, next)
+);
+
+const greatestCommonDivisor = (a, b) => (b === 0 ? a : greatestCommonDivisor(b, a % b));
+
+// A value that is a multiple of both: their least common multiple when they are integers
+const commonMultiple = (a, b) => {
+  if (a % b === 0) return a;
+  if (b % a === 0) return b;
+  return Number.isInteger(a) && Number.isInteger(b) ? (a / greatestCommonDivisor(a, b)) * b : a * b;
+};
+
+const typesOverlap = (type, others) => others.includes(type) || (type === 'integer' && others.includes('number'));
+
+// Combine allOf branches into one schema: properties and required lists are
+// unioned, numeric and length bounds take the tightest value
+export const mergeSchemas = (target, source) => {
+  const merged = { ...target };
+
+  for (const [key, value] of Object.entries(source)) {
+    switch (key) {
+      case 'properties':
+      case 'patternProperties':
+        merged[key] = { ...(merged[key] || {}) };
+        for (const [name, propertySchema] of Object.entries(value)) {
+          merged[key][name] = merged[key][name] ? { allOf: [merged[key][name], propertySchema] } : propertySchema;
+        }
+        break;
+      case 'required':
+        merged.required = [...new Set([...(merged.required || []), ...value])];
+        break;
+      case 'minimum':
+      case 'exclusiveMinimum':
+      case 'minLength':
+      case 'minItems':
+      case 'minProperties':
+      case 'minContains':
+        merged[key] = mergeLimit(merged[key], value, Math.max);
+        break;
+      case 'maximum':
+      case 'exclusiveMaximum':
+      case 'maxLength':
+      case 'maxItems':
+      case 'maxProperties':
+      case 'maxContains':
+        merged[key] = mergeLimit(merged[key], value, Math.min);
+        break;
+      case 'multipleOf':
+        merged[key] = mergeLimit(merged[key], value, commonMultiple);
+        break;
+      case 'type':
+        if (merged.type === undefined) {
+          merged.type = value;
+        } else {
+          const current = [].concat(merged.type);
+          const common = [].concat(value).filter((type) => typesOverlap(type, current));
+          merged.type = common.length === 0 ? merged.type : common.length === 1 ? common[0] : common;
+        }
+        break;
+      case 'allOf':
+        merged.allOf = [...(merged.allOf || []), ...value];
+        break;
+      default:
+        if (merged[key] === undefined) merged[key] = value;
+    }
+  }
+
+  return merged;
+};
+
+// Types a schema can take, or null when it doesn't restrict the type
+const allowedTypes = (schema) => {
+  if (!isPlainObject(schema)) return null;
+  if (schema.type !== undefined) return [].concat(schema.type);
+  if (schema.const !== undefined) return [getInstanceType(schema.const)];
+  if (Array.isArray(schema.enum)) return [...new Set(schema.enum.map(getInstanceType))];
+  return null;
+};
+
+const BOUNDS = [
+  ['minimum', 'maximum'],
+  ['minLength', 'maxLength'],
+  ['minItems', 'maxItems'],
+  ['minProperties', 'maxProperties'],
+];
+
+// Find constraints that no value can satisfy across every contribution
+const findConflicts = (contributions) => {
+  const conflicts = [];
+  const typed = contributions
+    .map((contribution) => ({ ...contribution, types: allowedTypes(contribution.resolved) }))
+    .filter(({ types }) => types !== null);
+
+  for (let i = 0; i < typed.length; i++) {
+    for (let j = i + 1; j < typed.length; j++) {
+      const a = typed[i];
+      const b = typed[j];
+      const compatible = a.types.some((type) => typesOverlap(type, b.types)) || b.types.some((type) => typesOverlap(type, a.types));
+      if (!compatible) {
+        conflicts.push({
+          keyword: 'type',
+          message: `type ${a.types.join('|')} (${a.label}) conflicts with ${b.types.join('|')} (${b.label})`,
+        });
+      }
+    }
+  }
+
+  const consts = contributions.filter(({ resolved }) => isPlainObject(resolved) && resolved.const !== undefined);
+  if (consts.some(({ resolved }) => !deepEqual(resolved.const, consts[0].resolved.const))) {
+    conflicts.push({
+      keyword: 'const',
+      message: `const values differ: ${consts.map(({ resolved, label }) => `${JSON.stringify(resolved.const)} (${label})`).join(', ')}`,
+    });
+  }
+
+  const enums = contributions.filter(({ resolved }) => isPlainObject(resolved) && Array.isArray(resolved.enum));
+  if (enums.length > 1) {
+    const shared = enums[0].resolved.enum.filter((value) => enums.every(({ resolved }) => resolved.enum.some((other) => deepEqual(other, value))));
+    if (shared.length === 0) {
+      conflicts.push({ keyword: 'enum', message: `enum lists share no values (${enums.map(({ label }) => label).join(', ')})` });
+    }
+  }
+
+  for (const [lowKey, highKey] of BOUNDS) {
+    const lows = contributions.filter(({ resolved }) => isPlainObject(resolved) && typeof resolved[lowKey] === 'number');
+    const highs = contributions.filter(({ resolved }) => isPlainObject(resolved) && typeof resolved[highKey] === 'number');
+    if (lows.length === 0 || highs.length === 0) continue;
+    const low = lows.reduce((best, current) => (current.resolved[lowKey] > best.resolved[lowKey] ? current : best));
+    const high = highs.reduce((best, current) => (current.resolved[highKey] < best.resolved[highKey] ? current : best));
+    if (low.resolved[lowKey] > high.resolved[highKey]) {
+      conflicts.push({
+        keyword: lowKey,
+        message: `${lowKey} ${low.resolved[lowKey]} (${low.label}) exceeds ${highKey} ${high.resolved[highKey]} (${high.label})`,
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Flatten the `allOf` chain of `schema` (following `$ref`s and nested `allOf`s)
+ * into one effective property list.
+ *
+ * Each property records the branches that contributed to it and any constraint
+ * conflicts between them; `conflicts` also lists schema-level problems such as
+ * incompatible `type`s or `additionalProperties: false` rejecting a property
+ * declared by a sibling branch.
+ *
+ * A property's `path` is relative to `schema`, unless the branch declaring it
+ * was reached through a `$ref`: then `location` (`{ file, path }`) is where
+ * that branch really lives and `path` is its path within `location.file`.
+ */
+export const flattenAllOf = (schema, resolver) => {
+  const contributions = [];
+  const seen = new Set();
+
+  // `file` is undefined while `path` is relative to `schema`; past a `$ref` it
+  // names the document the branch lives in (null for the root) and `path` is absolute
+  const visit = (node, label, path, file) => {
+    const resolved = resolveSchema(node, resolver);
+    if (!isPlainObject(resolved) || seen.has(resolved)) return;
+    seen.add(resolved);
+
+    const isRef = isPlainObject(node) && typeof node.$ref === 'string';
+    const target = isRef ? resolver.getLocation(resolved) : null;
+    const branchPath = target ? target.path : path;
+    const branchFile = target ? target.file : file;
+
+    const sourceLabel = isRef ? getRefName(node.$ref) : label;
+    contributions.push({ schema: resolved, label: sourceLabel, path: branchPath, file: branchFile });
+
+    if (Array.isArray(resolved.allOf)) {
+      resolved.allOf.forEach((branch, index) => {
+        const branchLabel = sourceLabel === 'own' ? `allOf[${index}]` : `${sourceLabel} → allOf[${index}]`;
+        visit(branch, branchLabel, [...branchPath, 'allOf', index], branchFile);
+      });
+    }
+  };
+
+  visit(schema, 'own', []);
+
+  const properties = new Map();
+  const requiredBy = new Map();
+
+  for (const contribution of contributions) {
+    const { schema: source, label, path, file } = contribution;
+
+    if (isPlainObject(source.properties)) {
+      for (const [name, propertySchema] of Object.entries(source.properties)) {
+        if (!properties.has(name)) properties.set(name, []);
+        properties.get(name).push({
+          schema: propertySchema,
+          resolved: resolveSchema(propertySchema, resolver),
+          label,
+          path: [...path, 'properties', name],
+          file,
+        });
+      }
+    }
+
+    for (const name of Array.isArray(source.required) ? source.required : []) {
+      if (!requiredBy.has(name)) requiredBy.set(name, []);
+      requiredBy.get(name).push(label);
+    }
+  }
+
+  const closed = contributions.filter(({ schema: source }) => source.additionalProperties === false);
+  const conflicts = findConflicts(contributions.map(({ schema: source, label }) => ({
+    resolved: { type: source.type, const: source.const, enum: source.enum, minProperties: source.minProperties, maxProperties: source.maxProperties },
+    label,
+  }))).map((conflict) => ({ ...conflict, property: null }));
+
+  const names = [...new Set([...properties.keys(), ...requiredBy.keys()])];
+
+  const effectiveProperties = names.map((name) => {
+    const entries = properties.get(name) || [];
+    const propertyConflicts = findConflicts(entries);
+
+    for (const closedSource of closed) {
+      const declared = isPlainObject(closedSource.schema.properties) && Object.prototype.hasOwnProperty.call(closedSource.schema.properties, name);
+      const matchesPattern = isPlainObject(closedSource.schema.patternProperties)
+        && Object.keys(closedSource.schema.patternProperties).some((pattern) => {
+          try {
+            return new RegExp(pattern, 'u').test(name);
+          } catch (err) {
+            return false;
+          }
+        });
+      if (!declared && !matchesPattern) {
+        propertyConflicts.push({
+          keyword: 'additionalProperties',
+          message: `additionalProperties: false in ${closedSource.label} rejects this property`,
+        });
+      }
+    }
+
+    if (entries.length === 0) {
+      propertyConflicts.push({ keyword: 'required', message: `required by ${requiredBy.get(name).join(', ')} but never declared` });
+    }
+
+    const merged = entries.reduce(
+      (acc, { resolved }) => (isPlainObject(resolved) ? mergeSchemas(acc, resolved) : acc),
+      {}
+    );
+    const singleRef = entries.length === 1 && isPlainObject(entries[0].schema) ? entries[0].schema.$ref : undefined;
+
+    propertyConflicts.forEach((conflict) => conflicts.push({ ...conflict, property: name }));
+
+    return {
+      name,
+      schema: singleRef ? entries[0].schema : merged,
+      path: entries.length > 0 ? entries[0].path : null,
+      location: entries.length > 0 && entries[0].file !== undefined ? { file: entries[0].file, path: entries[0].path } : null,
+      sources: [...new Set(entries.map(({ label }) => label))],
+      required: requiredBy.has(name),
+      requiredBy: requiredBy.get(name) || [],
+      conflicts: propertyConflicts,
+    };
+  });
+
+  return { properties: effectiveProperties, conflicts, contributions };
+};
@@ -0,0 +1,545 @@
+import { getSchemaType } from './schemaParser';
+import { compilePattern } from './validator';
+import { isPlainObject, deepEqual } from './schemaUtils';
+import { mergeSchemas } from './effectiveSchema';
+
+const FORMAT_SAMPLES = {
+  date: '2024-01-01',
+  'date-time': '2024-01-01T00:00:00Z',
+  time: '12:00:00Z',
+  duration: 'P1D',
+  email: 'user@example.com',
+  'idn-email': 'user@example.com',
+  hostname: 'example.com',
+  'idn-hostname': 'example.com',
+  ipv4: '192.168.0.1',
+  ipv6: '2001:db8::1',
+  uri: 'https://example.com',
+  'uri-reference': '/path/to/resource',
+  iri: 'https://example.com',
+  'iri-reference': '/path/to/resource',
+  'uri-template': 'https://example.com/{id}',
+  uuid: '550e8400-e29b-41d4-a716-446655440000',
+  regex: '^[a-z]+$',
+  'json-pointer': '/path/0',
+  'relative-json-pointer': '0/path',
+};
+
+// ---------------------------------------------------------------------------
+// Regex sampling: parse the pattern into a small AST and emit the shortest
+// string it accepts, growing repetitions when a minimum length demands it.
+// ---------------------------------------------------------------------------
+
+const DIGITS = ['0', '9'];
+const WORD = [['a', 'z'], ['A', 'Z'], ['0', '9'], ['_', '_']];
+const SPACE = [[' ', ' '], ['\t', '\t'], ['\n', '\n']];
+const PRINTABLE = [' ', '~'];
+
+const classForEscape = (char) => {
+  switch (char) {
+    case 'd': return { ranges: [DIGITS], negated: false };
+    case 'D': return { ranges: [DIGITS], negated: true };
+    case 'w': return { ranges: WORD, negated: false };
+    case 'W': return { ranges: WORD, negated: true };
+    case 's': return { ranges: SPACE, negated: false };
+    case 'S': return { ranges: SPACE, negated: true };
+    default: return null;
+  }
+};
+
+const literalForEscape = (pattern, index) => {
+  const char = pattern[index];
+  switch (char) {
+    case 'n': return { value: '\n', length: 1 };
+    case 't': return { value: '\t', length: 1 };
+    case 'r': return { value: '\r', length: 1 };
+    case 'f': return { value: '\f', length: 1 };
+    case 'v': return { value: '\v', length: 1 };
+    case '0': return { value: '\0', length: 1 };
+    case 'x': return { value: String.fromCharCode(parseInt(pattern.slice(index + 1, index + 3), 16)), length: 3 };
+    case 'u': {
+      if (pattern[index + 1] === '{') {
+        const end = pattern.indexOf('}', index);
+        return { value: String.fromCodePoint(parseInt(pattern.slice(index + 2, end), 16)), length: end - index + 1 };
+      }
+      return { value: String.fromCharCode(parseInt(pattern.slice(index + 1, index + 5), 16)), length: 5 };
+    }
+    default: return { value: char, length: 1 };
+  }
+};
+
+const parsePattern = (pattern) => {
+  let index = 0;
+
+  const parseClass = () => {
+    // pattern[index] === '['
+    index += 1;
+    const negated = pattern[index] === '^';
+    if (negated) index += 1;
+    const ranges = [];
+
+    while (index < pattern.length && pattern[index] !== ']') {
+      let start;
+      if (pattern[index] === '\\') {
+        const shorthand = classForEscape(pattern[index + 1]);
+        if (shorthand && !shorthand.negated) {
+          ranges.push(...shorthand.ranges);
+          index += 2;
+          continue;
+        }
+        if (shorthand) {
+          index += 2;
+          continue;
+        }
+        const literal = literalForEscape(pattern, index + 1);
+        start = literal.value;
+        index += 1 + literal.length;
+      } else {
+        start = pattern[index];
+        index += 1;
+      }
+
+      if (pattern[index] === '-' && pattern[index + 1] !== ']' && index + 1 < pattern.length) {
+        index += 1;
+        let end;
+        if (pattern[index] === '\\') {
+          const literal = literalForEscape(pattern, index + 1);
+          end = literal.value;
+          index += 1 + literal.length;
+        } else {
+          end = pattern[index];
+          index += 1;
+        }
+        ranges.push([start, end]);
+      } else {
+        ranges.push([start, start]);
+      }
+    }
+
+    index += 1;
+    return { type: 'class', ranges, negated };
+  };
+
+  const parseAtom = () => {
+    const char = pattern[index];
+
+    if (char === '(') {
+      index += 1;
+      let skip = false;
+      if (pattern[index] === '?') {
+        const kind = pattern[index + 1];
+        if (kind === ':') {
+          index += 2;
+        } else if (kind === '=' || kind === '!') {
+          index += 2;
+          skip = true;
+        } else if (kind === '<' && (pattern[index + 2] === '=' || pattern[index + 2] === '!')) {
+          index += 3;
+          skip = true;
+        } else if (kind === '<') {
+          index = pattern.indexOf('>', index) + 1;
+        }
+      }
+      const alternatives = parseAlternatives();
+      index += 1; // ')'
+      return skip ? { type: 'empty' } : { type: 'group', alternatives };
+    }
+
+    if (char === '[') return parseClass();
+
+    if (char === '\\') {
+      const next = pattern[index + 1];
+      const shorthand = classForEscape(next);
+      if (shorthand) {
+        index += 2;
+        return { type: 'class', ...shorthand };
+      }
+      if (next === 'b' || next === 'B') {
+        index += 2;
+        return { type: 'empty' };
+      }
+      if (/[1-9]/.test(next)) {
+        index += 2;
+        return { type: 'empty' };
+      }
+      const literal = literalForEscape(pattern, index + 1);
+      index += 1 + literal.length;
+      return { type: 'literal', value: literal.value };
+    }
+
+    if (char === '.') {
+      index += 1;
+      return { type: 'class', ranges: [['a', 'z']], negated: false };
+    }
+
+    if (char === '^' || char === '$') {
+      index += 1;
+      return { type: 'empty' };
+    }
+
+    index += 1;
+    return { type: 'literal', value: char };
+  };
+
+  const parseQuantifier = (atom) => {
+    const char = pattern[index];
+    let min = 1;
+    let max = 1;
+
+    if (char === '?') {
+      min = 0;
+      index += 1;
+    } else if (char === '*') {
+      min = 0;
+      max = Infinity;
+      index += 1;
+    } else if (char === '+') {
+      max = Infinity;
+      index += 1;
+    } else if (char === '{') {
+      const match = /^\{(\d*)(,(\d*))?\}/.exec(pattern.slice(index));
+      if (!match) return atom;
+      min = match[1] === '' ? 0 : Number(match[1]);
+      max = match[2] === undefined ? min : match[3] === '' ? Infinity : Number(match[3]);
+      index += match[0].length;
+    } else {
+      return atom;
+    }
+
+    if (pattern[index] === '?' || pattern[index] === '+') index += 1;
+    return { type: 'repeat', atom, min, max };
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    while (index < pattern.length && pattern[index] !== '|' && pattern[index] !== ')') {
+      items.push(parseQuantifier(parseAtom()));
+    }
+    return { type: 'sequence', items };
+  };
+
+  function parseAlternatives() {
+    const alternatives = [parseSequence()];
+    while (pattern[index] === '|') {
+      index += 1;
+      alternatives.push(parseSequence());
+    }
+    return alternatives;
+  }
+
+  return { type: 'group', alternatives: parseAlternatives() };
+};
+
+const pickFromClass = ({ ranges, negated }) => {
+  if (!negated) {
+    return ranges.length > 0 ? ranges[0][0] : 'a';
+  }
+  for (let code = PRINTABLE[0].charCodeAt(0); code <= PRINTABLE[1].charCodeAt(0); code++) {
+    const char = String.fromCharCode(code);
+    if (!ranges.some(([start, end]) => char >= start && char <= end) && /[a-zA-Z0-9]/.test(char)) {
+      return char;
+    }
+  }
+  return '#';
+};
+
+const emit = (node, extra) => {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'class': return pickFromClass(node);
+    case 'group': return emit(node.alternatives[0], extra);
+    case 'sequence': return node.items.map((item) => emit(item, extra)).join('');
+    case 'repeat': {
+      const count = Math.min(node.max, node.min + (node.max > node.min ? extra : 0));
+      return Array.from({ length: count }, () => emit(node.atom, extra)).join('');
+    }
+    default: return '';
+  }
+};
+
+/**
+ * Produce a string that matches `pattern`, honouring length bounds where the
+ * pattern allows it. Returns null for patterns that can't be parsed.
+ */
+export const sampleFromPattern = (pattern, { minLength = 0, maxLength = Infinity } = {}) => {
+  const regex = compilePattern(pattern);
+  if (!regex) return null;
+
+  let ast;
+  try {
+    ast = parsePattern(pattern);
+  } catch (err) {
+    return null;
+  }
+
+  let candidate = null;
+  for (let extra = 0; extra <= Math.max(minLength, 1); extra++) {
+    const sample = emit(ast, extra);
+    const length = [...sample].length;
+    if (regex.test(sample) && length >= minLength && length <= maxLength) return sample;
+    if (candidate === null && regex.test(sample)) candidate = sample;
+  }
+
+  return candidate;
+};
+
+// ---------------------------------------------------------------------------
+// Schema-driven generation
+// ---------------------------------------------------------------------------
+
+const RECURSION = Symbol('recursion');
+
+const pickType = (schema) => {
+  if (Array.isArray(schema.type)) {
+    return schema.type.find((type) => type !== 'null') || schema.type[0];
+  }
+  if (schema.type) return schema.type;
+  if (schema.properties || schema.patternProperties || schema.required || schema.additionalProperties !== undefined) return 'object';
+  if (schema.items || schema.prefixItems || schema.contains) return 'array';
+  if (schema.minimum !== undefined || schema.maximum !== undefined || schema.multipleOf !== undefined) return 'number';
+  if (schema.pattern || schema.minLength !== undefined || schema.maxLength !== undefined || schema.format) return 'string';
+  return getSchemaType(schema);
+};
+
+const numberExample = (schema, type) => {
+  const step = typeof schema.multipleOf === 'number' && schema.multipleOf > 0 ? schema.multipleOf : type === 'integer' ? 1 : null;
+
+  let low = schema.minimum;
+  let lowExclusive = schema.exclusiveMinimum === true;
+  if (typeof schema.exclusiveMinimum === 'number' && (low === undefined || schema.exclusiveMinimum >= low)) {
+    low = schema.exclusiveMinimum;
+    lowExclusive = true;
+  }
+
+  let high = schema.maximum;
+  let highExclusive = schema.exclusiveMaximum === true;
+  if (typeof schema.exclusiveMaximum === 'number' && (high === undefined || schema.exclusiveMaximum <= high)) {
+    high = schema.exclusiveMaximum;
+    highExclusive = true;
+  }
+
+  const align = (value, direction) => {
+    if (!step) return value;
+    const aligned = (direction > 0 ? Math.ceil(value / step) : Math.floor(value / step)) * step;
+    return Number(aligned.toPrecision(12));
+  };
+
+  let value;
+  if (low !== undefined) {
+    value = align(low, 1);
+    if (lowExclusive && value <= low) value = step ? align(value + step, 1) : low + (type === 'integer' ? 1 : 0.5);
+  } else if (high !== undefined) {
+    value = align(Math.min(high, 0), -1);
+    if (highExclusive && value >= high) value = step ? align(value - step, -1) : high - 1;
+  } else {
+    value = 0;
+  }
+
+  if (high !== undefined && (highExclusive ? value >= high : value > high) && low !== undefined) {
+    value = low + (high - low) / 2;
+    if (type === 'integer') value = Math.round(value);
+  }
+
+  return type === 'integer' ? Math.round(value) : value;
+};
+
+const fitLength = (value, schema) => {
+  let result = value;
+  if (typeof schema.minLength === 'number' && [...result].length < schema.minLength) {
+    result = result.padEnd(schema.minLength, 'x');
+  }
+  if (typeof schema.maxLength === 'number' && [...result].length > schema.maxLength) {
+    result = [...result].slice(0, schema.maxLength).join('');
+  }
+  return result;
+};
+
+const stringExample = (schema) => {
+  // A format sample only helps if it also fits the length bounds
+  const sample = schema.format ? FORMAT_SAMPLES[schema.format] : undefined;
+  if (sample !== undefined && fitLength(sample, schema) === sample) {
+    return sample;
+  }
+  if (typeof schema.pattern === 'string') {
+    const sample = sampleFromPattern(schema.pattern, { minLength: schema.minLength, maxLength: schema.maxLength });
+    if (sample !== null) return sample;
+  }
+  return fitLength('string', schema);
+};
+
+const resolveTarget = (schema, resolver) => (
+  isPlainObject(schema) && typeof schema.$ref === 'string' ? resolver?.resolve(schema.$ref, schema) || {} : schema
+);
+
+// Placeholder where generation is cut off; arrays still get `minItems` placeholder items
+const minimalValue = (schema, resolver = null, nested = false) => {
+  switch (pickType(schema)) {
+    case 'object': return {};
+    case 'array': {
+      if (nested || typeof schema.minItems !== 'number') return [];
+      const items = isPlainObject(schema.items) ? schema.items : {};
+      const item = minimalValue(resolveTarget(items, resolver), resolver, true);
+      return Array.from({ length: schema.minItems }, () => item);
+    }
+    case 'string': return '';
+    case 'number':
+    case 'integer': return 0;
+    case 'boolean': return false;
+    default: return null;
+  }
+};
+
+/**
+ * Build an example instance for `schema`.
+ *
+ * `$ref`s are followed through `resolver`, `allOf` branches are merged and
+ * `oneOf`/`anyOf` pick branch `variant` (modulo the branch count) so callers can
+ * cycle through alternatives. A definition that recurses into itself stops at
+ * an empty value instead of expanding forever.
+ */
+export const generateExample = (schema, { resolver, variant = 0, maxDepth = 8, optionalDepth = 3 } = {}) => {
+  const generate = (node, stack, depth) => {
+    if (node === true || node === undefined) return null;
+    if (node === false || !isPlainObject(node)) return undefined;
+
+    if (typeof node.$ref === 'string' && resolver) {
+      const target = resolver.resolve(node.$ref, node);
+      if (target !== null) {
+        if (stack.includes(target)) return RECURSION;
+        const { $ref, ...siblings } = node;
+        const resolved = Object.keys(siblings).length > 0 && isPlainObject(target)
+          ? mergeSchemas(target, siblings)
+          : target;
+        return generate(resolved, [...stack, target], depth);
+      }
+    }
+
+    if (Array.isArray(node.examples) && node.examples.length > 0) {
+      return node.examples[variant % node.examples.length];
+    }
+    if (node.default !== undefined) return node.default;
+    if (node.const !== undefined) return node.const;
+    if (Array.isArray(node.enum) && node.enum.length > 0) return node.enum[variant % node.enum.length];
+
+    if (Array.isArray(node.allOf) && node.allOf.length > 0) {
+      const { allOf, ...rest } = node;
+      const merged = allOf.reduce((acc, branch) => {
+        let branchSchema = branch;
+        if (isPlainObject(branch) && typeof branch.$ref === 'string' && resolver) {
+          branchSchema = resolver.resolve(branch.$ref, branch) || branch;
+        }
+        return isPlainObject(branchSchema) ? mergeSchemas(acc, branchSchema) : acc;
+      }, rest);
+      return generate(merged, stack, depth);
+    }
+
+    const branches = Array.isArray(node.oneOf) ? node.oneOf : Array.isArray(node.anyOf) ? node.anyOf : null;
+    if (branches && branches.length > 0) {
+      const { oneOf, anyOf, ...rest } = node;
+      const branch = branches[variant % branches.length];
+      return generate(Object.keys(rest).length > 0 && isPlainObject(branch) ? { allOf: [rest, branch] } : branch, stack, depth);
+    }
+
+    if (depth > maxDepth) return minimalValue(node, resolver);
+
+    const type = pickType(node);
+
+    switch (type) {
+      case 'string':
+        return stringExample(node);
+
+      case 'number':
+      case 'integer':
+        return numberExample(node, type);
+
+      case 'boolean':
+        return true;
+
+      case 'null':
+        return null;
+
+      case 'array': {
+        const tuple = Array.isArray(node.prefixItems) ? node.prefixItems : Array.isArray(node.items) ? node.items : [];
+        const rest = Array.isArray(node.items) ? node.additionalItems : node.items;
+        const maxItems = typeof node.maxItems === 'number' ? node.maxItems : Infinity;
+        const count = Math.min(maxItems, Math.max(node.minItems || 0, tuple.length, rest !== undefined && rest !== false ? 1 : 0));
+        const result = [];
+
+        for (let index = 0; index < count; index++) {
+          const itemSchema = index < tuple.length ? tuple[index] : rest !== undefined ? rest : node.contains;
+          const item = generateWithVariant(itemSchema, stack, depth + 1, node.uniqueItems ? index : 0);
+          if (item === RECURSION) {
+            const placeholder = minimalValue(resolveTarget(itemSchema, resolver), resolver);
+            while (result.length < Math.min(maxItems, node.minItems || 0)) result.push(placeholder);
+            break;
+          }
+          if (item === undefined) break;
+          if (node.uniqueItems && result.some((existing) => deepEqual(existing, item))) break;
+          result.push(item);
+        }
+
+        if (node.contains !== undefined && result.length === 0 && maxItems > 0) {
+          const item = generate(node.contains, stack, depth + 1);
+          if (item !== RECURSION && item !== undefined) result.push(item);
+        }
+
+        return result;
+      }
+
+      case 'object': {
+        const result = {};
+        const properties = isPlainObject(node.properties) ? node.properties : {};
+        const required = Array.isArray(node.required) ? node.required : [];
+        const includeOptional = depth < optionalDepth;
+        const maxProperties = typeof node.maxProperties === 'number' ? node.maxProperties : Infinity;
+        const names = [
+          ...required,
+          ...(includeOptional ? Object.keys(properties).filter((name) => !required.includes(name)) : []),
+        ];
+
+        for (const name of names) {
+          if (Object.keys(result).length >= maxProperties && !required.includes(name)) break;
+
+          let propertySchema = properties[name];
+          if (propertySchema === undefined && isPlainObject(node.patternProperties)) {
+            const pattern = Object.keys(node.patternProperties).find((key) => compilePattern(key)?.test(name));
+            propertySchema = pattern !== undefined ? node.patternProperties[pattern] : undefined;
+          }
+          if (propertySchema === undefined) {
+            propertySchema = node.additionalProperties !== undefined ? node.additionalProperties : true;
+          }
+
+          const value = generate(propertySchema, stack, depth + 1);
+          if (value === RECURSION) {
+            if (required.includes(name)) result[name] = minimalValue(resolveTarget(propertySchema, resolver), resolver);
+          } else if (value !== undefined) {
+            result[name] = value;
+          }
+        }
+
+        const minProperties = typeof node.minProperties === 'number' ? node.minProperties : 0;
+        const extraSchema = isPlainObject(node.additionalProperties) || node.additionalProperties === true || node.additionalProperties === undefined
+          ? node.additionalProperties
+          : null;
+        for (let index = 1; Object.keys(result).length < minProperties && extraSchema !== null; index++) {
+          const value = generate(extraSchema, stack, depth + 1);
+          result[`property${index}`] = value === RECURSION || value === undefined ? null : value;
+        }
+
+        return result;
+      }
+
+      default:
+        return null;
+    }
+  };
+
+  // Array items with uniqueItems need distinct values, so each one picks a different variant
+  const generateWithVariant = (node, stack, depth, offset) => {
+    if (offset === 0) return generate(node, stack, depth);
+    return generateExample(node, { resolver, variant: variant + offset, maxDepth: maxDepth - depth, optionalDepth: optionalDepth - depth });
+  };
+
+  const value = generate(schema, [], 0);
+  return value === RECURSION || value === undefined ? null : value;
+};
@@ -0,0 +1,38 @@
+import { layeredLayout } from './layeredLayout';
+
+let worker = null;
+let workerFailed = false;
+let nextRequest = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (worker === null) {
+    worker = new Worker(new URL('./layout.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      pending.delete(data.id);
+      if (request) request.resolve(data.positions);
+    };
+    // A worker that can't start still has to answer everything queued on it
+    worker.onerror = () => {
+      workerFailed = true;
+      pending.forEach(({ resolve, graph, options }) => resolve(layeredLayout(graph, options)));
+      pending.clear();
+    };
+  }
+  return worker;
+};
+
+/**
+ * Compute a layered layout (see `layeredLayout`) off the main thread.
+ * Resolves with the top-left position of every node; falls back to running
+ * inline where workers aren't available.
+ */
+export const computeLayout = (graph, options) => {
+  if (typeof Worker === 'undefined' || workerFailed) return Promise.resolve(layeredLayout(graph, options));
+  return new Promise((resolve) => {
+    const id = nextRequest++;
+    pending.set(id, { resolve, graph, options });
+    getWorker().postMessage({ id, graph, options });
+  });
+};
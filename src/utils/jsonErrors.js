@@ -0,0 +1,145 @@
+// Engines word JSON.parse errors differently and don't always say where they
+// stopped, so failed input is re-scanned to find the offending offset.
+const scanJson = (text) => {
+  let index = 0;
+
+  const fail = (message) => {
+    const error = new Error(message);
+    error.offset = index;
+    throw error;
+  };
+
+  const skipWhitespace = () => {
+    while (index < text.length && ' \t\n\r'.includes(text[index])) index++;
+  };
+
+  const scanString = () => {
+    index++;
+    while (index < text.length) {
+      const char = text[index];
+      if (char === '"') {
+        index++;
+        return;
+      }
+      if (char === '\\') {
+        const next = text[index + 1];
+        if (next !== undefined && '"\\/bfnrt'.includes(next)) {
+          index += 2;
+        } else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(index + 2, index + 6))) {
+          index += 6;
+        } else {
+          fail('Invalid escape sequence in string');
+        }
+      } else if (char < ' ') {
+        fail('Line breaks and control characters must be escaped in strings');
+      } else {
+        index++;
+      }
+    }
+    fail('Unterminated string');
+  };
+
+  const scanValue = () => {
+    skipWhitespace();
+    const char = text[index];
+
+    if (char === undefined) fail('Unexpected end of input');
+
+    if (char === '{') {
+      index++;
+      skipWhitespace();
+      if (text[index] === '}') {
+        index++;
+        return;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[index] !== '"') fail('Expected a property name in double quotes');
+        scanString();
+        skipWhitespace();
+        if (text[index] !== ':') fail("Expected ':' after property name");
+        index++;
+        scanValue();
+        skipWhitespace();
+        if (text[index] === ',') {
+          index++;
+        } else if (text[index] === '}') {
+          index++;
+          return;
+        } else {
+          fail("Expected ',' or '}' after property value");
+        }
+      }
+    }
+
+    if (char === '[') {
+      index++;
+      skipWhitespace();
+      if (text[index] === ']') {
+        index++;
+        return;
+      }
+      for (;;) {
+        scanValue();
+        skipWhitespace();
+        if (text[index] === ',') {
+          index++;
+        } else if (text[index] === ']') {
+          index++;
+          return;
+        } else {
+          fail("Expected ',' or ']' after array element");
+        }
+      }
+    }
+
+    if (char === '"') {
+      scanString();
+      return;
+    }
+
+    const number = /-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/y;
+    number.lastIndex = index;
+    if ((char === '-' || (char >= '0' && char <= '9')) && number.test(text)) {
+      index = number.lastIndex;
+      return;
+    }
+
+    const literal = ['true', 'false', 'null'].find((word) => text.startsWith(word, index));
+    if (literal) {
+      index += literal.length;
+      return;
+    }
+
+    fail(`Unexpected character ${JSON.stringify(char)}`);
+  };
+
+  scanValue();
+  skipWhitespace();
+  if (index < text.length) fail('Unexpected content after the end of the JSON value');
+};
+
+// 1-based line and column of a character offset
+export const offsetToPosition = (text, offset) => {
+  const before = text.slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+/**
+ * Parse JSON text, reporting failures with a line and column.
+ * Returns `{ value }` or `{ error: { message, line, column } }`.
+ */
+export const parseJsonWithPosition = (text) => {
+  try {
+    return { value: JSON.parse(text) };
+  } catch (err) {
+    try {
+      scanJson(text);
+    } catch (scanError) {
+      return { error: { message: scanError.message, ...offsetToPosition(text, scanError.offset) } };
+    }
+    // The scanner accepted what JSON.parse rejected; fall back to the end of the text
+    return { error: { message: err.message, ...offsetToPosition(text, text.length) } };
+  }
+};
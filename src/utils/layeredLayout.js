@@ -0,0 +1,226 @@
+// Layered graph layout in the style of Dagre/ELK (Sugiyama): break cycles,
+// assign layers, route long edges through placeholder nodes, reduce crossings,
+// then place nodes in each layer as close to their neighbours as their sizes allow.
+// Pure so it can run in a web worker (see layout.worker.js).
+
+const SWEEPS = 8;
+
+// Reverse the edges that close a cycle so the graph can be layered
+const breakCycles = (ids, edges) => {
+  const outgoing = new Map(ids.map((id) => [id, []]));
+  edges.forEach((edge) => outgoing.get(edge.source).push(edge));
+  const state = new Map();
+  const reversed = new Set();
+
+  const visit = (id) => {
+    state.set(id, 'active');
+    outgoing.get(id).forEach((edge) => {
+      const next = state.get(edge.target);
+      if (next === 'active') reversed.add(edge);
+      else if (next === undefined) visit(edge.target);
+    });
+    state.set(id, 'done');
+  };
+  ids.forEach((id) => {
+    if (!state.has(id)) visit(id);
+  });
+
+  return edges.map((edge) => (reversed.has(edge) ? { source: edge.target, target: edge.source } : edge));
+};
+
+// Longest path from the sources, so every edge points to a later layer
+const assignLayers = (ids, edges) => {
+  const incoming = new Map(ids.map((id) => [id, 0]));
+  const outgoing = new Map(ids.map((id) => [id, []]));
+  edges.forEach(({ source, target }) => {
+    incoming.set(target, incoming.get(target) + 1);
+    outgoing.get(source).push(target);
+  });
+
+  const layer = new Map(ids.map((id) => [id, 0]));
+  const queue = ids.filter((id) => incoming.get(id) === 0);
+  for (let index = 0; index < queue.length; index++) {
+    const id = queue[index];
+    outgoing.get(id).forEach((target) => {
+      layer.set(target, Math.max(layer.get(target), layer.get(id) + 1));
+      incoming.set(target, incoming.get(target) - 1);
+      if (incoming.get(target) === 0) queue.push(target);
+    });
+  }
+  return layer;
+};
+
+const countCrossings = (upper, lower, edges, position) => {
+  const between = edges
+    .filter(({ source, target }) => upper.includes(source) && lower.includes(target))
+    .map(({ source, target }) => [position.get(source), position.get(target)]);
+  let crossings = 0;
+  for (let a = 0; a < between.length; a++) {
+    for (let b = a + 1; b < between.length; b++) {
+      if ((between[a][0] - between[b][0]) * (between[a][1] - between[b][1]) < 0) crossings++;
+    }
+  }
+  return crossings;
+};
+
+/**
+ * Centres for items kept in order, as close to `desired` as the minimum
+ * distances `gaps[i]` between item i and i + 1 allow (least squares, solved by
+ * pooling adjacent violators on the gap-adjusted targets).
+ */
+const packInOrder = (desired, gaps) => {
+  const offsets = desired.map(() => 0);
+  for (let index = 1; index < desired.length; index++) offsets[index] = offsets[index - 1] + gaps[index - 1];
+
+  const blocks = [];
+  desired.forEach((value, index) => {
+    blocks.push({ sum: value - offsets[index], count: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.sum / previous.count <= last.sum / last.count) break;
+      blocks.pop();
+      previous.sum += last.sum;
+      previous.count += last.count;
+    }
+  });
+
+  const centres = [];
+  blocks.forEach(({ sum, count }) => {
+    for (let index = 0; index < count; index++) centres.push(sum / count + offsets[centres.length]);
+  });
+  return centres;
+};
+
+/**
+ * Lay out `{ nodes: [{ id, width, height }], edges: [{ source, target }] }`.
+ *
+ * `direction` is `LR` (layers run left to right) or `TB` (top to bottom).
+ * Edges that skip layers get placeholders `edgeGap` wide in every layer they
+ * cross, which keeps a corridor free for them. Returns the top-left position
+ * of every node keyed by id.
+ */
+export const layeredLayout = ({ nodes, edges }, { direction = 'LR', layerGap = 80, nodeGap = 24, edgeGap = 16 } = {}) => {
+  const horizontal = direction !== 'TB';
+  const ids = nodes.map(({ id }) => id);
+  const known = new Set(ids);
+  // Size across a layer (breadth) and along the layering direction (depth)
+  const breadth = new Map(nodes.map((node) => [node.id, horizontal ? node.height : node.width]));
+  const depth = new Map(nodes.map((node) => [node.id, horizontal ? node.width : node.height]));
+
+  const seen = new Set();
+  const graphEdges = edges.filter(({ source, target }) => {
+    const key = `${source}\u0000${target}`;
+    if (source === target || !known.has(source) || !known.has(target) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const acyclic = breakCycles(ids, graphEdges);
+  const layerOf = assignLayers(ids, acyclic);
+
+  // Split edges that span several layers into chains of placeholders
+  const dummies = new Set();
+  const layeredEdges = [];
+  acyclic.forEach(({ source, target }, edgeIndex) => {
+    let previous = source;
+    for (let layer = layerOf.get(source) + 1; layer < layerOf.get(target); layer++) {
+      const dummy = `\u0000edge${edgeIndex}:${layer}`;
+      dummies.add(dummy);
+      layerOf.set(dummy, layer);
+      breadth.set(dummy, edgeGap);
+      depth.set(dummy, 0);
+      layeredEdges.push({ source: previous, target: dummy });
+      previous = dummy;
+    }
+    layeredEdges.push({ source: previous, target });
+  });
+
+  const successors = new Map([...layerOf.keys()].map((id) => [id, []]));
+  const predecessors = new Map([...layerOf.keys()].map((id) => [id, []]));
+  layeredEdges.forEach(({ source, target }) => {
+    successors.get(source).push(target);
+    predecessors.get(target).push(source);
+  });
+
+  // Initial order: depth-first from the sources in input order, so a tree keeps its child order
+  const layerCount = Math.max(0, ...layerOf.values()) + 1;
+  const layers = Array.from({ length: layerCount }, () => []);
+  const placed = new Set();
+  const place = (id) => {
+    placed.add(id);
+    layers[layerOf.get(id)].push(id);
+    successors.get(id).forEach((next) => {
+      if (!placed.has(next)) place(next);
+    });
+  };
+  ids.filter((id) => predecessors.get(id).length === 0).forEach((id) => {
+    if (!placed.has(id)) place(id);
+  });
+  ids.forEach((id) => {
+    if (!placed.has(id)) place(id);
+  });
+
+  // Crossing reduction: barycentre sweeps, keeping the best ordering seen
+  const position = new Map();
+  const indexLayers = () => layers.forEach((layer) => layer.forEach((id, index) => position.set(id, index)));
+  const totalCrossings = () => layers.slice(1).reduce((sum, layer, index) => sum + countCrossings(layers[index], layer, layeredEdges, position), 0);
+  indexLayers();
+  let best = { crossings: totalCrossings(), layers: layers.map((layer) => [...layer]) };
+  for (let sweep = 0; sweep < SWEEPS && best.crossings > 0; sweep++) {
+    const down = sweep % 2 === 0;
+    const order = down ? layers.map((_, index) => index).slice(1) : layers.map((_, index) => index).reverse().slice(1);
+    order.forEach((index) => {
+      const neighbours = down ? predecessors : successors;
+      const barycentre = new Map(layers[index].map((id) => {
+        const linked = neighbours.get(id);
+        return [id, linked.length > 0 ? linked.reduce((sum, other) => sum + position.get(other), 0) / linked.length : position.get(id)];
+      }));
+      layers[index].sort((a, b) => barycentre.get(a) - barycentre.get(b));
+      layers[index].forEach((id, slot) => position.set(id, slot));
+    });
+    const crossings = totalCrossings();
+    if (crossings < best.crossings) best = { crossings, layers: layers.map((layer) => [...layer]) };
+  }
+  best.layers.forEach((layer, index) => {
+    layers[index] = layer;
+  });
+  indexLayers();
+
+  // Coordinates across the layers: pull each node towards its neighbours, then settle parents over their children
+  const gapBetween = (a, b) => (breadth.get(a) + breadth.get(b)) / 2 + (dummies.has(a) || dummies.has(b) ? edgeGap : nodeGap);
+  const centre = new Map();
+  layers.forEach((layer) => {
+    const centres = packInOrder(layer.map(() => 0), layer.slice(1).map((id, index) => gapBetween(layer[index], id)));
+    layer.forEach((id, index) => centre.set(id, centres[index]));
+  });
+  for (let sweep = 0; sweep < SWEEPS; sweep++) {
+    const down = sweep < SWEEPS / 2 ? sweep % 2 === 0 : false;
+    const order = down ? layers.map((_, index) => index).slice(1) : layers.map((_, index) => index).reverse().slice(1);
+    order.forEach((index) => {
+      const layer = layers[index];
+      const neighbours = down ? predecessors : successors;
+      const desired = layer.map((id) => {
+        const linked = neighbours.get(id);
+        return linked.length > 0 ? linked.reduce((sum, other) => sum + centre.get(other), 0) / linked.length : centre.get(id);
+      });
+      const centres = packInOrder(desired, layer.slice(1).map((id, slot) => gapBetween(layer[slot], id)));
+      layer.forEach((id, slot) => centre.set(id, centres[slot]));
+    });
+  }
+
+  // Coordinates along the layers: each layer is as deep as its deepest node
+  const layerStart = [];
+  layers.reduce((start, layer, index) => {
+    layerStart[index] = start;
+    return start + Math.max(0, ...layer.map((id) => depth.get(id))) + layerGap;
+  }, 0);
+
+  const positions = {};
+  ids.forEach((id) => {
+    const across = centre.get(id) - breadth.get(id) / 2;
+    const along = layerStart[layerOf.get(id)];
+    positions[id] = horizontal ? { x: along, y: across } : { x: across, y: along };
+  });
+  return positions;
+};
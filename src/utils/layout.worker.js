@@ -0,0 +1,6 @@
+import { layeredLayout } from './layeredLayout';
+
+self.onmessage = ({ data }) => {
+  const { id, graph, options } = data;
+  self.postMessage({ id, positions: layeredLayout(graph, options) });
+};
@@ -0,0 +1,90 @@
+import { getRefName } from './refResolver';
+import { formatLocation } from './referenceIndex';
+
+// Longest preview of a reference target shown on hover
+const PREVIEW_LINES = 30;
+
+/**
+ * Point Monaco's JSON diagnostics at the loaded schema for the model with
+ * `modelUri`, so the editor offers completion, hover docs and squiggles.
+ * Every workspace document is registered under its base URI so relative
+ * `$ref`s between files resolve without network requests.
+ */
+export const configureInstanceSchema = (monaco, modelUri, resolver) => {
+  const root = resolver.getDocument(null);
+  const schemas = [
+    { uri: resolver.getBaseUri(root), fileMatch: [modelUri], schema: root },
+    ...resolver.getFiles().map((file) => {
+      const document = resolver.getDocument(file);
+      return { uri: resolver.getBaseUri(document), schema: document };
+    }),
+  ];
+  monaco.languages.json.jsonDefaults.setDiagnosticsOptions({
+    validate: true,
+    enableSchemaRequest: false,
+    schemas,
+  });
+};
+
+export const clearInstanceSchema = (monaco) => {
+  monaco.languages.json.jsonDefaults.setDiagnosticsOptions({ validate: true, enableSchemaRequest: false, schemas: [] });
+};
+
+// `"$ref": "..."` in JSON; in YAML the key and value may also be unquoted or single-quoted
+const REF_PATTERNS = {
+  json: /"\$ref"\s*:\s*("(?:[^"\\]|\\.)*")/g,
+  yaml: /['"]?\$ref['"]?\s*:\s*("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'",}#][^\s,}]*)/g,
+};
+
+const unquote = (raw) => {
+  if (raw.startsWith('"')) return JSON.parse(raw);
+  if (raw.startsWith("'")) return raw.slice(1, -1).replace(/''/g, "'");
+  return raw;
+};
+
+/**
+ * The `$ref` value under a 1-based `column` of a line of `language` (`json`
+ * or `yaml`), as `{ ref, startColumn, endColumn }` covering the written value.
+ */
+export const findRefAt = (lineText, column, language = 'json') => {
+  const pattern = new RegExp(REF_PATTERNS[language] || REF_PATTERNS.json);
+  let match;
+  while ((match = pattern.exec(lineText)) !== null) {
+    const raw = match[1];
+    const startColumn = match.index + match[0].length - raw.length + 1;
+    const endColumn = match.index + match[0].length + 1;
+    if (column >= startColumn && column <= endColumn) {
+      return { ref: unquote(raw), startColumn, endColumn };
+    }
+  }
+  return null;
+};
+
+// Where a `$ref` written in the root document points, preferring the indexed edge for its exact base URI
+export const lookupSourceRef = (ref, resolver, references) => {
+  const edge = references && references.edges.find((candidate) => candidate.file === null && candidate.keyword === '$ref' && candidate.ref === ref);
+  if (edge) return edge.target === null ? null : { schema: edge.target, location: edge.targetLocation };
+
+  const target = resolver.lookup(ref, resolver.getDocument(null));
+  return target ? { schema: target.schema, location: resolver.getLocation(target.schema) } : null;
+};
+
+// Markdown hover for a reference target: name, location, description and the start of its JSON
+export const formatRefPreview = (ref, target) => {
+  if (!target) return [`**${getRefName(ref)}**`, '', `\`${ref}\` does not resolve`].join('\n');
+
+  const lines = JSON.stringify(target.schema, null, 2).split('\n');
+  const json = lines.length > PREVIEW_LINES ? [...lines.slice(0, PREVIEW_LINES), '…'] : lines;
+  const description = target.schema && typeof target.schema === 'object' ? target.schema.description : null;
+
+  return [
+    `**${getRefName(ref)}**${target.location ? ` — \`${formatLocation(target.location)}\`` : ''}`,
+    ...(description ? ['', description] : []),
+    '',
+    '```json',
+    ...json,
+    '```',
+    '',
+    '_Ctrl+click to open in Explorer_',
+  ].join('\n');
+};
@@ -0,0 +1,238 @@
+import { walkDocument } from './schemaWalk';
+
+// Base URI used for schemas that don't declare an absolute $id
+export const DEFAULT_BASE_URI = 'https://json-schema-viewer.local/schema.json';
+
+export const decodePointerToken = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+export const encodePointerToken = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// Parse a JSON Pointer ("/a/b~1c") into its decoded tokens; null if it isn't a pointer
+export const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) return null;
+  return pointer.slice(1).split('/').map(decodePointerToken);
+};
+
+export const toPointer = (path) => path.map((segment) => `/${encodePointerToken(segment)}`).join('');
+
+export const evaluatePointer = (document, tokens) => {
+  let current = document;
+
+  for (const token of tokens) {
+    if (Array.isArray(current)) {
+      if (!/^(0|[1-9][0-9]*)$/.test(token)) return undefined;
+      current = current[Number(token)];
+    } else if (current && typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, token)) {
+      current = current[token];
+    } else {
+      return undefined;
+    }
+  }
+
+  return current;
+};
+
+export const splitUri = (uri) => {
+  const hashIndex = uri.indexOf('#');
+  return hashIndex === -1 ? [uri, ''] : [uri.slice(0, hashIndex), uri.slice(hashIndex + 1)];
+};
+
+const decodeFragment = (fragment) => {
+  try {
+    return decodeURIComponent(fragment);
+  } catch (err) {
+    return fragment;
+  }
+};
+
+export const resolveUri = (base, ref) => {
+  try {
+    return new URL(ref, base).href;
+  } catch (err) {
+    return ref;
+  }
+};
+
+// Human readable name for a reference: the last pointer token, the anchor, or the file name
+export const getRefName = (ref) => {
+  if (!ref || typeof ref !== 'string') return '';
+
+  const [documentPart, fragment] = splitUri(ref);
+  const decoded = decodeFragment(fragment);
+  const tokens = parsePointer(decoded);
+
+  if (tokens && tokens.length > 0) return tokens[tokens.length - 1];
+  if (decoded && !tokens) return decoded;
+
+  return documentPart.split('/').pop() || ref;
+};
+
+/**
+ * Build a resolver over one or more schema documents.
+ *
+ * Every `$id`, `$anchor` and `$dynamicAnchor` is indexed up front, so a `$ref`
+ * can be resolved relative to whichever resource the referencing schema lives in.
+ * `documents` maps a workspace path to its parsed schema and `rootFile` names the
+ * entry document; the root is resolved against `baseUri` (or its own `$id`).
+ */
+export const createResolver = (rootSchema, { documents = {}, rootFile = null, baseUri } = {}) => {
+  const resources = new Map();
+  const workspaceFiles = new Map();
+  const anchors = new Map();
+  const dynamicAnchors = new Map();
+  const baseOf = new WeakMap();
+  const fileOf = new WeakMap();
+  const pathOf = new WeakMap();
+
+  // Returns the base URI the node's children resolve against
+  const index = (file) => (node, path, base) => {
+    let currentBase = base;
+
+    if (typeof node.$id === 'string') {
+      const [idBase, idFragment] = splitUri(resolveUri(base, node.$id));
+      if (node.$id.startsWith('#')) {
+        // draft-06/07 plain-name fragment used as an anchor
+        anchors.set(`${base}#${idFragment}`, node);
+      } else {
+        currentBase = idBase;
+        if (!resources.has(idBase)) {
+          resources.set(idBase, { schema: node, file });
+        }
+      }
+    }
+
+    if (typeof node.$anchor === 'string') {
+      anchors.set(`${currentBase}#${node.$anchor}`, node);
+    }
+
+    if (typeof node.$dynamicAnchor === 'string') {
+      anchors.set(`${currentBase}#${node.$dynamicAnchor}`, node);
+      dynamicAnchors.set(`${currentBase}#${node.$dynamicAnchor}`, node);
+    }
+
+    baseOf.set(node, currentBase);
+    fileOf.set(node, file);
+    pathOf.set(node, path);
+    return currentBase;
+  };
+
+  const addDocument = (schema, uri, file) => {
+    if (!schema || typeof schema !== 'object') return;
+    const [documentUri] = splitUri(uri);
+    resources.set(documentUri, { schema, file });
+    if (file) {
+      workspaceFiles.set(file, { schema, file });
+    }
+    walkDocument(schema, index(file), documentUri);
+  };
+
+  const rootBase = splitUri(baseUri || (rootFile ? resolveUri(DEFAULT_BASE_URI, rootFile) : DEFAULT_BASE_URI))[0];
+  addDocument(rootSchema, rootBase, rootFile);
+
+  for (const [file, schema] of Object.entries(documents)) {
+    if (schema !== rootSchema) {
+      addDocument(schema, resolveUri(DEFAULT_BASE_URI, file), file);
+    }
+  }
+
+  // A document with an absolute $id still refers to its siblings by relative path,
+  // so fall back to matching the tail of the URI against workspace paths
+  const findResource = (documentUri) => {
+    if (resources.has(documentUri)) return resources.get(documentUri);
+
+    let best = null;
+    for (const [file, resource] of workspaceFiles) {
+      if (documentUri.endsWith(`/${file}`) && (!best || file.length > best.file.length)) {
+        best = resource;
+      }
+    }
+    if (best) return best;
+
+    const fileName = documentUri.split('/').pop();
+    const matches = [...workspaceFiles.values()].filter(({ file }) => file.split('/').pop() === fileName);
+    return matches.length === 1 ? matches[0] : null;
+  };
+
+  const baseFor = (from) => (
+    (from && typeof from === 'object' && baseOf.get(from)) || baseOf.get(rootSchema) || rootBase
+  );
+
+  /**
+   * Resolve `ref` as written inside the schema object `from`.
+   * Returns `{ schema, uri, file }` or null when the target cannot be found.
+   */
+  const lookup = (ref, from) => {
+    if (typeof ref !== 'string') return null;
+
+    const uri = resolveUri(baseFor(from), ref);
+    const [documentUri, fragment] = splitUri(uri);
+    const resource = findResource(documentUri);
+    if (!resource) return null;
+
+    const decoded = decodeFragment(fragment);
+    const tokens = parsePointer(decoded);
+    const target = tokens
+      ? evaluatePointer(resource.schema, tokens)
+      : anchors.get(`${documentUri}#${decoded}`) ?? anchors.get(`${baseOf.get(resource.schema)}#${decoded}`);
+
+    if (target === undefined || target === null) return null;
+
+    return {
+      schema: target,
+      uri,
+      file: (typeof target === 'object' && fileOf.get(target)) ?? resource.file,
+    };
+  };
+
+  const resolve = (ref, from) => {
+    const result = lookup(ref, from);
+    return result ? result.schema : null;
+  };
+
+  /**
+   * Resolve a `$dynamicRef`. Without a tracked dynamic scope the outermost
+   * resource declaring the same `$dynamicAnchor` wins, which is the root
+   * document for the common "extensible recursive schema" pattern.
+   */
+  const lookupDynamic = (ref, from, dynamicScope = [baseFor(rootSchema)]) => {
+    const initial = lookup(ref, from);
+    if (!initial) return null;
+
+    const [initialDocument, fragment] = splitUri(initial.uri);
+    const anchor = decodeFragment(fragment);
+    if (!anchor || anchor.startsWith('/') || !dynamicAnchors.has(`${initialDocument}#${anchor}`)) {
+      return initial;
+    }
+
+    for (const scopeUri of dynamicScope) {
+      const target = dynamicAnchors.get(`${scopeUri}#${anchor}`);
+      if (target) {
+        return { schema: target, uri: `${scopeUri}#${anchor}`, file: fileOf.get(target) ?? null };
+      }
+    }
+
+    return initial;
+  };
+
+  return {
+    rootSchema,
+    rootFile,
+    baseUri: rootBase,
+    documentCount: 1 + Object.values(documents).filter((schema) => schema !== rootSchema).length,
+    lookup,
+    resolve,
+    lookupDynamic,
+    getBaseUri: baseFor,
+    getFile: (schema) => (schema && typeof schema === 'object' ? fileOf.get(schema) ?? null : null),
+    // Where a schema object lives: its file (null for the root document) and path within it
+    getLocation: (schema) => (
+      schema && typeof schema === 'object' && pathOf.has(schema)
+        ? { file: fileOf.get(schema) === rootFile ? null : fileOf.get(schema), path: pathOf.get(schema) }
+        : null
+    ),
+    getDocument: (file) => (file && file !== rootFile ? workspaceFiles.get(file)?.schema ?? null : rootSchema),
+    // Workspace files other than the root document
+    getFiles: () => [...workspaceFiles.keys()].filter((file) => file !== rootFile),
+  };
+};
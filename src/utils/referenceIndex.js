@@ -0,0 +1,99 @@
+import { toPointer } from './refResolver';
+import { getDiscriminatorMapping } from './apiDocument';
+import { walkDocument } from './schemaWalk';
+const REF_KEYWORDS = ['$ref', '$dynamicRef', '$recursiveRef'];
+const DEFINITION_KEYWORDS = ['$defs', 'definitions'];
+
+// The property a reference sits under, e.g. `auth` for `/properties/auth/$ref`
+// or `items` for `/properties/items/items/$ref`
+const findPropertyName = (path) => {
+  for (let index = path.length - 1; index > 0; index--) {
+    if (path[index - 1] === 'properties' || path[index - 1] === 'patternProperties') return String(path[index]);
+  }
+  return null;
+};
+
+/**
+ * Record every reference in the workspace as an edge from the schema object
+ * holding it (`file` + `path`) to the schema it resolves to.
+ *
+ * `getIncoming(schema)` answers "where is this used?" and `unresolved` lists
+ * references that point nowhere.
+ */
+export const buildReferenceIndex = (resolver) => {
+  const edges = [];
+  const incoming = new Map();
+
+  const visit = (node, path, file) => {
+    const addEdge = (keyword, ref, target) => {
+      const edge = {
+        file,
+        path,
+        keyword,
+        ref,
+        source: node,
+        property: findPropertyName(path),
+        target: target ? target.schema : null,
+        targetLocation: target ? resolver.getLocation(target.schema) : null,
+      };
+      edges.push(edge);
+
+      if (edge.target && typeof edge.target === 'object') {
+        if (!incoming.has(edge.target)) incoming.set(edge.target, []);
+        incoming.get(edge.target).push(edge);
+      }
+    };
+
+    for (const keyword of REF_KEYWORDS) {
+      if (typeof node[keyword] !== 'string') continue;
+      addEdge(keyword, node[keyword], keyword === '$ref' ? resolver.lookup(node[keyword], node) : resolver.lookupDynamic(node[keyword], node));
+    }
+    // OpenAPI discriminator mappings reference their variants too
+    getDiscriminatorMapping(node).forEach(({ ref }) => addEdge('discriminator', ref, resolver.lookup(ref, node)));
+    return file;
+  };
+
+  walkDocument(resolver.getDocument(null), visit, null);
+  resolver.getFiles().forEach((file) => walkDocument(resolver.getDocument(file), visit, file));
+
+  return {
+    edges,
+    unresolved: edges.filter((edge) => edge.target === null),
+    getIncoming: (schema) => incoming.get(schema) || [],
+  };
+};
+
+// Short label for a location, e.g. `#/$defs/HttpRequest/properties/auth` or `auth.json#/$defs/Basic`
+export const formatLocation = ({ file, path }) => `${file || ''}#${toPointer(path)}`;
+
+// Every $defs/definitions (or components/schemas) entry in the workspace, root document first
+export const collectDefinitions = (resolver) => {
+  const files = [null, ...resolver.getFiles()];
+  const result = [];
+
+  files.forEach((file) => {
+    const document = resolver.getDocument(file);
+    if (!document || typeof document !== 'object') return;
+
+    DEFINITION_KEYWORDS.forEach((keyword) => {
+      if (!document[keyword] || typeof document[keyword] !== 'object') return;
+      Object.entries(document[keyword]).forEach(([name, schema]) => {
+        if (schema && typeof schema === 'object') {
+          result.push({ name, schema, file, path: [keyword, name] });
+        }
+      });
+    });
+
+    // OpenAPI and AsyncAPI keep their reusable schemas under components
+    const components = document.components && typeof document.components === 'object' ? document.components.schemas : null;
+    if (components && typeof components === 'object') {
+      Object.entries(components).forEach(([name, schema]) => {
+        if (schema && typeof schema === 'object') {
+          result.push({ name, schema, file, path: ['components', 'schemas', name] });
+        }
+      });
+    }
+  });
+
+  return result;
+};
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { createResolver } from './refResolver';
+import { buildReferenceIndex } from './referenceIndex';
+import { lintSchema } from './schemaLint';
+
+const openApi = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets': {
+      get: {
+        responses: {
+          200: { description: 'ok', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+          default: { description: 'error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Pet: { type: 'object', description: 'A pet', properties: { name: { type: 'string', description: 'Name' } } },
+      Error: { type: 'object', description: 'An error', properties: { message: { type: 'string', description: 'What went wrong' } } },
+    },
+  },
+};
+
+describe('buildReferenceIndex', () => {
+  it('records refs under an OpenAPI default response', () => {
+    const resolver = createResolver(openApi);
+    const references = buildReferenceIndex(resolver);
+
+    const incoming = references.getIncoming(openApi.components.schemas.Error);
+    expect(incoming.map(({ path }) => path)).toEqual([
+      ['paths', '/pets', 'get', 'responses', 'default', 'content', 'application/json', 'schema'],
+    ]);
+    expect(lintSchema(resolver, references).filter(({ rule }) => rule === 'unused-definition')).toEqual([]);
+  });
+
+  it('records refs under properties named like data keywords', () => {
+    const schema = {
+      properties: { default: { $ref: '#/$defs/Value' }, enum: { items: { $ref: '#/$defs/Value' } } },
+      $defs: { Value: { type: 'string' } },
+    };
+    const references = buildReferenceIndex(createResolver(schema));
+
+    expect(references.getIncoming(schema.$defs.Value)).toHaveLength(2);
+  });
+
+  it('ignores refs inside instance data', () => {
+    const schema = { default: { $ref: '#/nowhere' }, examples: [{ $ref: '#/nowhere' }] };
+
+    expect(buildReferenceIndex(createResolver(schema)).edges).toEqual([]);
+  });
+});
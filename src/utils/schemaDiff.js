@@ -0,0 +1,451 @@
+import { parseSchema, detectDialect } from './schemaParser';
+import { getRefName } from './refResolver';
+import { collectDefinitions } from './referenceIndex';
+import { deepEqual, isPlainObject } from './schemaUtils';
+
+const LOWER_BOUNDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties', 'minContains'];
+const UPPER_BOUNDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties', 'maxContains'];
+const RESTRICTIONS = ['pattern', 'format'];
+const ANNOTATIONS = ['title', 'description', 'default', 'examples'];
+const CLOSING_KEYWORDS = ['additionalProperties', 'unevaluatedProperties', 'unevaluatedItems'];
+const NESTED_KEYWORDS = ['propertyNames', 'contains', 'not', 'if', 'then', 'else'];
+
+/**
+ * How a change affects each side of a data exchange. A narrower schema
+ * rejects data producers used to send; a wider one lets through data
+ * consumers were never written to handle.
+ */
+const BREAKING = {
+  narrowed: { producer: true, consumer: false },
+  widened: { producer: false, consumer: true },
+  incompatible: { producer: true, consumer: true },
+  compatible: { producer: false, consumer: false },
+};
+
+// Readable label for a navigation path, e.g. `items[].oneOf[0].auth`
+export const formatDiffPath = (path) => {
+  let label = '';
+
+  for (let index = 0; index < path.length; index++) {
+    const segment = path[index];
+    const next = path[index + 1];
+
+    if (segment === 'properties' && next !== undefined) {
+      label += `.${next}`;
+      index += 1;
+    } else if (segment === 'items') {
+      label += typeof next === 'number' ? `[${next}]` : '[]';
+      if (typeof next === 'number') index += 1;
+    } else if (['oneOf', 'anyOf', 'allOf', 'prefixItems'].includes(segment) && typeof next === 'number') {
+      label += `.${segment}[${next}]`;
+      index += 1;
+    } else {
+      label += `.${segment}`;
+    }
+  }
+
+  return label.replace(/^\./, '') || '(root)';
+};
+
+const getAtPath = (base, path) => path.reduce((current, segment) => (current == null ? current : current[segment]), base);
+
+const formatValue = (value) => JSON.stringify(value);
+
+const formatType = (types) => (types ? types.join(' | ') : 'any');
+
+const toTypeSet = (type) => {
+  if (type === undefined) return null;
+  return Array.isArray(type) ? [...type].sort() : [type];
+};
+
+// Every type in `types` is allowed by `others` (integers are numbers)
+const typesWithin = (types, others) => types.every((type) => others.includes(type) || (type === 'integer' && others.includes('number')));
+
+// Per-document helpers: follow $ref chains and parse each target once
+const createSide = (resolver) => {
+  const dialect = detectDialect(resolver.getDocument(null));
+  const parsed = new WeakMap();
+
+  const parse = (schema) => {
+    if (!parsed.has(schema)) parsed.set(schema, parseSchema(schema, [], new Set(), dialect));
+    return parsed.get(schema);
+  };
+
+  const follow = (schema) => {
+    let current = schema;
+    const seen = new Set();
+    while (isPlainObject(current) && typeof current.$ref === 'string' && !seen.has(current)) {
+      seen.add(current);
+      const resolved = resolver.resolve(current.$ref, current);
+      if (resolved === null || resolved === undefined) break;
+      current = resolved;
+    }
+    return current;
+  };
+
+  // `raw` is the schema as written at a location; `base` is the resolved
+  // target its parsed `node` was produced from
+  const open = (raw, base = null, node = null) => {
+    const schema = follow(raw);
+    // parseSchema cuts cycles with a `circular` placeholder; parse the cycle's target afresh
+    if (schema !== raw || !node || node.type === 'circular') {
+      return { raw, schema, base: schema, node: isPlainObject(schema) ? parse(schema) : schema };
+    }
+    return { raw, schema, base, node };
+  };
+
+  const child = (entry, childNode) => (
+    typeof childNode === 'boolean'
+      ? { raw: childNode, schema: childNode, base: entry.base, node: childNode }
+      : open(getAtPath(entry.base, childNode.path), entry.base, childNode)
+  );
+
+  return { open, child };
+};
+
+/**
+ * Structurally compare two versions of a schema, following $refs on both sides.
+ *
+ * Returns `changes` (`{ type, category, message, path, oldPath, breaking }`,
+ * where `breaking` says whether producers and consumers of the data are
+ * affected) plus lookups keyed by schema objects from either version:
+ * `getStatus` ('added', 'removed' or 'changed'), `getChanges` for the changes
+ * made directly to a schema and `getMissing` for properties only the other
+ * version has.
+ */
+export const diffSchemas = (oldResolver, newResolver) => {
+  const oldSide = createSide(oldResolver);
+  const newSide = createSide(newResolver);
+  const changes = [];
+  const statuses = new Map();
+  const ownChanges = new Map();
+  const missing = new Map();
+  const compared = new Map();
+
+  const setStatus = (schema, status) => {
+    if (schema && typeof schema === 'object' && (!statuses.has(schema) || status !== 'changed')) {
+      statuses.set(schema, status);
+    }
+  };
+
+  const addTo = (map, key, value) => {
+    if (!key || typeof key !== 'object') return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+
+  const compare = (oldEntry, newEntry, path, oldPath) => {
+    const oldSchema = oldEntry.schema;
+    const newSchema = newEntry.schema;
+    const objects = isPlainObject(oldSchema) && isPlainObject(newSchema);
+
+    if (objects) {
+      if (!compared.has(oldSchema)) compared.set(oldSchema, new Map());
+      const previous = compared.get(oldSchema);
+      if (previous.has(newSchema)) {
+        // Already compared elsewhere (or in progress further up a recursive chain)
+        if (previous.get(newSchema)) {
+          setStatus(oldEntry.raw, 'changed');
+          setStatus(newEntry.raw, 'changed');
+        }
+        return previous.get(newSchema);
+      }
+      previous.set(newSchema, false);
+    }
+
+    let changed = false;
+    // `at` overrides where the change is shown, e.g. the added property rather than its parent
+    const report = (type, category, message, effect, at = {}) => {
+      const change = { type, category, message, path, oldPath, ...at, breaking: BREAKING[effect] };
+      changes.push(change);
+      addTo(ownChanges, oldSchema, change);
+      if (newSchema !== oldSchema) addTo(ownChanges, newSchema, change);
+      changed = true;
+    };
+
+    if (!objects) {
+      if (!deepEqual(oldSchema, newSchema)) {
+        const effect = newSchema === true || oldSchema === false ? 'widened' : newSchema === false || oldSchema === true ? 'narrowed' : 'incompatible';
+        const describe = (value) => (typeof value === 'boolean' ? String(value) : 'a subschema');
+        report('changed', 'schema', `Schema changed from ${describe(oldSchema)} to ${describe(newSchema)}`, effect);
+      }
+    } else if (typeof oldSchema.$ref === 'string' || typeof newSchema.$ref === 'string') {
+      // A $ref left after following is one that doesn't resolve; its target can't be compared
+      if (oldSchema.$ref !== newSchema.$ref) {
+        const message = typeof newSchema.$ref === 'string'
+          ? `Reference "${newSchema.$ref}" does not resolve`
+          : `Reference "${oldSchema.$ref}" now resolves`;
+        report('changed', 'schema', message, 'incompatible');
+      }
+    } else {
+      const oldNode = oldEntry.node;
+      const newNode = newEntry.node;
+      const closed = newSchema.additionalProperties === false || newSchema.unevaluatedProperties === false;
+
+      // type
+      const oldTypes = toTypeSet(oldNode.type);
+      const newTypes = toTypeSet(newNode.type);
+      if (!deepEqual(oldTypes, newTypes)) {
+        const effect = !oldTypes ? 'narrowed'
+          : !newTypes ? 'widened'
+          : typesWithin(newTypes, oldTypes) ? 'narrowed'
+          : typesWithin(oldTypes, newTypes) ? 'widened'
+          : 'incompatible';
+        report('changed', 'type', `Type changed from ${formatType(oldTypes)} to ${formatType(newTypes)}`, effect);
+      }
+
+      // enum and const
+      if (!deepEqual(oldNode.enum, newNode.enum)) {
+        if (!Array.isArray(oldNode.enum)) {
+          report('added', 'enum', `Restricted to ${newNode.enum.map(formatValue).join(', ')}`, 'narrowed');
+        } else if (!Array.isArray(newNode.enum)) {
+          report('removed', 'enum', 'Enum restriction removed', 'widened');
+        } else {
+          const added = newNode.enum.filter((value) => !oldNode.enum.some((other) => deepEqual(other, value)));
+          const removed = oldNode.enum.filter((value) => !newNode.enum.some((other) => deepEqual(other, value)));
+          if (added.length > 0 || removed.length > 0) {
+            const parts = [];
+            if (added.length > 0) parts.push(`added ${added.map(formatValue).join(', ')}`);
+            if (removed.length > 0) parts.push(`removed ${removed.map(formatValue).join(', ')}`);
+            const effect = added.length > 0 && removed.length > 0 ? 'incompatible' : added.length > 0 ? 'widened' : 'narrowed';
+            report('changed', 'enum', `Enum values ${parts.join('; ')}`, effect);
+          }
+        }
+      }
+      if (!deepEqual(oldNode.const, newNode.const)) {
+        if (oldNode.const === undefined) {
+          report('added', 'enum', `Fixed to ${formatValue(newNode.const)}`, 'narrowed');
+        } else if (newNode.const === undefined) {
+          report('removed', 'enum', `No longer fixed to ${formatValue(oldNode.const)}`, 'widened');
+        } else {
+          report('changed', 'enum', `Constant changed from ${formatValue(oldNode.const)} to ${formatValue(newNode.const)}`, 'incompatible');
+        }
+      }
+
+      // constraints
+      [...LOWER_BOUNDS, ...UPPER_BOUNDS].forEach((keyword) => {
+        const before = oldNode[keyword];
+        const after = newNode[keyword];
+        if (deepEqual(before, after)) return;
+        const lower = LOWER_BOUNDS.includes(keyword);
+        if (before === undefined) {
+          report('added', 'constraint', `${keyword} ${formatValue(after)} added`, 'narrowed');
+        } else if (after === undefined) {
+          report('removed', 'constraint', `${keyword} ${formatValue(before)} removed`, 'widened');
+        } else if (typeof before === 'number' && typeof after === 'number') {
+          const tighter = lower ? after > before : after < before;
+          report('changed', 'constraint', `${keyword} ${after > before ? 'raised' : 'lowered'} from ${before} to ${after}`, tighter ? 'narrowed' : 'widened');
+        } else {
+          report('changed', 'constraint', `${keyword} changed from ${formatValue(before)} to ${formatValue(after)}`, 'incompatible');
+        }
+      });
+
+      if (oldNode.multipleOf !== newNode.multipleOf) {
+        const before = oldNode.multipleOf;
+        const after = newNode.multipleOf;
+        if (before === undefined) {
+          report('added', 'constraint', `multipleOf ${after} added`, 'narrowed');
+        } else if (after === undefined) {
+          report('removed', 'constraint', `multipleOf ${before} removed`, 'widened');
+        } else {
+          const effect = after % before === 0 ? 'narrowed' : before % after === 0 ? 'widened' : 'incompatible';
+          report('changed', 'constraint', `multipleOf changed from ${before} to ${after}`, effect);
+        }
+      }
+
+      RESTRICTIONS.forEach((keyword) => {
+        const before = oldNode[keyword];
+        const after = newNode[keyword];
+        if (before === after) return;
+        if (before === undefined) {
+          report('added', 'constraint', `${keyword} ${formatValue(after)} added`, 'narrowed');
+        } else if (after === undefined) {
+          report('removed', 'constraint', `${keyword} ${formatValue(before)} removed`, 'widened');
+        } else {
+          report('changed', 'constraint', `${keyword} changed from ${formatValue(before)} to ${formatValue(after)}`, 'incompatible');
+        }
+      });
+
+      if (Boolean(oldNode.uniqueItems) !== Boolean(newNode.uniqueItems)) {
+        report(newNode.uniqueItems ? 'added' : 'removed', 'constraint', `uniqueItems ${newNode.uniqueItems ? 'added' : 'removed'}`, newNode.uniqueItems ? 'narrowed' : 'widened');
+      }
+
+      // additionalProperties & co. as booleans; schema values are compared below
+      CLOSING_KEYWORDS.forEach((keyword) => {
+        const before = oldNode[keyword];
+        const after = newNode[keyword];
+        if (isPlainObject(before) && isPlainObject(after)) {
+          if (compare(oldSide.child(oldEntry, before), newSide.child(newEntry, after), [...path, keyword], [...oldPath, keyword])) changed = true;
+          return;
+        }
+        if (deepEqual(before, after) || (before === undefined && after === true) || (before === true && after === undefined)) return;
+        const opens = after === undefined || after === true || before === false;
+        report('changed', 'constraint', `${keyword} changed from ${formatValue(before ?? true)} to ${formatValue(after ?? true)}`, opens ? 'widened' : 'narrowed');
+      });
+
+      // properties
+      const oldRequired = oldNode.required || [];
+      const newRequired = newNode.required || [];
+      const propertyNames = [...new Set([...Object.keys(oldNode.properties), ...Object.keys(newNode.properties)])];
+
+      propertyNames.forEach((name) => {
+        const oldProperty = oldNode.properties[name];
+        const newProperty = newNode.properties[name];
+        const propertyPath = [...path, 'properties', name];
+        const oldPropertyPath = [...oldPath, 'properties', name];
+
+        if (oldProperty === undefined) {
+          const required = newRequired.includes(name);
+          const entry = newSide.child(newEntry, newProperty);
+          report('added', 'property', `Property "${name}" added${required ? ' (required)' : ''}`, required ? 'narrowed' : 'compatible', { path: propertyPath });
+          setStatus(entry.raw, 'added');
+          addTo(missing, oldSchema, { name, schema: entry.raw, status: 'added' });
+        } else if (newProperty === undefined) {
+          const entry = oldSide.child(oldEntry, oldProperty);
+          report('removed', 'property', `Property "${name}" removed`, closed ? 'incompatible' : 'widened', { oldPath: oldPropertyPath });
+          setStatus(entry.raw, 'removed');
+          addTo(missing, newSchema, { name, schema: entry.raw, status: 'removed' });
+        } else if (compare(oldSide.child(oldEntry, oldProperty), newSide.child(newEntry, newProperty), propertyPath, oldPropertyPath)) {
+          changed = true;
+        }
+      });
+
+      // required lists, for properties both versions declare
+      const nowRequired = newRequired.filter((name) => !oldRequired.includes(name) && oldNode.properties[name] !== undefined);
+      const noLongerRequired = oldRequired.filter((name) => !newRequired.includes(name) && newNode.properties[name] !== undefined);
+      nowRequired.forEach((name) => report('changed', 'required', `"${name}" is now required`, 'narrowed'));
+      noLongerRequired.forEach((name) => report('changed', 'required', `"${name}" is no longer required`, 'widened'));
+
+      const patterns = [...new Set([...Object.keys(oldNode.patternProperties), ...Object.keys(newNode.patternProperties)])];
+      patterns.forEach((pattern) => {
+        const before = oldNode.patternProperties[pattern];
+        const after = newNode.patternProperties[pattern];
+        if (before === undefined) {
+          report('added', 'property', `Pattern property /${pattern}/ added`, 'narrowed');
+        } else if (after === undefined) {
+          report('removed', 'property', `Pattern property /${pattern}/ removed`, 'widened');
+        } else if (compare(oldSide.child(oldEntry, before), newSide.child(newEntry, after), [...path, 'patternProperties', pattern], [...oldPath, 'patternProperties', pattern])) {
+          changed = true;
+        }
+      });
+
+      // Single subschemas; `steps` locates booleans, which carry no path of their own
+      const compareNested = (before, after, label, addedEffect, steps) => {
+        if (before === null || before === undefined) {
+          if (after !== null && after !== undefined) report('added', 'schema', `${label} added`, addedEffect);
+          return;
+        }
+        if (after === null || after === undefined) {
+          report('removed', 'schema', `${label} removed`, addedEffect === 'narrowed' ? 'widened' : addedEffect);
+          return;
+        }
+        const oldChild = oldSide.child(oldEntry, before);
+        const newChild = newSide.child(newEntry, after);
+        const step = (node, entry) => (node && typeof node === 'object' ? node.path.slice(entry.node.path.length) : steps);
+        if (compare(oldChild, newChild, [...path, ...step(after, newEntry)], [...oldPath, ...step(before, oldEntry)])) changed = true;
+      };
+
+      compareNested(oldNode.items, newNode.items, 'items', 'narrowed', ['items']);
+      NESTED_KEYWORDS.forEach((keyword) => compareNested(oldNode[keyword], newNode[keyword], keyword, 'incompatible', [keyword]));
+
+      const tupleLength = Math.max(oldNode.prefixItems.length, newNode.prefixItems.length);
+      for (let index = 0; index < tupleLength; index++) {
+        compareNested(oldNode.prefixItems[index], newNode.prefixItems[index], `Tuple item ${index}`, 'narrowed', ['prefixItems', index]);
+      }
+
+      // Options are matched by $ref target or title before falling back to position
+      ['oneOf', 'anyOf', 'allOf'].forEach((keyword) => {
+        const oldOptions = oldNode[keyword];
+        const newOptions = newNode[keyword];
+        if (oldOptions.length === 0 && newOptions.length === 0) return;
+
+        const optionKey = (entry, node) => {
+          const raw = getAtPath(entry.base, node.path);
+          if (isPlainObject(raw) && typeof raw.$ref === 'string') return `ref:${getRefName(raw.$ref)}`;
+          if (isPlainObject(raw) && raw.title) return `title:${raw.title}`;
+          return null;
+        };
+        const oldKeys = oldOptions.map((option) => optionKey(oldEntry, option));
+        const unmatched = new Set(oldOptions.map((_, index) => index));
+        const pairs = newOptions.map((option, index) => {
+          const key = optionKey(newEntry, option);
+          let match = key ? oldKeys.findIndex((oldKey, oldIndex) => oldKey === key && unmatched.has(oldIndex)) : -1;
+          if (match === -1 && unmatched.has(index) && !key && !oldKeys[index]) match = index;
+          if (match !== -1) unmatched.delete(match);
+          return match;
+        });
+
+        const addedEffect = keyword === 'allOf' ? 'narrowed' : 'widened';
+        const removedEffect = keyword === 'allOf' ? 'widened' : 'narrowed';
+        pairs.forEach((match, index) => {
+          if (match === -1) {
+            report('added', 'combinator', `${keyword} option ${index + 1} added`, oldOptions.length === 0 ? 'narrowed' : addedEffect, { path: [...path, keyword, index] });
+            setStatus(getAtPath(newEntry.base, newOptions[index].path), 'added');
+          } else {
+            const oldChild = oldSide.child(oldEntry, oldOptions[match]);
+            const newChild = newSide.child(newEntry, newOptions[index]);
+            if (compare(oldChild, newChild, [...path, keyword, index], [...oldPath, keyword, match])) changed = true;
+          }
+        });
+        unmatched.forEach((index) => {
+          report('removed', 'combinator', `${keyword} option ${index + 1} removed`, newOptions.length === 0 ? 'widened' : removedEffect, { oldPath: [...oldPath, keyword, index] });
+          setStatus(getAtPath(oldEntry.base, oldOptions[index].path), 'removed');
+        });
+      });
+
+      const dependencies = [...new Set([...Object.keys(oldNode.dependentRequired), ...Object.keys(newNode.dependentRequired)])];
+      dependencies.forEach((name) => {
+        const before = oldNode.dependentRequired[name] || [];
+        const after = newNode.dependentRequired[name] || [];
+        const added = after.filter((dependent) => !before.includes(dependent));
+        const removed = before.filter((dependent) => !after.includes(dependent));
+        if (added.length > 0) report('changed', 'required', `When "${name}" is present, ${added.join(', ')} now required`, 'narrowed');
+        if (removed.length > 0) report('changed', 'required', `When "${name}" is present, ${removed.join(', ')} no longer required`, 'widened');
+      });
+
+      const dependentSchemas = [...new Set([...Object.keys(oldNode.dependentSchemas), ...Object.keys(newNode.dependentSchemas)])];
+      dependentSchemas.forEach((name) => compareNested(oldNode.dependentSchemas[name], newNode.dependentSchemas[name], `Schema when "${name}" is present`, 'narrowed', ['dependentSchemas', name]));
+
+      ANNOTATIONS.forEach((keyword) => {
+        if (!deepEqual(oldNode[keyword], newNode[keyword])) {
+          const verb = oldNode[keyword] === undefined ? 'added' : newNode[keyword] === undefined ? 'removed' : 'changed';
+          report(verb, 'annotation', `${keyword[0].toUpperCase()}${keyword.slice(1)} ${verb}`, 'compatible');
+        }
+      });
+    }
+
+    if (changed) {
+      [oldEntry.raw, oldSchema, newEntry.raw, newSchema].forEach((schema) => setStatus(schema, 'changed'));
+    }
+    if (objects) compared.get(oldSchema).set(newSchema, changed);
+    return changed;
+  };
+
+  compare(oldSide.open(oldResolver.getDocument(null)), newSide.open(newResolver.getDocument(null)), [], []);
+
+  // Definitions nothing reaches are still part of the schema's surface
+  const oldDefinitions = collectDefinitions(oldResolver).filter(({ file }) => file === null);
+  const newDefinitions = collectDefinitions(newResolver).filter(({ file }) => file === null);
+  newDefinitions.forEach(({ name, schema, path }) => {
+    const previous = oldDefinitions.find((definition) => definition.name === name);
+    if (previous) {
+      compare(oldSide.open(previous.schema), newSide.open(schema), path, previous.path);
+    } else {
+      changes.push({ type: 'added', category: 'definition', message: `Definition "${name}" added`, path, oldPath: null, breaking: BREAKING.compatible });
+      setStatus(schema, 'added');
+    }
+  });
+  oldDefinitions.forEach(({ name, schema, path }) => {
+    if (!newDefinitions.some((definition) => definition.name === name)) {
+      changes.push({ type: 'removed', category: 'definition', message: `Definition "${name}" removed`, path: null, oldPath: path, breaking: BREAKING.compatible });
+      setStatus(schema, 'removed');
+    }
+  });
+
+  return {
+    changes,
+    getStatus: (schema) => statuses.get(schema) || null,
+    getChanges: (schema) => ownChanges.get(schema) || [],
+    getMissing: (schema) => missing.get(schema) || [],
+  };
+};
@@ -0,0 +1,123 @@
+import { toPointer } from './refResolver';
+import { isPlainObject } from './schemaUtils';
+import { getApiKind } from './apiDocument';
+
+// Edits never mutate: each returns a new document that shares every untouched
+// branch with the old one. `path` is where the edited schema object sits in
+// the document (as reported by `resolver.getLocation`), not a navigation path.
+
+export const getAt = (document, path) => path.reduce(
+  (node, segment) => (node && typeof node === 'object' ? node[segment] : undefined),
+  document
+);
+
+// Replace the value at `path` with `update(current)`; `undefined` removes it
+export const updateAt = (document, path, update) => {
+  if (path.length === 0) return update(document);
+  const [segment, ...rest] = path;
+  const child = updateAt(document[segment], rest, update);
+
+  if (Array.isArray(document)) {
+    const next = [...document];
+    if (child === undefined) next.splice(segment, 1);
+    else next[segment] = child;
+    return next;
+  }
+  const next = { ...document };
+  if (child === undefined) delete next[segment];
+  else next[segment] = child;
+  return next;
+};
+
+// Set one keyword of the schema at `path`; `undefined` removes the keyword
+export const setKeyword = (document, path, keyword, value) => updateAt(document, path, (schema) => {
+  const next = { ...schema };
+  if (value === undefined) delete next[keyword];
+  else next[keyword] = value;
+  return next;
+});
+
+const withRequired = (schema, required) => {
+  const next = { ...schema };
+  if (required.length > 0) next.required = required;
+  else delete next.required;
+  return next;
+};
+
+export const addProperty = (document, path, name, propertySchema = { type: 'string' }) => updateAt(document, path, (schema) => ({
+  ...schema,
+  properties: { ...(isPlainObject(schema.properties) ? schema.properties : {}), [name]: propertySchema },
+}));
+
+// Keeps the property's position and carries its `required` entry over to the new name
+export const renameProperty = (document, path, from, to) => updateAt(document, path, (schema) => {
+  const properties = Object.fromEntries(
+    Object.entries(schema.properties).map(([key, value]) => [key === from ? to : key, value])
+  );
+  const next = { ...schema, properties };
+  return Array.isArray(schema.required)
+    ? withRequired(next, schema.required.map((key) => (key === from ? to : key)))
+    : next;
+});
+
+export const removeProperty = (document, path, name) => updateAt(document, path, (schema) => {
+  const properties = { ...schema.properties };
+  delete properties[name];
+  const next = { ...schema, properties };
+  return Array.isArray(schema.required) ? withRequired(next, schema.required.filter((key) => key !== name)) : next;
+});
+
+export const setRequired = (document, path, name, required) => updateAt(document, path, (schema) => {
+  const current = Array.isArray(schema.required) ? schema.required.filter((key) => key !== name) : [];
+  return withRequired(schema, required ? [...current, name] : current);
+});
+
+// Where new definitions go: components/schemas in API documents, otherwise
+// whichever of $defs/definitions the document already uses
+const definitionsPath = (document) => {
+  if (getApiKind(document)) return ['components', 'schemas'];
+  return [isPlainObject(document.definitions) && !isPlainObject(document.$defs) ? 'definitions' : '$defs'];
+};
+
+export const suggestDefinitionName = (document, preferred) => {
+  const container = getAt(document, definitionsPath(document));
+  const taken = isPlainObject(container) ? container : {};
+  const base = String(preferred).replace(/[^A-Za-z0-9_-]+/g, '') || 'Definition';
+  let name = base;
+  for (let suffix = 2; Object.prototype.hasOwnProperty.call(taken, name); suffix++) name = `${base}${suffix}`;
+  return name;
+};
+
+// Like `updateAt`, but creates missing objects along the way
+const updateCreating = (document, path, update) => {
+  if (path.length === 0) return update(document);
+  const [segment, ...rest] = path;
+  const child = isPlainObject(document[segment]) ? document[segment] : {};
+  return { ...document, [segment]: updateCreating(child, rest, update) };
+};
+
+/**
+ * Move the inline subschema at `path` into the root definitions under `name`
+ * and leave a `$ref` to it in its place. Returns null when a definition
+ * called `name` already exists, rather than overwriting it.
+ */
+export const extractDefinition = (document, path, name) => {
+  const container = definitionsPath(document);
+  const existing = getAt(document, container);
+  if (isPlainObject(existing) && Object.prototype.hasOwnProperty.call(existing, name)) return null;
+  const subschema = getAt(document, path);
+  const ref = `#${toPointer([...container, name])}`;
+  const withDefinition = updateCreating(document, container, (definitions) => ({ ...definitions, [name]: subschema }));
+  return updateAt(withDefinition, path, () => ({ $ref: ref }));
+};
+
+/**
+ * Replace the `$ref` at `path` with a copy of the schema it points to
+ * (`target`). Keywords written next to the `$ref` take precedence.
+ */
+export const inlineReference = (document, path, target) => updateAt(document, path, (schema) => {
+  const siblings = { ...schema };
+  delete siblings.$ref;
+  return isPlainObject(target) ? { ...target, ...siblings } : target;
+});
+
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { extractDefinition } from './schemaEdits';
+
+describe('extractDefinition', () => {
+  it('moves the subschema into the definitions and leaves a reference', () => {
+    const document = { properties: { address: { type: 'object' } }, $defs: { Name: { type: 'string' } } };
+
+    expect(extractDefinition(document, ['properties', 'address'], 'Address')).toEqual({
+      properties: { address: { $ref: '#/$defs/Address' } },
+      $defs: { Name: { type: 'string' }, Address: { type: 'object' } },
+    });
+  });
+
+  it('refuses a name that is already defined', () => {
+    const document = { properties: { address: { type: 'object' } }, $defs: { Address: { type: 'string' } } };
+
+    expect(extractDefinition(document, ['properties', 'address'], 'Address')).toBeNull();
+  });
+
+  it('refuses a name taken in components/schemas of an API document', () => {
+    const document = {
+      openapi: '3.1.0',
+      paths: {},
+      components: { schemas: { Pet: { type: 'object' }, Owner: { properties: { pet: { type: 'object' } } } } },
+    };
+
+    expect(extractDefinition(document, ['components', 'schemas', 'Owner', 'properties', 'pet'], 'Pet')).toBeNull();
+  });
+});
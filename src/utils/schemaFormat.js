@@ -0,0 +1,97 @@
+import { parseDocument, stringify, isMap, isSeq, isScalar } from 'yaml';
+import { parseJsonWithPosition, offsetToPosition } from './jsonErrors';
+import { isPlainObject } from './schemaUtils';
+
+export const FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  yaml: { label: 'YAML', extension: 'yaml', mimeType: 'application/yaml' },
+};
+
+const isYamlPath = (path) => /\.ya?ml$/i.test(path || '');
+
+/**
+ * Guess whether `text` is JSON or YAML. A `.yaml`/`.yml` name decides it;
+ * otherwise anything that doesn't open with `{` or `[` is treated as YAML
+ * (JSON documents are valid YAML too, but parse faster and report better errors).
+ */
+export const detectFormat = (text, path = null) => {
+  if (isYamlPath(path)) return 'yaml';
+  if (/\.json$/i.test(path || '')) return 'json';
+  return /^\s*[{[]/.test(text) ? 'json' : 'yaml';
+};
+
+const parseYaml = (text) => {
+  const document = parseDocument(text, { prettyErrors: false });
+  if (document.errors.length > 0) {
+    const [error] = document.errors;
+    return { error: { message: error.message, ...offsetToPosition(text, error.pos[0]) } };
+  }
+  return { value: document.toJS() };
+};
+
+// Almost any text is a valid YAML scalar, so what parses still has to look like a schema
+const checkSchemaValue = (result) => {
+  if (result.error) return result;
+  if (typeof result.value === 'boolean' || isPlainObject(result.value)) return result;
+  return { error: { message: 'A schema must be an object or a boolean', line: 1, column: 1 } };
+};
+
+/**
+ * Parse schema text as `format` (detected when omitted). Returns
+ * `{ value, format }` or `{ error: { message, line, column }, format }`;
+ * text that parses to anything but an object or a boolean is an error.
+ */
+export const parseSchemaText = (text, format = detectFormat(text)) => ({
+  ...checkSchemaValue(format === 'yaml' ? parseYaml(text) : parseJsonWithPosition(text)),
+  format,
+});
+
+const sameScalar = (node, value) => isScalar(node) && Object.is(node.value, value);
+
+// Bring the YAML node in line with `value` while keeping the nodes (and the
+// comments attached to them) for everything that didn't change
+const mergeNode = (document, node, value) => {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value) && isMap(node)) {
+    const keys = Object.keys(value);
+    node.items = node.items.filter((pair) => {
+      const key = isScalar(pair.key) ? pair.key.value : pair.key;
+      return Object.prototype.hasOwnProperty.call(value, key);
+    });
+    keys.forEach((key) => {
+      const pair = node.items.find((item) => (isScalar(item.key) ? item.key.value : item.key) === key);
+      if (pair) pair.value = mergeNode(document, pair.value, value[key]);
+      else node.set(key, document.createNode(value[key]));
+    });
+    // Follow the key order of the new value
+    const indexOf = (pair) => keys.indexOf(isScalar(pair.key) ? pair.key.value : pair.key);
+    node.items.sort((a, b) => indexOf(a) - indexOf(b));
+    return node;
+  }
+
+  if (Array.isArray(value) && isSeq(node)) {
+    node.items = value.map((item, index) => (
+      index < node.items.length ? mergeNode(document, node.items[index], item) : document.createNode(item)
+    ));
+    return node;
+  }
+
+  return sameScalar(node, value) ? node : document.createNode(value);
+};
+
+/**
+ * Serialise a schema as JSON or YAML. For YAML, passing the `previous` YAML
+ * text of the same schema keeps its comments, styles and key order for every
+ * part that is unchanged.
+ */
+export const stringifySchema = (value, format, previous = null) => {
+  if (format !== 'yaml') return JSON.stringify(value, null, 2);
+
+  if (previous) {
+    const document = parseDocument(previous);
+    if (document.errors.length === 0) {
+      document.contents = mergeNode(document, document.contents, value);
+      return document.toString();
+    }
+  }
+  return stringify(value);
+};
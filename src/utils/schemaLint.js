@@ -0,0 +1,204 @@
+import { collectDefinitions, formatLocation } from './referenceIndex';
+import { compilePattern, validateInstance } from './validator';
+import { deepEqual, isPlainObject } from './schemaUtils';
+import { detectDialect } from './schemaParser';
+import { flattenAllOf } from './effectiveSchema';
+import { collectEntryPoints } from './apiDocument';
+import { walkSchemas } from './schemaWalk';
+
+// Keywords from draft-07, 2019-09 and 2020-12 (core, applicator, validation,
+// meta-data, format, content and unevaluated vocabularies)
+const KNOWN_KEYWORDS = new Set([
+  '$schema', '$id', '$ref', '$anchor', '$dynamicRef', '$dynamicAnchor', '$recursiveRef', '$recursiveAnchor',
+  '$vocabulary', '$comment', '$defs', 'definitions',
+  'allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else', 'dependentSchemas', 'dependencies',
+  'prefixItems', 'items', 'additionalItems', 'contains', 'properties', 'patternProperties',
+  'additionalProperties', 'propertyNames', 'unevaluatedItems', 'unevaluatedProperties',
+  'type', 'enum', 'const', 'multipleOf', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum',
+  'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'maxContains', 'minContains',
+  'maxProperties', 'minProperties', 'required', 'dependentRequired',
+  'title', 'description', 'default', 'deprecated', 'readOnly', 'writeOnly', 'examples',
+  'format', 'contentEncoding', 'contentMediaType', 'contentSchema',
+]);
+
+const BOUNDS = [
+  ['minimum', 'maximum'],
+  ['exclusiveMinimum', 'exclusiveMaximum'],
+  ['minLength', 'maxLength'],
+  ['minItems', 'maxItems'],
+  ['minProperties', 'maxProperties'],
+  ['minContains', 'maxContains'],
+];
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+// Closest known keyword for a likely typo such as `requried` or `additionalProperty`
+const suggestKeyword = (keyword) => {
+  let best = null;
+  let bestDistance = Infinity;
+  const lower = keyword.toLowerCase();
+  for (const known of KNOWN_KEYWORDS) {
+    const distance = known.toLowerCase() === lower ? 0 : editDistance(lower, known.toLowerCase());
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(1, Math.floor(keyword.length / 4)) ? best : null;
+};
+
+/**
+ * Check every document in the workspace for common authoring mistakes.
+ *
+ * Findings are `{ rule, severity, message, location }` where `location`
+ * (`{ file, path }`) can be opened in the Explorer. `options.extraKeywords`
+ * lists vendor keywords that shouldn't be reported as unknown.
+ */
+export const lintSchema = (resolver, references, { extraKeywords = [] } = {}) => {
+  const findings = [];
+  const rootSchema = resolver.getDocument(null);
+  const dialect = detectDialect(rootSchema);
+  const allowedKeywords = new Set([...KNOWN_KEYWORDS, ...extraKeywords]);
+
+  const report = (rule, severity, message, file, path) => {
+    findings.push({ rule, severity, message, location: { file, path } });
+  };
+
+  const matchesSchema = (value, schema) => (
+    validateInstance(value, schema, { resolver, dialect, assertFormats: false }).valid
+  );
+
+  references.unresolved.forEach((edge) => {
+    report('unresolved-ref', 'error', `${edge.keyword} "${edge.ref}" does not resolve`, edge.file, [...edge.path, edge.keyword]);
+  });
+
+  collectDefinitions(resolver).forEach(({ name, schema, file, path }) => {
+    if (references.getIncoming(schema).length === 0) {
+      report('unused-definition', 'warning', `Definition "${name}" is never referenced`, file, path);
+    }
+  });
+
+  const lintSchemaObject = (file, schema, path) => {
+    // 2020-12 spells tuples with prefixItems; an `items` array is the older form
+    if (dialect === '2020-12' && Array.isArray(schema.items)) {
+      const message = schema.prefixItems
+        ? '`items` must be a schema in 2020-12; this array is ignored next to prefixItems'
+        : '`items` as an array is the pre-2020-12 tuple form; use prefixItems, or declare an older $schema';
+      report('legacy-items', 'warning', message, file, [...path, 'items']);
+    }
+
+    if (Array.isArray(schema.required) && isPlainObject(schema.properties) && !schema.oneOf && !schema.anyOf) {
+      const declared = new Set(Object.keys(schema.properties));
+      if (Array.isArray(schema.allOf)) {
+        flattenAllOf(schema, resolver).properties.forEach(({ name, path: propertyPath }) => {
+          if (propertyPath) declared.add(name);
+        });
+      }
+      const patterns = isPlainObject(schema.patternProperties)
+        ? Object.keys(schema.patternProperties).map(compilePattern).filter(Boolean)
+        : [];
+      schema.required.forEach((name) => {
+        if (!declared.has(name) && !patterns.some((pattern) => pattern.test(name))) {
+          report('required-not-in-properties', 'warning', `"${name}" is required but not declared in properties`, file, [...path, 'required']);
+        }
+      });
+    }
+
+    BOUNDS.forEach(([low, high]) => {
+      if (typeof schema[low] === 'number' && typeof schema[high] === 'number' && schema[low] > schema[high]) {
+        report('min-greater-than-max', 'error', `${low} (${schema[low]}) is greater than ${high} (${schema[high]})`, file, [...path, low]);
+      }
+    });
+
+    if (typeof schema.pattern === 'string' && !compilePattern(schema.pattern)) {
+      report('invalid-pattern', 'error', `pattern /${schema.pattern}/ is not a valid regular expression`, file, [...path, 'pattern']);
+    }
+    if (isPlainObject(schema.patternProperties)) {
+      Object.keys(schema.patternProperties).forEach((pattern) => {
+        if (!compilePattern(pattern)) {
+          report('invalid-pattern', 'error', `patternProperties key /${pattern}/ is not a valid regular expression`, file, [...path, 'patternProperties', pattern]);
+        }
+      });
+    }
+
+    if (Array.isArray(schema.enum)) {
+      schema.enum.forEach((value, index) => {
+        if (schema.enum.findIndex((other) => deepEqual(other, value)) !== index) {
+          report('duplicate-enum', 'warning', `enum value ${JSON.stringify(value)} is listed more than once`, file, [...path, 'enum', index]);
+        }
+      });
+    }
+
+    if (schema.default !== undefined && !matchesSchema(schema.default, schema)) {
+      report('invalid-default', 'warning', `default ${JSON.stringify(schema.default)} does not match its own schema`, file, [...path, 'default']);
+    }
+    if (Array.isArray(schema.examples)) {
+      schema.examples.forEach((example, index) => {
+        if (!matchesSchema(example, schema)) {
+          report('invalid-example', 'warning', `examples[${index}] does not match its own schema`, file, [...path, 'examples', index]);
+        }
+      });
+    }
+
+    // Properties and definitions are what readers look up, so they should say what they are
+    const parent = path[path.length - 2];
+    const isComponent = parent === 'schemas' && path[path.length - 3] === 'components';
+    if ((parent === 'properties' || parent === '$defs' || parent === 'definitions' || isComponent) && !schema.description) {
+      const target = typeof schema.$ref === 'string' ? resolver.resolve(schema.$ref, schema) : null;
+      if (!target || !target.description) {
+        report('missing-description', 'info', `"${path[path.length - 1]}" has no description`, file, path);
+      }
+    }
+
+    Object.keys(schema).forEach((keyword) => {
+      if (allowedKeywords.has(keyword) || keyword.startsWith('x-')) return;
+      const suggestion = suggestKeyword(keyword);
+      if (suggestion) {
+        report('unknown-keyword', 'warning', `Unknown keyword "${keyword}" — did you mean "${suggestion}"?`, file, [...path, keyword]);
+      } else {
+        report('unknown-keyword', 'info', `Unknown keyword "${keyword}" is ignored by validators`, file, [...path, keyword]);
+      }
+    });
+  };
+
+  const lintDocument = (document, file) => walkSchemas(document, [], (schema, path) => lintSchemaObject(file, schema, path));
+
+  // An API document isn't a schema itself; lint the schemas it exposes instead
+  const entries = collectEntryPoints(resolver);
+  if (entries.length > 0) {
+    const linted = new Set();
+    entries.forEach(({ schema }) => {
+      const location = resolver.getLocation(schema);
+      if (!location || location.file !== null || linted.has(schema)) return;
+      linted.add(schema);
+      walkSchemas(schema, location.path, (...args) => lintSchemaObject(null, ...args));
+    });
+  } else {
+    lintDocument(rootSchema, null);
+  }
+  resolver.getFiles().forEach((file) => lintDocument(resolver.getDocument(file), file));
+
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+};
+
+// Plain JSON for export; locations become `file#/pointer` strings
+export const formatFindings = (findings) => findings.map(({ rule, severity, message, location }) => ({
+  rule,
+  severity,
+  message,
+  location: formatLocation(location),
+}));
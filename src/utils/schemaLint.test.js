@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { createResolver } from './refResolver';
+import { buildReferenceIndex } from './referenceIndex';
+import { lintSchema } from './schemaLint';
+import opencollectionSchema from '../schemas/opencollection.schema.json';
+
+describe('bundled schema', () => {
+  const resolver = createResolver(opencollectionSchema);
+  const references = buildReferenceIndex(resolver);
+  const findings = lintSchema(resolver, references);
+
+  it('has no unresolved references', () => {
+    expect(findings.filter(({ rule }) => rule === 'unresolved-ref')).toEqual([]);
+  });
+
+  it('has no unused definitions', () => {
+    expect(findings.filter(({ rule }) => rule === 'unused-definition')).toEqual([]);
+  });
+});
@@ -1,8 +1,30 @@
-export const parseSchema = (schema, path = [], visited = new Set()) => {
+// Subschemas may be booleans (`true` accepts anything, `false` nothing); keep those as-is
+const parseSubschema = (value, path, visited, dialect) => (
+  typeof value === 'boolean' ? value : parseSchema(value, path, visited, dialect)
+);
+
+const parseSchemaMap = (map, path, visited, dialect) => {
+  const result = {};
+  if (map && typeof map === 'object') {
+    for (const [key, value] of Object.entries(map)) {
+      result[key] = parseSubschema(value, [...path, key], visited, dialect);
+    }
+  }
+  return result;
+};
+
+const parseSchemaList = (list, path, visited, dialect) => (
+  Array.isArray(list) ? list.map((item, index) => parseSubschema(item, [...path, index], visited, dialect)) : []
+);
+
+export const parseSchema = (schema, path = [], visited = new Set(), dialect = detectDialect(schema)) => {
   if (!schema || typeof schema !== 'object') {
     return null;
   }
 
+  // An embedded resource may declare its own dialect
+  const activeDialect = typeof schema.$schema === 'string' ? detectDialect(schema) : dialect;
+
   const id = schema.$id || schema.$ref || path.join('.');
   
   if (visited.has(id)) {
@@ -13,15 +35,27 @@ export const parseSchema = (schema, path = [], visited = new Set()) => {
 
   const node = {
     path,
+    dialect: activeDialect,
     type: schema.type,
     title: schema.title,
     description: schema.description,
     required: schema.required || [],
     properties: {},
+    patternProperties: {},
+    prefixItems: [],
+    legacyItems: false,
     items: null,
+    contains: null,
     oneOf: [],
     anyOf: [],
     allOf: [],
+    not: null,
+    if: null,
+    then: null,
+    else: null,
+    dependentRequired: {},
+    dependentSchemas: {},
+    propertyNames: null,
     enum: schema.enum,
     const: schema.const,
     default: schema.default,
@@ -30,56 +64,91 @@ export const parseSchema = (schema, path = [], visited = new Set()) => {
     pattern: schema.pattern,
     minimum: schema.minimum,
     maximum: schema.maximum,
+    exclusiveMinimum: schema.exclusiveMinimum,
+    exclusiveMaximum: schema.exclusiveMaximum,
+    multipleOf: schema.multipleOf,
     minLength: schema.minLength,
     maxLength: schema.maxLength,
     minItems: schema.minItems,
     maxItems: schema.maxItems,
+    minContains: schema.minContains,
+    maxContains: schema.maxContains,
     uniqueItems: schema.uniqueItems,
     minProperties: schema.minProperties,
     maxProperties: schema.maxProperties,
     $ref: schema.$ref,
+    $dynamicRef: schema.$dynamicRef,
+    $recursiveRef: schema.$recursiveRef,
     $id: schema.$id,
+    $anchor: schema.$anchor,
+    $dynamicAnchor: schema.$dynamicAnchor,
     definitions: {},
     additionalProperties: schema.additionalProperties,
+    unevaluatedProperties: schema.unevaluatedProperties,
+    unevaluatedItems: schema.unevaluatedItems,
   };
 
   if (schema.properties) {
-    for (const [key, value] of Object.entries(schema.properties)) {
-      node.properties[key] = parseSchema(value, [...path, 'properties', key], visited);
+    node.properties = parseSchemaMap(schema.properties, [...path, 'properties'], visited, activeDialect);
+  }
+
+  if (schema.patternProperties) {
+    node.patternProperties = parseSchemaMap(schema.patternProperties, [...path, 'patternProperties'], visited, activeDialect);
+  }
+
+  for (const keyword of ['additionalProperties', 'unevaluatedProperties', 'unevaluatedItems', 'propertyNames', 'contains', 'not', 'if', 'then', 'else']) {
+    if (schema[keyword] !== undefined) {
+      node[keyword] = parseSubschema(schema[keyword], [...path, keyword], visited, activeDialect);
     }
   }
 
-  if (schema.items) {
-    if (Array.isArray(schema.items)) {
-      node.items = schema.items.map((item, index) => 
-        parseSchema(item, [...path, 'items', index], visited)
-      );
-    } else {
-      node.items = parseSchema(schema.items, [...path, 'items'], visited);
+  // Tuples are `items: [...]` + `additionalItems` before 2020-12 and
+  // `prefixItems` + `items` from 2020-12 on; both land in prefixItems/items.
+  // The old form is still read in a 2020-12 schema (the default without
+  // `$schema`), flagged as `legacyItems` so it can be pointed out
+  if (Array.isArray(schema.items) && (activeDialect !== '2020-12' || !schema.prefixItems)) {
+    node.prefixItems = parseSchemaList(schema.items, [...path, 'items'], visited, activeDialect);
+    if (schema.additionalItems !== undefined) {
+      node.items = parseSubschema(schema.additionalItems, [...path, 'additionalItems'], visited, activeDialect);
+    }
+    node.legacyItems = activeDialect === '2020-12';
+  } else {
+    if (schema.prefixItems) {
+      node.prefixItems = parseSchemaList(schema.prefixItems, [...path, 'prefixItems'], visited, activeDialect);
+    }
+    if (schema.items !== undefined && !Array.isArray(schema.items)) {
+      node.items = parseSubschema(schema.items, [...path, 'items'], visited, activeDialect);
     }
   }
 
-  if (schema.oneOf) {
-    node.oneOf = schema.oneOf.map((item, index) => 
-      parseSchema(item, [...path, 'oneOf', index], visited)
-    );
+  for (const keyword of ['oneOf', 'anyOf', 'allOf']) {
+    if (schema[keyword]) {
+      node[keyword] = parseSchemaList(schema[keyword], [...path, keyword], visited, activeDialect);
+    }
   }
 
-  if (schema.anyOf) {
-    node.anyOf = schema.anyOf.map((item, index) => 
-      parseSchema(item, [...path, 'anyOf', index], visited)
-    );
+  if (schema.dependentRequired) {
+    node.dependentRequired = { ...schema.dependentRequired };
   }
 
-  if (schema.allOf) {
-    node.allOf = schema.allOf.map((item, index) => 
-      parseSchema(item, [...path, 'allOf', index], visited)
-    );
+  if (schema.dependentSchemas) {
+    node.dependentSchemas = parseSchemaMap(schema.dependentSchemas, [...path, 'dependentSchemas'], visited, activeDialect);
+  }
+
+  // draft-07 `dependencies` mixes both forms
+  if (schema.dependencies && typeof schema.dependencies === 'object') {
+    for (const [key, value] of Object.entries(schema.dependencies)) {
+      if (Array.isArray(value)) {
+        node.dependentRequired[key] = value;
+      } else {
+        node.dependentSchemas[key] = parseSubschema(value, [...path, 'dependencies', key], visited, activeDialect);
+      }
+    }
   }
 
-  if (schema.definitions) {
-    for (const [key, value] of Object.entries(schema.definitions)) {
-      node.definitions[key] = parseSchema(value, [...path, 'definitions', key], visited);
+  for (const keyword of ['definitions', '$defs']) {
+    if (schema[keyword]) {
+      Object.assign(node.definitions, parseSchemaMap(schema[keyword], [...path, keyword], visited, activeDialect));
     }
   }
 
@@ -87,23 +156,14 @@ export const parseSchema = (schema, path = [], visited = new Set()) => {
   return node;
 };
 
-export const resolveRef = (ref, schema, definitions = {}) => {
-  if (!ref || !ref.startsWith('#')) return null;
-  
-  const parts = ref.split('/').slice(1);
-  let current = schema;
-  
-  for (const part of parts) {
-    if (part === 'definitions' && definitions) {
-      current = definitions;
-    } else if (current && typeof current === 'object') {
-      current = current[part];
-    } else {
-      return null;
-    }
-  }
-  
-  return current;
+// Map a $schema URI to the dialect whose keyword semantics apply
+export const detectDialect = (schema) => {
+  const uri = schema && typeof schema === 'object' && typeof schema.$schema === 'string' ? schema.$schema : '';
+
+  if (/draft-0[3-7]/.test(uri)) return 'draft-07';
+  if (uri.includes('2019-09')) return '2019-09';
+  if (uri.includes('2020-12')) return '2020-12';
+  return '2020-12';
 };
 
 export const getSchemaType = (schema) => {
@@ -113,67 +173,8 @@ export const getSchemaType = (schema) => {
   if (schema.oneOf) return 'oneOf';
   if (schema.anyOf) return 'anyOf';
   if (schema.allOf) return 'allOf';
-  if (schema.$ref) return 'reference';
-  if (schema.properties) return 'object';
-  if (schema.items) return 'array';
+  if (schema.$ref || schema.$dynamicRef) return 'reference';
+  if (schema.properties || schema.patternProperties) return 'object';
+  if (schema.items || schema.prefixItems) return 'array';
   return 'any';
 };
-
-export const generateExample = (schema) => {
-  const type = getSchemaType(schema);
-  
-  if (schema.examples && schema.examples.length > 0) {
-    return schema.examples[0];
-  }
-  
-  if (schema.default !== undefined) {
-    return schema.default;
-  }
-  
-  if (schema.enum) {
-    return schema.enum[0];
-  }
-  
-  if (schema.const !== undefined) {
-    return schema.const;
-  }
-  
-  switch (type) {
-    case 'string':
-      if (schema.format === 'date') return '2024-01-01';
-      if (schema.format === 'date-time') return '2024-01-01T00:00:00Z';
-      if (schema.format === 'email') return 'example@email.com';
-      if (schema.format === 'uri') return 'https://example.com';
-      if (schema.format === 'uuid') return '550e8400-e29b-41d4-a716-446655440000';
-      if (schema.pattern) return `string matching ${schema.pattern}`;
-      return 'string';
-      
-    case 'number':
-    case 'integer':
-      if (schema.minimum !== undefined) return schema.minimum;
-      if (schema.maximum !== undefined) return schema.maximum;
-      return type === 'integer' ? 0 : 0.0;
-      
-    case 'boolean':
-      return true;
-      
-    case 'array':
-      const itemExample = schema.items ? generateExample(schema.items) : 'item';
-      return [itemExample];
-      
-    case 'object':
-      const obj = {};
-      if (schema.properties) {
-        for (const [key, propSchema] of Object.entries(schema.properties)) {
-          obj[key] = generateExample(propSchema);
-        }
-      }
-      return obj;
-      
-    case 'null':
-      return null;
-      
-    default:
-      return 'any';
-  }
-};
\ No newline at end of file
@@ -0,0 +1,146 @@
+import { getRefName } from './refResolver';
+import { collectEntryPoints, findEntryPoint } from './apiDocument';
+
+const COMBINATORS = ['oneOf', 'anyOf', 'allOf'];
+const DEFINITION_KEYWORDS = ['$defs', 'definitions'];
+const CONDITIONALS = ['if', 'then', 'else', 'not'];
+const DEPENDENT_KEYWORDS = ['dependentSchemas', 'dependencies'];
+
+// Follow $ref chains the same way SchemaExplorer does when a row is clicked
+const follow = (schema, resolver) => {
+  let current = schema;
+  let ref = null;
+  const seen = new Set();
+
+  while (current && typeof current === 'object' && typeof current.$ref === 'string' && !seen.has(current)) {
+    seen.add(current);
+    const resolved = resolver.resolve(current.$ref, current);
+    if (!resolved) break;
+    ref = ref || current.$ref;
+    current = resolved;
+  }
+
+  return { schema: current, ref };
+};
+
+// The location a pane path stands for: panes in another workspace file put
+// the file name in front of the path (see `buildPaneStack`)
+export const getPaneLocation = (path, resolver) => (
+  path.length > 0 && resolver.getFiles().includes(path[0])
+    ? { file: path[0], path: path.slice(1) }
+    : { file: null, path }
+);
+
+/**
+ * Turn a schema location (`{ file, path }`) into the SchemaExplorer pane stack
+ * a user would have built by clicking through to it. Segments that don't
+ * open a pane (e.g. a trailing keyword like `type`) end the walk.
+ */
+export const buildPaneStack = (location, resolver) => {
+  const rootSchema = resolver.getDocument(null);
+  const panes = [{ name: 'root', schema: rootSchema, path: [] }];
+  if (!location) return panes;
+
+  const segments = location.path || [];
+  let current = rootSchema;
+  let paneName = 'root';
+  let panePath = [];
+
+  if (location.file) {
+    const document = resolver.getDocument(location.file);
+    if (!document) return panes;
+    current = document;
+    paneName = location.file;
+    panePath = [location.file];
+    panes.push({ name: paneName, schema: current, path: panePath });
+  }
+
+  const open = (keywordPath, label, target) => {
+    const { schema, ref } = follow(target, resolver);
+    panePath = [...panePath, ...keywordPath];
+    paneName = ref ? `${label} → ${getRefName(ref)}` : label;
+    current = schema;
+    panes.push(ref ? { name: paneName, schema, path: panePath, ref } : { name: paneName, schema, path: panePath });
+  };
+
+  // Segments parsed from a pointer or URL are strings; panes index arrays by number
+  let index = 0;
+
+  // API documents are entered through a component schema or an operation's body
+  if (!location.file) {
+    const entry = findEntryPoint(collectEntryPoints(resolver), segments);
+    if (entry) {
+      open(entry.path, entry.name, entry.schema);
+      index = entry.path.length;
+    }
+  }
+  while (index < segments.length && current && typeof current === 'object') {
+    const keyword = segments[index];
+    const next = segments[index + 1];
+
+    if ((keyword === 'properties' || DEFINITION_KEYWORDS.includes(keyword)) && current[keyword] && next !== undefined && current[keyword][next]) {
+      open([keyword, next], String(next), current[keyword][next]);
+      index += 2;
+    } else if ((keyword === 'items' || keyword === 'prefixItems') && Array.isArray(current[keyword]) && next !== undefined && current[keyword][next]) {
+      open([keyword, Number(next)], `[items ${next}]`, current[keyword][next]);
+      index += 2;
+    } else if (keyword === 'items' && current.items && typeof current.items === 'object' && !Array.isArray(current.items)) {
+      open(['items'], '[items]', current.items);
+      index += 1;
+    } else if (COMBINATORS.includes(keyword) && Array.isArray(current[keyword]) && current[keyword][next]) {
+      open([keyword, Number(next)], `${paneName} → ${keyword}[${next}]`, current[keyword][next]);
+      index += 2;
+    } else if (CONDITIONALS.includes(keyword) && current[keyword] && typeof current[keyword] === 'object') {
+      open([keyword], `${paneName} → ${keyword}`, current[keyword]);
+      index += 1;
+    } else if (DEPENDENT_KEYWORDS.includes(keyword) && current[keyword] && next !== undefined
+      && current[keyword][next] && typeof current[keyword][next] === 'object' && !Array.isArray(current[keyword][next])) {
+      open([keyword, next], `${paneName} → when ${next}`, current[keyword][next]);
+      index += 2;
+    } else {
+      break;
+    }
+  }
+
+  return panes;
+};
+
+const SINGLE_STEP_KEYWORDS = ['items', ...CONDITIONALS];
+const DOUBLE_STEP_KEYWORDS = ['properties', ...DEFINITION_KEYWORDS, ...COMBINATORS, ...DEPENDENT_KEYWORDS, 'dependentRequired', 'prefixItems'];
+
+/**
+ * Split a navigation path into the steps that each open one node, e.g.
+ * `['properties', 'a', 'items', 'oneOf', 0]` → `[['properties', 'a'], ['items'], ['oneOf', 0]]`.
+ * Stops at the first segment no view navigates through. A path into an API
+ * document starts with the whole path of one of `entries` as a single step.
+ */
+export const splitPathSteps = (path, entries = []) => {
+  const steps = [];
+  let index = 0;
+
+  const entry = findEntryPoint(entries, path);
+  if (entry) {
+    steps.push(path.slice(0, entry.path.length));
+    index = entry.path.length;
+  }
+
+  while (index < path.length) {
+    const keyword = path[index];
+    if (SINGLE_STEP_KEYWORDS.includes(keyword) && (keyword !== 'items' || typeof path[index + 1] !== 'number')) {
+      steps.push([keyword]);
+      index += 1;
+    } else if ((DOUBLE_STEP_KEYWORDS.includes(keyword) || keyword === 'items') && index + 1 < path.length) {
+      steps.push([keyword, path[index + 1]]);
+      index += 2;
+    } else {
+      break;
+    }
+  }
+
+  return steps;
+};
+
+// Does the path lead through `$defs`/`definitions`, which only the Explorer and Tree show?
+export const isDefinitionPath = (path, entries = []) => (
+  splitPathSteps(path, entries).some(([keyword]) => DEFINITION_KEYWORDS.includes(keyword))
+);
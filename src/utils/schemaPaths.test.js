@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { createResolver } from './refResolver';
+import { buildPaneStack, getPaneLocation } from './schemaPaths';
+
+const documents = {
+  'main.json': { properties: { address: { $ref: 'common.json#/$defs/Address' } } },
+  'common.json': { $defs: { Address: { type: 'object', properties: { street: { type: 'object' } } } } },
+};
+const resolver = createResolver(documents['main.json'], { documents, rootFile: 'main.json' });
+
+describe('getPaneLocation', () => {
+  it('rebuilds a pane stack that lives in another workspace file', () => {
+    const location = { file: 'common.json', path: ['$defs', 'Address', 'properties', 'street'] };
+    const panes = buildPaneStack(location, resolver);
+    const deepest = panes[panes.length - 1].path;
+
+    expect(getPaneLocation(deepest, resolver)).toEqual(location);
+    expect(buildPaneStack(getPaneLocation(deepest, resolver), resolver).map(({ path }) => path))
+      .toEqual(panes.map(({ path }) => path));
+  });
+
+  it('keeps paths in the root document as they are', () => {
+    expect(getPaneLocation(['properties', 'address'], resolver)).toEqual({ file: null, path: ['properties', 'address'] });
+  });
+});
@@ -0,0 +1,21 @@
+export const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+export const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => hasOwn(b, key) && deepEqual(a[key], b[key]));
+};
+
+// Follow a `$ref` one step; anything else (or a ref that doesn't resolve) comes back as is
+export const resolveSchema = (schema, resolver) => (
+  isPlainObject(schema) && typeof schema.$ref === 'string' && resolver ? resolver.resolve(schema.$ref, schema) || schema : schema
+);
@@ -0,0 +1,97 @@
+import { getApiKind } from './apiDocument';
+
+// Keywords whose values are instance data rather than subschemas
+const DATA_KEYWORDS = new Set(['enum', 'const', 'default', 'examples', 'example']);
+
+// Keywords whose values map names (not keywords) to subschemas
+const NAMED_KEYWORDS = new Set(['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas', 'dependencies']);
+
+// Keywords whose values are a subschema or a list of them
+const SUBSCHEMA_KEYWORDS = new Set([
+  'items', 'prefixItems', 'allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else', 'contains', 'propertyNames',
+  'additionalProperties', 'additionalItems', 'unevaluatedProperties', 'unevaluatedItems', 'contentSchema',
+]);
+
+// What the children of a `kind` object are under `key`: a schema, a map of
+// named schemas, or other JSON (the parts of an OpenAPI/AsyncAPI document
+// around its schemas, or vendor keywords)
+const childKind = (kind, key, path) => {
+  if (kind === 'names') return 'schema';
+  if (kind === 'schema') return NAMED_KEYWORDS.has(key) ? 'names' : SUBSCHEMA_KEYWORDS.has(key) ? 'schema' : 'other';
+  if (key === 'schemas' && path[path.length - 1] === 'components') return 'names';
+  return key === 'schema' || key === 'payload' ? 'schema' : 'other';
+};
+
+/**
+ * Visit every object in a document, schema or not (an OpenAPI document keeps
+ * its schemas under paths and components), with its path.
+ *
+ * Data keywords are skipped only inside schema objects: a property called
+ * `default` or an OpenAPI `default` response is walked like any other key.
+ * Outside schemas only `example`, which is always literal data, is skipped.
+ * `visit(node, path, state)` returns the state handed to that node's children.
+ */
+export const walkDocument = (node, visit, state, path = [], kind = getApiKind(node) ? 'other' : 'schema') => {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => walkDocument(item, visit, state, [...path, index], kind));
+    return;
+  }
+
+  const childState = visit(node, path, state);
+  for (const [key, value] of Object.entries(node)) {
+    if (kind === 'schema' ? DATA_KEYWORDS.has(key) : kind === 'other' && key === 'example') continue;
+    walkDocument(value, visit, childState, [...path, key], childKind(kind, key, path));
+  }
+};
+
+// Visit every subschema with its location, keyword by keyword
+export const walkSchemas = (schema, path, visit) => {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return;
+  visit(schema, path);
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (DATA_KEYWORDS.has(keyword) || value === null || typeof value !== 'object') continue;
+
+    switch (keyword) {
+      case 'properties':
+      case 'patternProperties':
+      case '$defs':
+      case 'definitions':
+      case 'dependentSchemas':
+        Object.entries(value).forEach(([key, child]) => walkSchemas(child, [...path, keyword, key], visit));
+        break;
+      case 'dependencies':
+        Object.entries(value).forEach(([key, child]) => {
+          if (!Array.isArray(child)) walkSchemas(child, [...path, keyword, key], visit);
+        });
+        break;
+      case 'items':
+      case 'allOf':
+      case 'anyOf':
+      case 'oneOf':
+      case 'prefixItems':
+        if (Array.isArray(value)) {
+          value.forEach((child, index) => walkSchemas(child, [...path, keyword, index], visit));
+        } else {
+          walkSchemas(value, [...path, keyword], visit);
+        }
+        break;
+      case 'additionalProperties':
+      case 'additionalItems':
+      case 'unevaluatedProperties':
+      case 'unevaluatedItems':
+      case 'propertyNames':
+      case 'contains':
+      case 'not':
+      case 'if':
+      case 'then':
+      case 'else':
+      case 'contentSchema':
+        walkSchemas(value, [...path, keyword], visit);
+        break;
+      default:
+    }
+  }
+};
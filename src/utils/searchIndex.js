@@ -0,0 +1,138 @@
+import { getRefName } from './refResolver';
+import { getDependentSchemas } from './conditions';
+import { collectEntryPoints } from './apiDocument';
+import { isPlainObject } from './schemaUtils';
+
+// How well an entry's text matches the query; higher is better, 0 means no match
+const FIELD_WEIGHTS = { name: 40, definition: 40, title: 30, enum: 20, description: 10 };
+
+const scoreText = (text, query) => {
+  const lower = text.toLowerCase();
+  if (lower === query) return 3;
+  if (lower.startsWith(query)) return 2;
+  if (lower.includes(query)) return 1;
+  return 0;
+};
+
+/**
+ * Index every node reachable from the root the way the Explorer reaches it:
+ * properties, items, combinators, conditionals, dependent schemas and
+ * definitions, following `$ref`s (including into other workspace files).
+ *
+ * Each referenced schema is indexed once, at the shortest path it is reached
+ * by, so recursive and heavily shared definitions don't blow up the index.
+ * Definitions are walked last so their contents are listed where they are used.
+ * Paths are Explorer navigation paths and can be handed to `buildPaneStack`.
+ */
+export const buildSearchIndex = (rootSchema, resolver) => {
+  const entries = [];
+  const visited = new Set();
+  const queue = [{ schema: rootSchema, path: [], trail: [], name: null, kind: null }];
+  const definitionQueue = [];
+
+  const enqueue = (target, path, trail, label, name, kind, into = queue) => {
+    if (!isPlainObject(target)) return;
+    const resolved = typeof target.$ref === 'string' ? resolver.resolve(target.$ref, target) : null;
+    const step = resolved ? `${label} → ${getRefName(target.$ref)}` : label;
+    into.push({ schema: resolved || target, path, trail: [...trail, step], name, kind, description: target.description });
+  };
+
+  while (queue.length > 0 || definitionQueue.length > 0) {
+    const { schema, path, trail, name, kind, description } = queue.length > 0 ? queue.shift() : definitionQueue.shift();
+
+    if (name !== null) {
+      entries.push({ field: kind, text: String(name), path, trail });
+    }
+
+    if (visited.has(schema)) continue;
+    visited.add(schema);
+
+    if (typeof schema.title === 'string') entries.push({ field: 'title', text: schema.title, path, trail });
+    const text = typeof description === 'string' ? description : schema.description;
+    if (typeof text === 'string') entries.push({ field: 'description', text, path, trail });
+    if (Array.isArray(schema.enum)) {
+      schema.enum.forEach((value) => entries.push({ field: 'enum', text: JSON.stringify(value), path, trail }));
+    }
+    if (schema.const !== undefined) entries.push({ field: 'enum', text: JSON.stringify(schema.const), path, trail });
+
+    if (isPlainObject(schema.properties)) {
+      for (const [key, value] of Object.entries(schema.properties)) {
+        enqueue(value, [...path, 'properties', key], trail, key, key, 'name');
+      }
+    }
+
+    if (isPlainObject(schema.items)) {
+      enqueue(schema.items, [...path, 'items'], trail, '[items]', null, null);
+    }
+
+    // Tuples: `items: [...]` before 2020-12, `prefixItems` from 2020-12 on
+    for (const keyword of ['items', 'prefixItems']) {
+      if (Array.isArray(schema[keyword])) {
+        schema[keyword].forEach((item, index) => {
+          enqueue(item, [...path, keyword, index], trail, `[items ${index}]`, null, null);
+        });
+      }
+    }
+
+    for (const keyword of ['oneOf', 'anyOf', 'allOf']) {
+      if (Array.isArray(schema[keyword])) {
+        schema[keyword].forEach((item, index) => {
+          enqueue(item, [...path, keyword, index], trail, `${keyword}[${index}]`, null, null);
+        });
+      }
+    }
+
+    for (const keyword of ['if', 'then', 'else', 'not']) {
+      enqueue(schema[keyword], [...path, keyword], trail, keyword, null, null);
+    }
+
+    getDependentSchemas(schema).forEach(({ property, schema: dependentSchema, keyword }) => {
+      enqueue(dependentSchema, [...path, keyword, property], trail, `when ${property}`, null, null);
+    });
+
+    for (const keyword of ['$defs', 'definitions']) {
+      if (isPlainObject(schema[keyword])) {
+        for (const [key, value] of Object.entries(schema[keyword])) {
+          enqueue(value, [...path, keyword, key], trail, key, key, 'definition', definitionQueue);
+        }
+      }
+    }
+
+    // Entry points of an OpenAPI/AsyncAPI document; component schemas rank like definitions
+    if (path.length === 0) {
+      collectEntryPoints(resolver).forEach((entry) => {
+        const isComponent = entry.group === 'schemas';
+        enqueue(entry.schema, entry.path, trail, entry.name, entry.name, isComponent ? 'definition' : 'name', isComponent ? definitionQueue : queue);
+      });
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Rank index entries against a query. One result per path, keeping the
+ * best-matching field, so a property whose name and description both match
+ * is listed once.
+ */
+export const searchIndex = (entries, query, limit = 50) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+
+  const best = new Map();
+  for (const entry of entries) {
+    const score = scoreText(entry.text, needle);
+    if (score === 0) continue;
+
+    const total = FIELD_WEIGHTS[entry.field] + score;
+    const key = entry.path.join('\u0000');
+    const current = best.get(key);
+    if (!current || current.score < total) {
+      best.set(key, { ...entry, score: total });
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score || a.path.length - b.path.length)
+    .slice(0, limit);
+};
@@ -0,0 +1,207 @@
+import { getRefName } from './refResolver';
+import { collectDefinitions } from './referenceIndex';
+import { isPlainObject } from './schemaUtils';
+import { getApiKind } from './apiDocument';
+
+const PRIMITIVES = {
+  string: 'string',
+  number: 'number',
+  integer: 'number',
+  boolean: 'boolean',
+  null: 'null',
+};
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// `http-request` / `auth → Basic` → `HttpRequest` / `AuthBasic`
+export const toTypeName = (name) => {
+  const words = String(name).split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const pascal = words.map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+  if (!pascal) return 'Schema';
+  return /^[0-9]/.test(pascal) ? `T${pascal}` : pascal;
+};
+
+const formatKey = (key) => (IDENTIFIER.test(key) ? key : JSON.stringify(key));
+
+const formatLiteral = (value) => JSON.stringify(value);
+
+// A union or intersection outside any brackets or string literal
+const isCompound = (type) => {
+  let depth = 0;
+  let quoted = false;
+  for (let index = 0; index < type.length; index++) {
+    const char = type[index];
+    if (quoted) {
+      if (char === '\\') index++;
+      else if (char === '"') quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if ('({[<'.includes(char)) {
+      depth++;
+    } else if (')}]>'.includes(char)) {
+      depth--;
+    } else if (depth === 0 && (char === '|' || char === '&')) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Parenthesise compound members so `A | B` stays one operand of `&` or `[]`
+const wrap = (type) => (isCompound(type) ? `(${type})` : type);
+
+const formatDoc = (schema, indent) => {
+  if (!isPlainObject(schema)) return '';
+  const lines = [];
+  if (typeof schema.description === 'string') lines.push(...schema.description.split('\n'));
+  if (schema.deprecated === true) lines.push('@deprecated');
+  if (lines.length === 0) return '';
+
+  const escaped = lines.map((line) => line.replace(/\*\//g, '*\\/').trimEnd());
+  if (escaped.length === 1) return `${indent}/** ${escaped[0]} */\n`;
+  return `${indent}/**\n${escaped.map((line) => `${indent} *${line ? ` ${line}` : ''}`).join('\n')}\n${indent} */\n`;
+};
+
+/**
+ * Generate TypeScript declarations for `schema`.
+ *
+ * Every `$ref` target becomes a named type, so recursive schemas stay finite;
+ * with `includeDefinitions` every root `$defs`/`definitions` entry is declared
+ * even when nothing references it. The root type is named `rootName`.
+ */
+export const generateTypeScript = (schema, resolver, { rootName = 'Schema', includeDefinitions = true } = {}) => {
+  const names = new Map();
+  const taken = new Set();
+  const queue = [];
+
+  const nameFor = (target, preferred) => {
+    if (!names.has(target)) {
+      const base = toTypeName(preferred);
+      let name = base;
+      for (let suffix = 2; taken.has(name); suffix++) name = `${base}${suffix}`;
+      taken.add(name);
+      names.set(target, name);
+      queue.push(target);
+    }
+    return names.get(target);
+  };
+
+  const isInterface = (target) => (
+    isPlainObject(target)
+    && isPlainObject(target.properties)
+    && (target.type === undefined || target.type === 'object')
+    && !target.$ref && !target.oneOf && !target.anyOf && !target.allOf
+    && target.enum === undefined && target.const === undefined
+  );
+
+  let typeOf;
+
+  const objectType = (target, indent) => {
+    const inner = `${indent}  `;
+    const required = Array.isArray(target.required) ? target.required : [];
+    const properties = isPlainObject(target.properties) ? Object.entries(target.properties) : [];
+    const additional = target.additionalProperties;
+
+    if (properties.length === 0) {
+      if (additional === false) return 'Record<string, never>';
+      return `Record<string, ${isPlainObject(additional) ? typeOf(additional, indent) : 'unknown'}>`;
+    }
+
+    const members = properties.map(([key, propertySchema]) => {
+      const optional = required.includes(key) ? '' : '?';
+      const readonly = isPlainObject(propertySchema) && propertySchema.readOnly === true ? 'readonly ' : '';
+      return `${formatDoc(propertySchema, inner)}${inner}${readonly}${formatKey(key)}${optional}: ${typeOf(propertySchema, inner)};`;
+    });
+    // An index signature has to admit every declared property too
+    if (isPlainObject(additional) || isPlainObject(target.patternProperties)) {
+      members.push(`${inner}[key: string]: unknown;`);
+    }
+    return `{\n${members.join('\n')}\n${indent}}`;
+  };
+
+  const arrayType = (target, indent) => {
+    const tuple = Array.isArray(target.prefixItems) ? target.prefixItems : Array.isArray(target.items) ? target.items : null;
+    const rest = Array.isArray(target.items) ? target.additionalItems : target.items;
+
+    if (tuple) {
+      const members = tuple.map((item) => typeOf(item, indent));
+      if (rest !== false) members.push(`...${wrap(typeOf(rest, indent))}[]`);
+      return `[${members.join(', ')}]`;
+    }
+    return `${wrap(typeOf(rest, indent))}[]`;
+  };
+
+  const baseType = (target, indent) => {
+    let types = Array.isArray(target.type) ? target.type : target.type ? [target.type] : [];
+    if (types.length === 0) {
+      if (target.properties || target.additionalProperties !== undefined || target.patternProperties) types = ['object'];
+      else if (target.items !== undefined || target.prefixItems) types = ['array'];
+    }
+    if (types.length === 0) return null;
+    // OpenAPI 3.0 `nullable: true`
+    if (target.nullable === true && !types.includes('null')) types = [...types, 'null'];
+
+    return types.map((type) => {
+      if (type === 'object') return objectType(target, indent);
+      if (type === 'array') return arrayType(target, indent);
+      return PRIMITIVES[type] || 'unknown';
+    }).join(' | ');
+  };
+
+  typeOf = (target, indent = '') => {
+    if (target === undefined || target === true) return 'unknown';
+    if (target === false) return 'never';
+    if (!isPlainObject(target)) return 'unknown';
+
+    if (typeof target.$ref === 'string') {
+      const resolved = resolver.resolve(target.$ref, target);
+      if (resolved === null || resolved === undefined) return 'unknown';
+      return isPlainObject(resolved) ? nameFor(resolved, getRefName(target.$ref)) : typeOf(resolved, indent);
+    }
+
+    if (target.const !== undefined) return formatLiteral(target.const);
+    if (Array.isArray(target.enum)) return target.enum.map(formatLiteral).join(' | ') || 'never';
+
+    const parts = [];
+    const base = baseType(target, indent);
+    if (base) parts.push(base);
+    ['oneOf', 'anyOf'].forEach((keyword) => {
+      if (Array.isArray(target[keyword]) && target[keyword].length > 0) {
+        const options = target[keyword].map((option) => typeOf(option, indent));
+        // An option that only adds constraints (e.g. `required`) admits anything TypeScript can express
+        parts.push(options.includes('unknown') ? 'unknown' : options.join(' | '));
+      }
+    });
+    if (Array.isArray(target.allOf)) {
+      target.allOf.forEach((member) => parts.push(typeOf(member, indent)));
+    }
+
+    const members = parts.filter((part) => part !== 'unknown');
+    if (members.length === 0) return 'unknown';
+    return members.length === 1 ? members[0] : members.map(wrap).join(' & ');
+  };
+
+  const declare = (target) => {
+    const name = names.get(target);
+    const doc = formatDoc(target, '');
+    if (isInterface(target)) {
+      return `${doc}export interface ${name} ${objectType(target, '')}`;
+    }
+    return `${doc}export type ${name} = ${typeOf(target, '')};`;
+  };
+
+  // An OpenAPI/AsyncAPI document isn't a type itself, only its component schemas are
+  if (!getApiKind(schema)) nameFor(schema, rootName);
+  if (includeDefinitions) {
+    collectDefinitions(resolver)
+      .filter(({ file }) => file === null)
+      .forEach((definition) => nameFor(definition.schema, definition.name));
+  }
+
+  const declarations = [];
+  for (let index = 0; index < queue.length; index++) {
+    declarations.push(declare(queue[index]));
+  }
+
+  return `${declarations.join('\n\n')}\n`;
+};
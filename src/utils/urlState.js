@@ -0,0 +1,41 @@
+import { parsePointer, toPointer } from './refResolver';
+
+// Shareable viewer state lives in the URL hash:
+//   #view=explorer&url=https://example.com/schema.json&path=/properties/items/items
+// `path` is the path of the deepest Explorer pane; every pane above it is a
+// prefix, so SchemaExplorer can rebuild the whole stack from it. A pane in
+// another workspace file starts with the file name (see `getPaneLocation`).
+
+const VIEWS = ['explorer', 'tree', 'definitions', 'visualize', 'source', 'validate', 'lint', 'diff', 'code'];
+
+export const readUrlState = (hash = window.location.hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const view = params.get('view');
+  const path = parsePointer(params.get('path') || '');
+
+  return {
+    view: VIEWS.includes(view) ? view : 'explorer',
+    url: params.get('url') || null,
+    path: path || [],
+  };
+};
+
+export const buildUrlHash = ({ view, url, path }) => {
+  const params = new URLSearchParams();
+  params.set('view', view);
+  if (url) params.set('url', url);
+  if (path && path.length > 0) params.set('path', toPointer(path));
+  return `#${params.toString()}`;
+};
+
+// Push a history entry when the state changed, so back/forward step through it
+export const writeUrlState = (state, { replace = false } = {}) => {
+  const hash = buildUrlHash(state);
+  if (hash === window.location.hash) return;
+
+  if (replace) {
+    window.history.replaceState(null, '', hash);
+  } else {
+    window.history.pushState(null, '', hash);
+  }
+};
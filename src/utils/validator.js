@@ -0,0 +1,473 @@
+import { createResolver, toPointer } from './refResolver';
+import { detectDialect } from './schemaParser';
+import { isPlainObject, deepEqual } from './schemaUtils';
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+export const getInstanceType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'string': return typeof value === 'string';
+    case 'integer': return typeof value === 'number' && Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return true;
+  }
+};
+
+const regexCache = new Map();
+
+// JSON Schema patterns are ECMA-262 regexes; prefer unicode mode but accept legacy syntax
+export const compilePattern = (pattern) => {
+  if (!regexCache.has(pattern)) {
+    let regex = null;
+    try {
+      regex = new RegExp(pattern, 'u');
+    } catch (err) {
+      try {
+        regex = new RegExp(pattern);
+      } catch (innerErr) {
+        regex = null;
+      }
+    }
+    regexCache.set(pattern, regex);
+  }
+  return regexCache.get(pattern);
+};
+
+const isValidDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?([Zz]|[+-]([01]\d|2[0-3]):[0-5]\d)$/;
+
+export const FORMAT_CHECKS = {
+  'date-time': (value) => {
+    const [date, time] = value.split(/[Tt]/);
+    return time !== undefined && isValidDate(date) && TIME_PATTERN.test(time);
+  },
+  date: isValidDate,
+  time: (value) => TIME_PATTERN.test(value),
+  duration: (value) => /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/.test(value),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  hostname: (value) => /^(?=.{1,253}$)[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/.test(value),
+  ipv4: (value) => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value),
+  ipv6: (value) => {
+    if (!value.includes(':')) return false;
+    try {
+      new URL(`http://[${value}]`);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  },
+  uri: (value) => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(value),
+  'uri-reference': (value) => !/\s/.test(value),
+  iri: (value) => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(value),
+  'iri-reference': (value) => !/\s/.test(value),
+  uuid: (value) => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value),
+  regex: (value) => compilePattern(value) !== null,
+  'json-pointer': (value) => /^(\/([^~/]|~[01])*)*$/.test(value),
+  'relative-json-pointer': (value) => /^(0|[1-9]\d*)(#|(\/([^~/]|~[01])*)*)$/.test(value),
+};
+
+const emptyResult = () => ({ errors: [], props: new Set(), items: new Set() });
+
+const mergeAnnotations = (target, source) => {
+  source.props.forEach((key) => target.props.add(key));
+  source.items.forEach((index) => target.items.add(index));
+};
+
+const describe = (value) => JSON.stringify(value);
+
+/**
+ * Validate `instance` against `rootSchema`.
+ *
+ * Supports draft-07, 2019-09 and 2020-12 (picked from `$schema` unless `dialect`
+ * is given). Every error carries the instance pointer, the failing keyword and
+ * the `location` of that keyword in the schema (`{ file, path }`), so callers
+ * can jump straight to it.
+ */
+export const validateInstance = (instance, rootSchema, { resolver, dialect, assertFormats = true } = {}) => {
+  const activeResolver = resolver || createResolver(rootSchema);
+  const activeDialect = dialect || detectDialect(rootSchema);
+  const refOverridesSiblings = activeDialect === 'draft-07';
+  const active = [];
+
+  const childLocation = (location, ...segments) => ({ file: location.file, path: [...location.path, ...segments] });
+
+  const locate = (schema, fallback) => activeResolver.getLocation(schema) || fallback;
+
+  const makeError = (keyword, message, instancePath, location, params = {}) => {
+    const keywordLocation = childLocation(location, keyword);
+    return {
+      instancePath: toPointer(instancePath),
+      keyword,
+      message,
+      params,
+      location: keywordLocation,
+      schemaPath: `${keywordLocation.file || ''}#${toPointer(keywordLocation.path)}`,
+    };
+  };
+
+  const evaluate = (value, schema, instancePath, location, scope) => {
+    const result = emptyResult();
+
+    if (schema === true || schema === undefined) return result;
+    if (schema === false) {
+      result.errors.push(makeError('false', 'No value is allowed here', instancePath, location));
+      return result;
+    }
+    if (!isPlainObject(schema)) return result;
+
+    // A schema that re-enters itself without consuming the instance would never terminate
+    const pointer = toPointer(instancePath);
+    if (active.some((frame) => frame.schema === schema && frame.pointer === pointer)) {
+      return result;
+    }
+    active.push({ schema, pointer });
+
+    const base = activeResolver.getBaseUri(schema);
+    const currentScope = scope[scope.length - 1] === base ? scope : [...scope, base];
+    const fail = (keyword, message, params, path = instancePath) => {
+      result.errors.push(makeError(keyword, message, path, location, params));
+    };
+    const sub = (childValue, childSchema, childPath, ...segments) => (
+      evaluate(childValue, childSchema, childPath, locate(childSchema, childLocation(location, ...segments)), currentScope)
+    );
+    const apply = (childResult) => {
+      result.errors.push(...childResult.errors);
+      mergeAnnotations(result, childResult);
+    };
+
+    try {
+      if (typeof schema.$ref === 'string') {
+        const target = activeResolver.lookup(schema.$ref, schema);
+        if (!target) {
+          fail('$ref', `Cannot resolve reference ${schema.$ref}`, { ref: schema.$ref });
+        } else {
+          const targetLocation = locate(target.schema, { file: target.file, path: [] });
+          apply(evaluate(value, target.schema, instancePath, targetLocation, currentScope));
+        }
+        if (refOverridesSiblings) return result;
+      }
+
+      if (typeof schema.$dynamicRef === 'string') {
+        const target = activeResolver.lookupDynamic(schema.$dynamicRef, schema, currentScope);
+        if (!target) {
+          fail('$dynamicRef', `Cannot resolve reference ${schema.$dynamicRef}`, { ref: schema.$dynamicRef });
+        } else {
+          apply(evaluate(value, target.schema, instancePath, locate(target.schema, { file: target.file, path: [] }), currentScope));
+        }
+      }
+
+      if (typeof schema.$recursiveRef === 'string') {
+        let target = activeResolver.resolve(schema.$recursiveRef, schema);
+        if (target && target.$recursiveAnchor === true) {
+          const outermost = currentScope
+            .map((uri) => activeResolver.resolve(uri))
+            .find((resource) => resource && resource.$recursiveAnchor === true);
+          target = outermost || target;
+        }
+        if (!target) {
+          fail('$recursiveRef', `Cannot resolve reference ${schema.$recursiveRef}`, { ref: schema.$recursiveRef });
+        } else {
+          apply(evaluate(value, target, instancePath, locate(target, childLocation(location, '$recursiveRef')), currentScope));
+        }
+      }
+
+      if (schema.type !== undefined) {
+        const types = [...(Array.isArray(schema.type) ? schema.type : [schema.type])];
+        // OpenAPI 3.0 spells "or null" as `nullable: true`
+        if (schema.nullable === true && !types.includes('null')) types.push('null');
+        if (!types.some((type) => matchesType(value, type))) {
+          fail('type', `Expected ${types.join(' or ')} but got ${getInstanceType(value)}`, { type: schema.type });
+        }
+      }
+
+      if (Array.isArray(schema.enum) && !schema.enum.some((option) => deepEqual(option, value))) {
+        fail('enum', `Must be one of ${schema.enum.map(describe).join(', ')}`, { allowedValues: schema.enum });
+      }
+
+      if (hasOwn(schema, 'const') && !deepEqual(schema.const, value)) {
+        fail('const', `Must be ${describe(schema.const)}`, { allowedValue: schema.const });
+      }
+
+      if (typeof value === 'number') {
+        if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+          const quotient = value / schema.multipleOf;
+          if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+            fail('multipleOf', `Must be a multiple of ${schema.multipleOf}`, { multipleOf: schema.multipleOf });
+          }
+        }
+        if (typeof schema.maximum === 'number') {
+          if (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum) {
+            fail('maximum', `Must be ${schema.exclusiveMaximum === true ? '<' : '<='} ${schema.maximum}`, { limit: schema.maximum });
+          }
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+          fail('exclusiveMaximum', `Must be < ${schema.exclusiveMaximum}`, { limit: schema.exclusiveMaximum });
+        }
+        if (typeof schema.minimum === 'number') {
+          if (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum) {
+            fail('minimum', `Must be ${schema.exclusiveMinimum === true ? '>' : '>='} ${schema.minimum}`, { limit: schema.minimum });
+          }
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+          fail('exclusiveMinimum', `Must be > ${schema.exclusiveMinimum}`, { limit: schema.exclusiveMinimum });
+        }
+      }
+
+      if (typeof value === 'string') {
+        const length = [...value].length;
+        if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+          fail('maxLength', `Must be at most ${schema.maxLength} characters`, { limit: schema.maxLength });
+        }
+        if (typeof schema.minLength === 'number' && length < schema.minLength) {
+          fail('minLength', `Must be at least ${schema.minLength} characters`, { limit: schema.minLength });
+        }
+        if (typeof schema.pattern === 'string') {
+          const regex = compilePattern(schema.pattern);
+          if (regex && !regex.test(value)) {
+            fail('pattern', `Must match pattern ${schema.pattern}`, { pattern: schema.pattern });
+          }
+        }
+        if (assertFormats && typeof schema.format === 'string' && FORMAT_CHECKS[schema.format]) {
+          if (!FORMAT_CHECKS[schema.format](value)) {
+            fail('format', `Must be a valid ${schema.format}`, { format: schema.format });
+          }
+        }
+      }
+
+      if (Array.isArray(value)) {
+        const tupleKeyword = Array.isArray(schema.prefixItems) ? 'prefixItems' : Array.isArray(schema.items) ? 'items' : null;
+        const tuple = tupleKeyword ? schema[tupleKeyword] : [];
+        const restKeyword = tupleKeyword === 'items' ? 'additionalItems' : 'items';
+        const rest = schema[restKeyword];
+
+        value.forEach((item, index) => {
+          if (index < tuple.length) {
+            apply(sub(item, tuple[index], [...instancePath, index], tupleKeyword, index));
+            result.items.add(index);
+          } else if (rest !== undefined && !Array.isArray(rest)) {
+            apply(sub(item, rest, [...instancePath, index], restKeyword));
+            result.items.add(index);
+          }
+        });
+
+        if (schema.contains !== undefined) {
+          const matches = value
+            .map((item, index) => (sub(item, schema.contains, [...instancePath, index], 'contains').errors.length === 0 ? index : -1))
+            .filter((index) => index !== -1);
+          const minContains = typeof schema.minContains === 'number' ? schema.minContains : 1;
+          if (matches.length < minContains) {
+            fail('contains', `Must contain at least ${minContains} matching item${minContains === 1 ? '' : 's'}`, { minContains });
+          }
+          if (typeof schema.maxContains === 'number' && matches.length > schema.maxContains) {
+            fail('maxContains', `Must contain at most ${schema.maxContains} matching items`, { limit: schema.maxContains });
+          }
+          if (activeDialect === '2020-12') {
+            matches.forEach((index) => result.items.add(index));
+          }
+        }
+
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+          fail('maxItems', `Must have at most ${schema.maxItems} items`, { limit: schema.maxItems });
+        }
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+          fail('minItems', `Must have at least ${schema.minItems} items`, { limit: schema.minItems });
+        }
+        if (schema.uniqueItems === true) {
+          for (let i = 0; i < value.length; i++) {
+            const duplicate = value.findIndex((other, j) => j > i && deepEqual(value[i], other));
+            if (duplicate !== -1) {
+              fail('uniqueItems', `Items ${i} and ${duplicate} are identical`, { i, j: duplicate });
+              break;
+            }
+          }
+        }
+      }
+
+      if (isPlainObject(value)) {
+        const keys = Object.keys(value);
+        const patterns = isPlainObject(schema.patternProperties) ? Object.keys(schema.patternProperties) : [];
+
+        if (isPlainObject(schema.properties)) {
+          for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            if (hasOwn(value, key)) {
+              apply(sub(value[key], propertySchema, [...instancePath, key], 'properties', key));
+              result.props.add(key);
+            }
+          }
+        }
+
+        for (const pattern of patterns) {
+          const regex = compilePattern(pattern);
+          if (!regex) continue;
+          keys.filter((key) => regex.test(key)).forEach((key) => {
+            apply(sub(value[key], schema.patternProperties[pattern], [...instancePath, key], 'patternProperties', pattern));
+            result.props.add(key);
+          });
+        }
+
+        if (schema.additionalProperties !== undefined) {
+          const additional = keys.filter((key) => (
+            !(isPlainObject(schema.properties) && hasOwn(schema.properties, key))
+            && !patterns.some((pattern) => compilePattern(pattern)?.test(key))
+          ));
+          for (const key of additional) {
+            if (schema.additionalProperties === false) {
+              fail('additionalProperties', `Property "${key}" is not allowed`, { additionalProperty: key }, [...instancePath, key]);
+            } else {
+              apply(sub(value[key], schema.additionalProperties, [...instancePath, key], 'additionalProperties'));
+            }
+            result.props.add(key);
+          }
+        }
+
+        if (Array.isArray(schema.required)) {
+          for (const key of schema.required) {
+            if (!hasOwn(value, key)) {
+              fail('required', `Missing required property "${key}"`, { missingProperty: key });
+            }
+          }
+        }
+
+        if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+          fail('maxProperties', `Must have at most ${schema.maxProperties} properties`, { limit: schema.maxProperties });
+        }
+        if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+          fail('minProperties', `Must have at least ${schema.minProperties} properties`, { limit: schema.minProperties });
+        }
+
+        if (schema.propertyNames !== undefined) {
+          for (const key of keys) {
+            if (sub(key, schema.propertyNames, [...instancePath, key], 'propertyNames').errors.length > 0) {
+              fail('propertyNames', `Property name "${key}" is invalid`, { propertyName: key }, [...instancePath, key]);
+            }
+          }
+        }
+
+        const checkDependentRequired = (keyword, dependencies) => {
+          for (const [key, dependents] of Object.entries(dependencies)) {
+            if (!hasOwn(value, key) || !Array.isArray(dependents)) continue;
+            for (const dependent of dependents.filter((name) => !hasOwn(value, name))) {
+              fail(keyword, `Property "${dependent}" is required when "${key}" is present`, { property: key, missingProperty: dependent });
+            }
+          }
+        };
+        const checkDependentSchemas = (keyword, dependencies) => {
+          for (const [key, dependentSchema] of Object.entries(dependencies)) {
+            if (hasOwn(value, key) && !Array.isArray(dependentSchema)) {
+              apply(sub(value, dependentSchema, instancePath, keyword, key));
+            }
+          }
+        };
+
+        if (isPlainObject(schema.dependentRequired)) checkDependentRequired('dependentRequired', schema.dependentRequired);
+        if (isPlainObject(schema.dependentSchemas)) checkDependentSchemas('dependentSchemas', schema.dependentSchemas);
+        if (isPlainObject(schema.dependencies)) {
+          checkDependentRequired('dependencies', schema.dependencies);
+          checkDependentSchemas('dependencies', schema.dependencies);
+        }
+      }
+
+      if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((branch, index) => apply(sub(value, branch, instancePath, 'allOf', index)));
+      }
+
+      // When every branch fails, the branch with the fewest errors is most likely the intended one
+      const closest = (results) => results.reduce((best, current) => (
+        !best || current.errors.length < best.errors.length ? current : best
+      ), null);
+
+      if (Array.isArray(schema.anyOf)) {
+        const results = schema.anyOf.map((branch, index) => sub(value, branch, instancePath, 'anyOf', index));
+        const passing = results.filter((branchResult) => branchResult.errors.length === 0);
+        if (passing.length === 0) {
+          fail('anyOf', 'Must match at least one schema in anyOf');
+          const best = closest(results);
+          if (best) result.errors.push(...best.errors);
+        }
+        passing.forEach((branchResult) => mergeAnnotations(result, branchResult));
+      }
+
+      if (Array.isArray(schema.oneOf)) {
+        const results = schema.oneOf.map((branch, index) => sub(value, branch, instancePath, 'oneOf', index));
+        const passing = results
+          .map((branchResult, index) => ({ branchResult, index }))
+          .filter(({ branchResult }) => branchResult.errors.length === 0);
+        if (passing.length === 0) {
+          fail('oneOf', 'Must match exactly one schema in oneOf');
+          const best = closest(results);
+          if (best) result.errors.push(...best.errors);
+        } else if (passing.length > 1) {
+          const indexes = passing.map(({ index }) => index);
+          fail('oneOf', `Matches ${passing.length} schemas in oneOf (${indexes.join(', ')}) but must match exactly one`, { passingSchemas: indexes });
+        } else {
+          mergeAnnotations(result, passing[0].branchResult);
+        }
+      }
+
+      if (schema.not !== undefined && sub(value, schema.not, instancePath, 'not').errors.length === 0) {
+        fail('not', 'Must not match the schema in not');
+      }
+
+      if (schema.if !== undefined) {
+        const condition = sub(value, schema.if, instancePath, 'if');
+        if (condition.errors.length === 0) {
+          mergeAnnotations(result, condition);
+          if (schema.then !== undefined) apply(sub(value, schema.then, instancePath, 'then'));
+        } else if (schema.else !== undefined) {
+          apply(sub(value, schema.else, instancePath, 'else'));
+        }
+      }
+
+      if (Array.isArray(value) && schema.unevaluatedItems !== undefined) {
+        value.forEach((item, index) => {
+          if (result.items.has(index)) return;
+          if (schema.unevaluatedItems === false) {
+            fail('unevaluatedItems', `Item ${index} is not allowed`, { index }, [...instancePath, index]);
+          } else {
+            apply(sub(item, schema.unevaluatedItems, [...instancePath, index], 'unevaluatedItems'));
+          }
+          result.items.add(index);
+        });
+      }
+
+      if (isPlainObject(value) && schema.unevaluatedProperties !== undefined) {
+        Object.keys(value).forEach((key) => {
+          if (result.props.has(key)) return;
+          if (schema.unevaluatedProperties === false) {
+            fail('unevaluatedProperties', `Property "${key}" is not allowed`, { unevaluatedProperty: key }, [...instancePath, key]);
+          } else {
+            apply(sub(value[key], schema.unevaluatedProperties, [...instancePath, key], 'unevaluatedProperties'));
+          }
+          result.props.add(key);
+        });
+      }
+    } finally {
+      active.pop();
+    }
+
+    return result;
+  };
+
+  const rootLocation = activeResolver.getLocation(rootSchema) || { file: null, path: [] };
+  const { errors } = evaluate(instance, rootSchema, [], rootLocation, [activeResolver.getBaseUri(rootSchema)]);
+
+  return { valid: errors.length === 0, errors, dialect: activeDialect };
+};
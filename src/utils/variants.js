@@ -0,0 +1,103 @@
+import { getRefName } from './refResolver';
+import { isPlainObject, resolveSchema } from './schemaUtils';
+import { flattenAllOf } from './effectiveSchema';
+import { getDiscriminatorMapping } from './apiDocument';
+
+// The single value a property schema allows (`const` or a one-value `enum`)
+const fixedValue = (schema) => {
+  if (!isPlainObject(schema)) return undefined;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length === 1) return schema.enum[0];
+  return undefined;
+};
+
+// Properties of an option after following `$ref`s and flattening its allOf chain
+const optionProperties = (option, resolver) => {
+  const properties = new Map();
+  flattenAllOf(option, resolver).properties.forEach(({ name, schema }) => {
+    properties.set(name, resolveSchema(schema, resolver));
+  });
+  return properties;
+};
+
+/**
+ * Work out which property tells the options of `schema[keyword]` apart.
+ *
+ * An OpenAPI `discriminator` wins; its value for an option comes from the
+ * mapping, the option's own `const`, or (as OpenAPI implies) the name of the
+ * component the option references. Otherwise the property that the most
+ * options fix to different `const`/single `enum` values is used, as long as
+ * at least two do; options that leave it open (e.g. `{}`) get no value.
+ *
+ * Returns `{ property, values }` with one value per option (`undefined` where
+ * an option has none), or null when the options can't be told apart.
+ */
+export const findDiscriminator = (schema, resolver, keyword = 'oneOf') => {
+  const options = isPlainObject(schema) && Array.isArray(schema[keyword]) ? schema[keyword] : [];
+  if (options.length === 0) return null;
+  const optionProps = options.map((option) => optionProperties(option, resolver));
+
+  if (isPlainObject(schema.discriminator) && typeof schema.discriminator.propertyName === 'string') {
+    const property = schema.discriminator.propertyName;
+    const mapping = getDiscriminatorMapping(schema).map(({ value, ref }) => {
+      const target = resolver.lookup(ref, schema);
+      return { value, schema: target ? target.schema : null };
+    });
+    const values = options.map((option, index) => {
+      const resolved = resolveSchema(option, resolver);
+      const mapped = mapping.find((entry) => entry.schema === resolved);
+      if (mapped) return mapped.value;
+      const fixed = fixedValue(optionProps[index].get(property));
+      if (fixed !== undefined) return fixed;
+      return isPlainObject(option) && typeof option.$ref === 'string' ? getRefName(option.$ref) : undefined;
+    });
+    return { property, values };
+  }
+
+  let best = null;
+  const candidates = new Set(optionProps.flatMap((properties) => [...properties.keys()]));
+  for (const property of candidates) {
+    const values = optionProps.map((properties) => fixedValue(properties.get(property)));
+    const fixed = values.filter((value) => value !== undefined);
+    const distinct = new Set(fixed.map((value) => JSON.stringify(value)));
+    if (fixed.length >= 2 && distinct.size === fixed.length && (!best || fixed.length > best.count)) {
+      best = { property, values, count: fixed.length };
+    }
+  }
+  return best ? { property: best.property, values: best.values } : null;
+};
+
+// e.g. `type = "http"`
+export const formatVariantLabel = (property, value) => `${property} = ${JSON.stringify(value)}`;
+
+/**
+ * Effective property list of `schema` with option `index` of `keyword`
+ * chosen: the schema's own (and allOf) properties merged with the option's.
+ * Property paths are relative to `schema` (or absolute where a `$ref` was
+ * followed), as with `flattenAllOf`.
+ */
+export const flattenVariant = (schema, keyword, index, resolver) => {
+  const base = { ...schema };
+  delete base[keyword];
+  const allOf = Array.isArray(schema.allOf) ? schema.allOf : [];
+  const branch = allOf.length;
+  const flattened = flattenAllOf({ ...base, allOf: [...allOf, schema[keyword][index]] }, resolver);
+
+  // The option was added as an extra allOf branch; point back at where it really is
+  const branchLabel = `allOf[${branch}]`;
+  const optionLabel = `${keyword}[${index}]`;
+  const relabel = (label) => (label.startsWith(branchLabel) ? `${optionLabel}${label.slice(branchLabel.length)}` : label);
+  const repath = (path) => (
+    path && path[0] === 'allOf' && path[1] === branch ? [keyword, index, ...path.slice(2)] : path
+  );
+
+  return {
+    ...flattened,
+    properties: flattened.properties.map((property) => ({
+      ...property,
+      path: property.location ? property.path : repath(property.path),
+      sources: property.sources.map(relabel),
+      requiredBy: property.requiredBy.map(relabel),
+    })),
+  };
+};
@@ -0,0 +1,147 @@
+import { DEFAULT_BASE_URI, resolveUri, splitUri } from './refResolver';
+import { parseSchemaText, detectFormat, FORMATS } from './schemaFormat';
+import { walkDocument } from './schemaWalk';
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+const isZip = (file) => /\.zip$/i.test(file.name) || file.type === 'application/zip';
+const isSchemaFile = (path) => /\.(json|ya?ml)$/i.test(path) && !path.startsWith('__MACOSX/');
+
+const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Minimal zip reader: stored and deflated entries, which covers what OS archivers produce
+const readZipEntries = async (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a valid zip archive');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !isSchemaFile(name)) continue;
+
+    if (view.getUint32(localOffset, true) !== ZIP_LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip entry: ${name}`);
+    }
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      content = await inflateRaw(data);
+    } else {
+      throw new Error(`Unsupported zip compression for ${name}`);
+    }
+
+    entries.push({ path: name, text: decoder.decode(content) });
+  }
+
+  return entries;
+};
+
+const parseDocument = (path, text) => {
+  const { value, error, format } = parseSchemaText(text, detectFormat(text, path));
+  if (error) {
+    throw new Error(`Invalid ${FORMATS[format].label} file: ${path} (line ${error.line}, column ${error.column}): ${error.message}`);
+  }
+  return value;
+};
+
+/**
+ * Read uploaded JSON or YAML files (a folder, several files or zip archives)
+ * into a workspace of `{ [path]: schema }`. Paths keep the folder structure so
+ * relative `$ref`s between files resolve the same way they do on disk.
+ * `sources` keeps each file's text and format for editing and round-tripping.
+ */
+export const readWorkspace = async (files) => {
+  const documents = {};
+  const sources = {};
+
+  const add = (path, text) => {
+    documents[path] = parseDocument(path, text);
+    sources[path] = { text, format: detectFormat(text, path) };
+  };
+
+  for (const file of files) {
+    if (isZip(file)) {
+      const entries = await readZipEntries(await file.arrayBuffer());
+      for (const { path, text } of entries) {
+        add(path, text);
+      }
+    } else {
+      const path = file.webkitRelativePath || file.name;
+      if (isSchemaFile(path)) {
+        add(path, await file.text());
+      }
+    }
+  }
+
+  return { documents, sources };
+};
+
+const collectExternalRefs = (document) => {
+  const refs = [];
+  walkDocument(document, (node) => {
+    if (typeof node.$ref === 'string' && !node.$ref.startsWith('#')) {
+      refs.push(node.$ref);
+    }
+  });
+  return refs;
+};
+
+export const getDocumentUri = (path) => resolveUri(DEFAULT_BASE_URI, path);
+
+/**
+ * Pick the entry document of a workspace: one that no other file references,
+ * preferring conventional names like `index.json` or `schema.json`.
+ */
+export const pickRootDocument = (documents) => {
+  const paths = Object.keys(documents);
+  if (paths.length === 0) return null;
+
+  const referenced = new Set();
+  for (const path of paths) {
+    const base = getDocumentUri(path);
+    for (const ref of collectExternalRefs(documents[path])) {
+      referenced.add(splitUri(resolveUri(base, ref))[0]);
+    }
+  }
+
+  const candidates = paths.filter((path) => !referenced.has(getDocumentUri(path)));
+  const pool = candidates.length > 0 ? candidates : paths;
+
+  return pool.find((path) => /(^|\/)(index|main|schema|root)[^/]*\.(json|ya?ml)$/i.test(path)) || pool[0];
+};
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { pickRootDocument } from './workspace';
+
+describe('pickRootDocument', () => {
+  it('follows refs under properties named like data keywords', () => {
+    const documents = {
+      'schema.json': { type: 'object' },
+      'entry.json': { properties: { default: { $ref: 'schema.json' } } },
+    };
+
+    expect(pickRootDocument(documents)).toBe('entry.json');
+  });
+
+  it('ignores refs inside instance data', () => {
+    const documents = {
+      'schema.json': { default: { $ref: 'other.json' } },
+      'other.json': { type: 'string' },
+    };
+
+    expect(pickRootDocument(documents)).toBe('schema.json');
+  });
+});